@@ -0,0 +1,214 @@
+// @flow
+
+import EventEmitter from "events"
+import type EventHubManager from "./EventHubManager"
+import type { Checkpoint, CheckpointStore } from "./checkpoint-stores"
+import {
+    getBlockChaincodeEvents,
+    getBlockChannelId,
+    getBlockNumber,
+    getBlockTransactions
+} from "./block-utils"
+
+export type ChaincodeEventSubscriptionOpts = {
+    subscriptionId: string,
+    eventHubManager: EventHubManager,
+    channelId: string,
+    chaincodeId: string,
+    eventName: string,
+    onEvent: (event: Object, ack: () => void, checkpoint: Checkpoint) => any,
+    onError?: (error: Error) => void,
+    checkpointStore: CheckpointStore,
+    startBlock?: number,
+    getChannelHeight: () => Promise<number>
+}
+
+/**
+ * A chaincode event subscription that persists how far it has got to a checkpoint store. On start it replays the events of the blocks committed since its checkpoint before switching to live events. Events are delivered one at a time and at least once, the checkpoint only moves past an event once the event has been acknowledged. Emits 'error' with the error when the subscription stops after it has started and there is no onError callback
+ * @param opts - The options for the subscription
+ * @param {string} opts.subscriptionId - The ID the subscription's checkpoint is stored under
+ * @param {EventHubManager} opts.eventHubManager - The EventHubManager to receive blocks from, it must be able to get blocks to replay events
+ * @param {string} opts.channelId - The name of the channel
+ * @param {string} opts.chaincodeId - The ID of the chaincode
+ * @param {string} opts.eventName - The name of the event or a regex string to match more than one event
+ * @param {Function} opts.onEvent - Callback that takes the ChaincodeEvent, a function to acknowledge the event and the checkpoint of the event. The next event is delivered once the event has been acknowledged
+ * @param {Function} [opts.onError] - Callback for errors that stop the subscription after it has started, such as the onEvent callback throwing or a block not being retrievable. Errors while catching up in start reject start instead
+ * @param {CheckpointStore} opts.checkpointStore - The store to persist the checkpoint in
+ * @param {number} [opts.startBlock] - The block to start from if there is no checkpoint, defaults to only delivering live events
+ * @param {Function} opts.getChannelHeight - Function that returns a promise containing the number of blocks in the channel
+ */
+export default class ChaincodeEventSubscription extends EventEmitter {
+    opts: ChaincodeEventSubscriptionOpts
+    eventNameFilter: RegExp
+    nextBlockNumber: ?number
+    skipToTxIndex: number
+    blockHandle: ?number
+    queue: Promise<void>
+    stopped: boolean
+
+    constructor(opts: ChaincodeEventSubscriptionOpts) {
+        super()
+        this.opts = opts
+        this.eventNameFilter = new RegExp(opts.eventName)
+        this.nextBlockNumber = null
+        this.skipToTxIndex = -1
+        this.blockHandle = null
+        this.queue = Promise.resolve()
+        this.stopped = true
+    }
+
+    /**
+     * Starts the subscription from its checkpoint
+     * @returns A promise that resolves once the events committed since the checkpoint have been delivered. Rejects, stopping the subscription, if they cannot be delivered
+     */
+    async start(): Promise<void> {
+        const {
+            subscriptionId,
+            checkpointStore,
+            startBlock,
+            eventHubManager,
+            channelId
+        } = this.opts
+        const checkpoint = await checkpointStore.load(subscriptionId)
+        if (checkpoint) {
+            this.nextBlockNumber = checkpoint.blockNumber
+            this.skipToTxIndex = checkpoint.txIndex
+        } else if (typeof startBlock === "number") {
+            this.nextBlockNumber = startBlock
+        }
+        this.stopped = false
+        this.blockHandle = eventHubManager.registerBlockEvent(
+            block => {
+                if (getBlockChannelId(block) === channelId) {
+                    this.enqueue(() => this.processLiveBlock(block))
+                }
+            },
+            error => this.fail(error)
+        )
+        if (this.nextBlockNumber == null) {
+            return
+        }
+        let catchUpError = null
+        try {
+            const height = await this.opts.getChannelHeight()
+            await this.enqueue(
+                () => this.catchUp(height),
+                error => {
+                    catchUpError = error
+                }
+            )
+        } catch (error) {
+            catchUpError = error
+        }
+        if (catchUpError) {
+            this.stop()
+            throw catchUpError
+        }
+    }
+
+    /**
+     * Stops the subscription
+     */
+    stop() {
+        this.stopped = true
+        if (this.blockHandle != null) {
+            this.opts.eventHubManager.unregisterBlockEvent(this.blockHandle)
+            this.blockHandle = null
+        }
+    }
+
+    enqueue(
+        task: () => Promise<void>,
+        onError: (error: Error) => void = error => this.fail(error)
+    ): Promise<void> {
+        this.queue = this.queue.then(() => {
+            if (!this.stopped) {
+                return task().catch(onError)
+            }
+            return undefined
+        })
+        return this.queue
+    }
+
+    fail(error: Error) {
+        this.stop()
+        if (this.opts.onError) {
+            this.opts.onError(error)
+        } else {
+            // emitted on the next tick so an 'error' without a listener is thrown rather than swallowed by the block queue
+            process.nextTick(() => this.emit("error", error))
+        }
+    }
+
+    async catchUp(endBlockNumber: number) {
+        const { eventHubManager, channelId } = this.opts
+        while (
+            !this.stopped &&
+            this.nextBlockNumber != null &&
+            this.nextBlockNumber < endBlockNumber
+        ) {
+            if (!eventHubManager.getBlock) {
+                throw new Error(
+                    "Error replaying chaincode events requires an EventHubManager that can get blocks"
+                )
+            }
+            // eslint-disable-next-line no-await-in-loop
+            const block = await eventHubManager.getBlock(
+                channelId,
+                this.nextBlockNumber
+            )
+            // eslint-disable-next-line no-await-in-loop
+            await this.processBlock(block)
+        }
+    }
+
+    async processLiveBlock(block: Object) {
+        const blockNumber = getBlockNumber(block)
+        if (this.nextBlockNumber == null) {
+            this.nextBlockNumber = blockNumber
+        }
+        await this.catchUp(blockNumber)
+        if (!this.stopped && blockNumber === this.nextBlockNumber) {
+            await this.processBlock(block)
+        }
+    }
+
+    async processBlock(block: Object) {
+        const { chaincodeId, checkpointStore, subscriptionId } = this.opts
+        const blockNumber = getBlockNumber(block)
+        const chaincodeEvents = getBlockChaincodeEvents(block)
+        for (let i = 0; i < chaincodeEvents.length; i++) {
+            const { chaincodeEvent, info, txIndex } = chaincodeEvents[i]
+            if (
+                txIndex > this.skipToTxIndex &&
+                info.validationCode === "VALID" &&
+                chaincodeEvent.chaincode_id === chaincodeId &&
+                this.eventNameFilter.test(chaincodeEvent.event_name)
+            ) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.deliver(chaincodeEvent, { blockNumber, txIndex })
+                if (this.stopped) {
+                    return
+                }
+            }
+        }
+        await checkpointStore.save(subscriptionId, {
+            blockNumber,
+            txIndex: getBlockTransactions(block).length - 1
+        })
+        this.nextBlockNumber = blockNumber + 1
+        this.skipToTxIndex = -1
+    }
+
+    async deliver(event: Object, checkpoint: Checkpoint) {
+        await new Promise((resolve, reject) => {
+            Promise.resolve()
+                .then(() => this.opts.onEvent(event, resolve, checkpoint))
+                .catch(reject)
+        })
+        await this.opts.checkpointStore.save(
+            this.opts.subscriptionId,
+            checkpoint
+        )
+    }
+}
@@ -0,0 +1,143 @@
+import { expect } from "chai"
+import ChaincodeEventSubscription from "./ChaincodeEventSubscription"
+import { newKeyValueStoreCheckpointStore } from "./checkpoint-stores"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+import { createBlock } from "../test/stubs/blocks"
+import newMemoryStore from "../test/stubs/newMemoryStore"
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe("ChaincodeEventSubscription", function() {
+    let eventHubManager
+    let checkpointStore
+
+    beforeEach(function() {
+        eventHubManager = new EventHubManagerStub([
+            createBlock(0, [{ eventName: "transfer" }]),
+            createBlock(1, [
+                { eventName: "transfer" },
+                { eventName: "transfer", code: 11 },
+                { eventName: "other" },
+                { eventName: "transfer" }
+            ])
+        ])
+        checkpointStore = newKeyValueStoreCheckpointStore(newMemoryStore())
+    })
+
+    const subscribe = (onEvent, opts = {}) =>
+        new ChaincodeEventSubscription({
+            subscriptionId: "sub",
+            eventHubManager,
+            channelId: "mychannel",
+            chaincodeId: "mycc",
+            eventName: "^transfer$",
+            onEvent,
+            checkpointStore,
+            getChannelHeight: () =>
+                Promise.resolve(eventHubManager.blocks.length),
+            ...opts
+        })
+
+    it("should replay from the checkpoint before delivering live events", async function() {
+        await checkpointStore.save("sub", { blockNumber: 1, txIndex: 0 })
+        const delivered = []
+        const subscription = subscribe(
+            (event, ack, { blockNumber, txIndex }) => {
+                delivered.push([blockNumber, txIndex])
+                ack()
+            }
+        )
+        await subscription.start()
+        expect(delivered).to.deep.equal([[1, 3]])
+
+        eventHubManager.commitBlock(createBlock(2, [{ eventName: "transfer" }]))
+        await delay(10)
+        expect(delivered).to.deep.equal([[1, 3], [2, 0]])
+        expect(await checkpointStore.load("sub")).to.deep.equal({
+            blockNumber: 2,
+            txIndex: 0
+        })
+        subscription.stop()
+        expect(eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should only deliver live events without a checkpoint or start block", async function() {
+        const delivered = []
+        const subscription = subscribe((event, ack, { blockNumber }) => {
+            delivered.push(blockNumber)
+            ack()
+        })
+        await subscription.start()
+        expect(delivered).to.deep.equal([])
+
+        eventHubManager.commitBlock(createBlock(2, [{ eventName: "transfer" }]))
+        await delay(10)
+        expect(delivered).to.deep.equal([2])
+        subscription.stop()
+    })
+
+    it("should not move the checkpoint past an event until it is acknowledged", async function() {
+        const acks = []
+        const subscription = subscribe((event, ack) => acks.push(ack), {
+            startBlock: 0
+        })
+        const started = subscription.start()
+        await delay(10)
+        expect(acks).to.have.lengthOf(1)
+        expect(await checkpointStore.load("sub")).to.equal(null)
+
+        acks[0]()
+        await delay(10)
+        expect(acks).to.have.lengthOf(2)
+        expect(await checkpointStore.load("sub")).to.deep.equal({
+            blockNumber: 0,
+            txIndex: 0
+        })
+        acks[1]()
+        await delay(10)
+        expect(acks).to.have.lengthOf(3)
+        acks[2]()
+        await started
+        expect(await checkpointStore.load("sub")).to.deep.equal({
+            blockNumber: 1,
+            txIndex: 3
+        })
+        subscription.stop()
+    })
+
+    it("should stop, reject start and redeliver the event on restart if onEvent throws while catching up", async function() {
+        await checkpointStore.save("sub", { blockNumber: 1, txIndex: 0 })
+        const errors = []
+        const subscription = subscribe(
+            () => {
+                throw new Error("handler failed")
+            },
+            { onError: error => errors.push(error.message) }
+        )
+        const error = await subscription.start().catch(e => e)
+        expect(error.message).to.equal("handler failed")
+        expect(errors).to.deep.equal([])
+        expect(eventHubManager.listeners.size).to.equal(0)
+
+        const delivered = []
+        await subscribe((event, ack, { txIndex }) => {
+            delivered.push(txIndex)
+            ack()
+        }).start()
+        expect(delivered).to.deep.equal([3])
+    })
+
+    it("should emit an error when a live event fails without an onError callback", async function() {
+        const subscription = subscribe(() => {
+            throw new Error("handler failed")
+        })
+        await subscription.start()
+        const failed = new Promise(resolve =>
+            subscription.once("error", resolve)
+        )
+        eventHubManager.commitBlock(createBlock(2, [{ eventName: "transfer" }]))
+        const error = await failed
+        expect(error.message).to.equal("handler failed")
+        expect(eventHubManager.listeners.size).to.equal(0)
+    })
+})
@@ -0,0 +1,166 @@
+// @flow
+import type Channel from "fabric-client/lib/Channel"
+import type Peer from "fabric-client/lib/Peer"
+import EventHubManager, { type EventHubManagerOpts } from "./EventHubManager"
+import { getBlockNumber } from "./block-utils"
+import { TimeoutError } from "./errors"
+
+/**
+ * Options to create a ChannelEventHubManager
+ * @typedef {Object} ChannelEventHubManagerOpts
+ * @property {boolean} [fullBlock=false] - Whether to receive full blocks rather than filtered blocks. Filtered blocks only hold the transaction IDs, validation codes and chaincode events without their payloads, but need less bandwidth and fewer permissions
+ * @property {number} [startBlock] - The block to start receiving blocks from, defaults to the newest block
+ * @property {number} [endBlock] - The block to stop receiving blocks at. Once it has been delivered the listeners' error callbacks are called and the listeners are removed
+ * @property {boolean} [reconnect=true] - Whether to reconnect when the ChannelEventHub disconnects. Reconnections resume from the block after the last block delivered
+ * @property {number} [initialReconnectDelay=1000] - The number of ms to wait before the first reconnection attempt, doubled after every failed attempt
+ * @property {number} [maxReconnectDelay=30000] - The maximum number of ms to wait between reconnection attempts
+ * @property {number} [maxReconnectAttempts=Infinity] - The number of failed reconnection attempts after which the listeners' error callbacks are called and the listeners are removed
+ * @property {Function} [getBlock] - Function that takes a channel name and block number and returns a promise containing the decoded block, which must be a filtered block unless fullBlock is set. Defaults to queryBlock
+ * @property {number} [queryBlockTimeout=30000] - The number of ms queryBlock waits for a ChannelEventHub to deliver a filtered block before it gives up
+ */
+export type ChannelEventHubManagerOpts = EventHubManagerOpts & {
+    fullBlock?: boolean,
+    startBlock?: number,
+    endBlock?: number,
+    queryBlockTimeout?: number
+}
+
+/**
+ * An EventHubManager for the channel-based event service of a peer. It has the same API as the EventHubManager so it can be used as the eventHubManager of an EventHubChannel, or of an EventHubPeer that is only used on one channel. In filtered block mode block listeners receive filtered blocks, including the missed blocks that are replayed after a reconnection
+ * @param channel - The channel to receive blocks from
+ * @param peer - The peer to receive blocks from
+ * @param [opts] - The options for the ChannelEventHubManager
+ * @param {boolean} [opts.fullBlock=false] - Whether to receive full blocks rather than filtered blocks. Filtered blocks only hold the transaction IDs, validation codes and chaincode events without their payloads, but need less bandwidth and fewer permissions
+ * @param {number} [opts.startBlock] - The block to start receiving blocks from, defaults to the newest block
+ * @param {number} [opts.endBlock] - The block to stop receiving blocks at. Once it has been delivered the listeners' error callbacks are called and the listeners are removed
+ * @param {boolean} [opts.reconnect=true] - Whether to reconnect when the ChannelEventHub disconnects. Reconnections resume from the block after the last block delivered
+ * @param {number} [opts.initialReconnectDelay=1000] - The number of ms to wait before the first reconnection attempt, doubled after every failed attempt
+ * @param {number} [opts.maxReconnectDelay=30000] - The maximum number of ms to wait between reconnection attempts
+ * @param {number} [opts.maxReconnectAttempts=Infinity] - The number of failed reconnection attempts after which the listeners' error callbacks are called and the listeners are removed
+ * @param {Function} [opts.getBlock] - Function that takes a channel name and block number and returns a promise containing the decoded block, which must be a filtered block unless fullBlock is set. Defaults to queryBlock
+ * @param {number} [opts.queryBlockTimeout=30000] - The number of ms queryBlock waits for a ChannelEventHub to deliver a filtered block before it gives up
+ */
+export default class ChannelEventHubManager extends EventHubManager {
+    channel: Channel
+    peer: Peer
+    fullBlock: boolean
+    startBlock: ?number
+    endBlock: ?number
+    queryBlockTimeout: number
+    endBlockSeen: boolean
+    eventHubUsed: boolean
+
+    constructor(
+        channel: Channel,
+        peer: Peer,
+        opts: ChannelEventHubManagerOpts = {}
+    ) {
+        super(channel.newChannelEventHub(peer), opts)
+        this.getBlock =
+            opts.getBlock ||
+            ((channelId, blockNumber) =>
+                this.queryBlock(channelId, blockNumber))
+        this.channel = channel
+        this.peer = peer
+        this.fullBlock = !!opts.fullBlock
+        this.startBlock = opts.startBlock
+        this.endBlock = opts.endBlock
+        this.queryBlockTimeout = opts.queryBlockTimeout || 30000
+        this.endBlockSeen = false
+        this.eventHubUsed = false
+    }
+
+    /**
+     * Gets a block of the channel from the peer in the same mode as the live blocks, so the replayed blocks have the same shape. Full blocks are queried from the ledger, filtered blocks are delivered by a ChannelEventHub that starts and ends at the block
+     * @param channelId - The name of the channel, which must be the channel of the ChannelEventHubManager
+     * @param blockNumber - The number of the block
+     * @returns A promise containing the decoded full or filtered block. Rejects with a TimeoutError if a filtered block is not delivered within queryBlockTimeout
+     */
+    queryBlock(channelId: string, blockNumber: number): Promise<Object> {
+        const { channel, peer } = this
+        if (channelId !== channel.getName()) {
+            return Promise.reject(
+                new Error(`Error cannot get blocks of channel ${channelId}`)
+            )
+        }
+        if (this.fullBlock) {
+            return channel.queryBlock(blockNumber, peer)
+        }
+        // the ChannelEventHub disconnects itself once it has delivered the end block
+        const eventHub = channel.newChannelEventHub(peer)
+        return new Promise((resolve, reject) => {
+            let handle
+            const settle = callback => result => {
+                if (!handle) {
+                    return
+                }
+                clearTimeout(handle)
+                handle = null
+                callback(result)
+            }
+            const rejectBlock = settle(reject)
+            handle = setTimeout(() => {
+                rejectBlock(
+                    new TimeoutError(
+                        `Error block ${blockNumber} was not delivered in time`,
+                        { peerUrl: peer.getUrl() }
+                    )
+                )
+                eventHub.disconnect()
+            }, this.queryBlockTimeout)
+            eventHub.registerBlockEvent(settle(resolve), rejectBlock, {
+                startBlock: blockNumber,
+                endBlock: blockNumber
+            })
+            eventHub.connect(false)
+        })
+    }
+
+    listen() {
+        // a ChannelEventHub only accepts a start block before its first connection, so every connection uses a new one
+        if (this.eventHubUsed) {
+            this.eventHub = this.channel.newChannelEventHub(this.peer)
+        }
+        this.eventHubUsed = true
+        this.endBlockSeen = false
+        const lastBlockNumber = this.getLastBlockNumber(this.channel.getName())
+        const options = {}
+        if (this.reconnectAttempt && typeof lastBlockNumber === "number") {
+            options.startBlock = lastBlockNumber + 1
+        } else if (typeof this.startBlock === "number") {
+            options.startBlock = this.startBlock
+        }
+        if (typeof this.endBlock === "number") {
+            options.endBlock = this.endBlock
+        }
+        this.errorCatcherHandle = this.eventHub.registerBlockEvent(
+            block => {
+                const { endBlock } = this
+                if (
+                    typeof endBlock === "number" &&
+                    getBlockNumber(block) >= endBlock
+                ) {
+                    this.endBlockSeen = true
+                }
+                this.handleBlock(block)
+            },
+            error => this.handleDisconnect(error),
+            options
+        )
+        this.eventHub.connect(this.fullBlock)
+        this.watchStream()
+    }
+
+    handleDisconnect(error: Error) {
+        if (!this.endBlockSeen) {
+            super.handleDisconnect(error)
+            return
+        }
+        // the ChannelEventHub disconnects once it has delivered the end block, which is not worth reconnecting for
+        this.errorCatcherHandle = null
+        this.reconnectAttempt = 0
+        this.connected = false
+        this.emit("disconnected", error)
+        this.blockQueue = this.blockQueue.then(() => this.closeListeners(error))
+    }
+}
@@ -0,0 +1,198 @@
+import { expect } from "chai"
+import ChannelEventHubManager from "./ChannelEventHubManager"
+import { createFilteredBlock } from "../test/stubs/blocks"
+import { TimeoutError } from "./errors"
+
+class ChannelEventHubStub {
+    constructor() {
+        this.registrations = []
+        this.connected = false
+        this.fullBlock = null
+    }
+
+    registerBlockEvent(onEvent, onError, options) {
+        this.registrations.push({ onEvent, onError, options })
+        return this.registrations.length
+    }
+
+    unregisterBlockEvent(handle) {
+        this.registrations[handle - 1] = null
+    }
+
+    connect(fullBlock) {
+        this.fullBlock = fullBlock
+        this.connected = true
+    }
+
+    isconnected() {
+        return this.connected
+    }
+
+    disconnect() {
+        this.fail(new Error("ChannelEventHub has been shutdown"))
+    }
+
+    emitBlock(block) {
+        this.registrations.forEach(
+            registration => registration && registration.onEvent(block)
+        )
+    }
+
+    fail(error) {
+        const registrations = this.registrations
+        this.connected = false
+        this.registrations = []
+        registrations.forEach(
+            registration => registration && registration.onError(error)
+        )
+    }
+}
+
+function createManager(opts) {
+    const eventHubs = []
+    const channel = {
+        getName: () => "mychannel",
+        newChannelEventHub: () => {
+            const eventHub = new ChannelEventHubStub()
+            eventHubs.push(eventHub)
+            return eventHub
+        }
+    }
+    const peer = { getUrl: () => "grpc://peer0:7051" }
+    const eventHubManager = new ChannelEventHubManager(channel, peer, opts)
+    return { eventHubManager, eventHubs, current: () => eventHubs.slice(-1)[0] }
+}
+
+describe("ChannelEventHubManager", function() {
+    it("should serve transaction and chaincode listeners from filtered blocks", async function() {
+        const { eventHubManager, current } = createManager()
+        const txEvents = []
+        const chaincodeEvents = []
+        eventHubManager.registerTxEvent("tx1", (txId, code) =>
+            txEvents.push([txId, code])
+        )
+        eventHubManager.registerChaincodeEvent(
+            "mycc",
+            "transfer",
+            (event, info) => chaincodeEvents.push([event, info])
+        )
+        expect(current().fullBlock).to.equal(false)
+
+        const event = { chaincode_id: "mycc", event_name: "transfer" }
+        current().emitBlock(
+            createFilteredBlock(5, [
+                { txId: "tx1", code: "MVCC_READ_CONFLICT" },
+                { txId: "tx2", event }
+            ])
+        )
+        await eventHubManager.blockQueue
+        expect(txEvents).to.deep.equal([["tx1", "MVCC_READ_CONFLICT"]])
+        expect(chaincodeEvents).to.deep.equal([
+            [
+                event,
+                {
+                    channelId: "mychannel",
+                    blockNumber: 5,
+                    txId: "tx2",
+                    validationCode: "VALID"
+                }
+            ]
+        ])
+        expect(eventHubManager.getLastBlockNumber("mychannel")).to.equal(5)
+    })
+
+    it("should replay missed blocks as filtered blocks", async function() {
+        const { eventHubManager, eventHubs } = createManager()
+        const blockNumbers = []
+        eventHubManager.registerBlockEvent(block =>
+            blockNumbers.push(block.number.low)
+        )
+        const [eventHub] = eventHubs
+        eventHub.emitBlock(createFilteredBlock(7, [{ txId: "tx1" }]))
+        eventHub.emitBlock(createFilteredBlock(9, [{ txId: "tx3" }]))
+        await new Promise(resolve => setImmediate(resolve))
+
+        const replayEventHub = eventHubs[1]
+        expect(replayEventHub.fullBlock).to.equal(false)
+        expect(replayEventHub.registrations[0].options).to.deep.equal({
+            startBlock: 8,
+            endBlock: 8
+        })
+        replayEventHub.emitBlock(createFilteredBlock(8, [{ txId: "tx2" }]))
+        await eventHubManager.blockQueue
+        expect(blockNumbers).to.deep.equal([7, 8, 9])
+    })
+
+    it("should connect with full blocks and a block range", function() {
+        const { eventHubManager, current } = createManager({
+            fullBlock: true,
+            startBlock: 2,
+            endBlock: 4
+        })
+        eventHubManager.registerBlockEvent(() => {})
+        expect(current().fullBlock).to.equal(true)
+        expect(current().registrations[0].options).to.deep.equal({
+            startBlock: 2,
+            endBlock: 4
+        })
+    })
+
+    it("should resume from the block after the last one delivered when reconnecting", async function() {
+        const { eventHubManager, eventHubs, current } = createManager({
+            initialReconnectDelay: 1
+        })
+        eventHubManager.registerBlockEvent(() => {})
+        current().emitBlock(createFilteredBlock(7, [{ txId: "tx1" }]))
+        await eventHubManager.blockQueue
+
+        const reconnected = new Promise(resolve =>
+            eventHubManager.once("reconnected", resolve)
+        )
+        current().fail(new Error("peer restarted"))
+        await reconnected
+        expect(eventHubs).to.have.lengthOf(2)
+        expect(current().registrations[0].options).to.deep.equal({
+            startBlock: 8
+        })
+    })
+
+    it("should close the listeners instead of reconnecting once the end block has been delivered", async function() {
+        const { eventHubManager, eventHubs, current } = createManager({
+            endBlock: 3,
+            initialReconnectDelay: 1
+        })
+        eventHubManager.onConnectError = () => {}
+        const blockNumbers = []
+        const errors = []
+        eventHubManager.registerBlockEvent(
+            block => blockNumbers.push(block.number.low),
+            error => errors.push(error.message)
+        )
+        current().emitBlock(createFilteredBlock(3, [{ txId: "tx1" }]))
+        current().fail(
+            new Error("Shutdown due to end block number has been seen")
+        )
+        await eventHubManager.blockQueue
+        expect(blockNumbers).to.deep.equal([3])
+        expect(errors).to.deep.equal([
+            "Shutdown due to end block number has been seen"
+        ])
+        expect(eventHubs).to.have.lengthOf(1)
+    })
+
+    it("should reject queryBlock and disconnect when the filtered block is not delivered in time", async function() {
+        const { eventHubManager, current } = createManager({
+            queryBlockTimeout: 10
+        })
+        const querying = eventHubManager.queryBlock("mychannel", 3)
+        const queryEventHub = current()
+        expect(queryEventHub.registrations[0].options).to.deep.equal({
+            startBlock: 3,
+            endBlock: 3
+        })
+        const error = await querying.catch(e => e)
+        expect(error).to.be.an.instanceof(TimeoutError)
+        expect(error.peerUrl).to.equal("grpc://peer0:7051")
+        expect(queryEventHub.isconnected()).to.equal(false)
+    })
+})
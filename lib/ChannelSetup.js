@@ -307,6 +307,7 @@ export default class ChannelSetup {
      * @param {string} [chaincodeInstantiateRequest.fcn] - The function name to be returned when calling stub.GetFunctionAndParameters() in the target chaincode. Default is 'init'
      * @param {string[]} [chaincodeInstantiateRequest.args] - Array of string arguments to pass to the function identified by the fcn value
      * @param {Policy} [chaincodeInstantiateRequest.endorsement-policy] - EndorsementPolicy object for this chaincode (see examples below). If not specified, a default policy of "a signature by any member from any of the organizations corresponding to the array of member service providers" is used. WARNING: The default policy is NOT recommended for production, because this allows an application to bypass the proposal endorsement and send a manually constructed transaction, with arbitrary output in the write set, to the orderer directly. An application's own signature would allow the transaction to be successfully validated and committed to the ledger.
+     * @param {Array<CollectionConfig>} [chaincodeInstantiateRequest.collections-config] - The private data collections of the chaincode, validated against the channel's MSPs once the channel is initialized
      * @param [opts] - Additional options
      * @param [opts.waitOpts] - Options for waiting
      * @param {number} [opts.waitOpts.timeout] - Max amount of time to wait
@@ -362,6 +363,7 @@ export default class ChannelSetup {
      * @param {string} [chaincodeUpgradeRequest.fcn] - The function name to be returned when calling stub.GetFunctionAndParameters() in the target chaincode. Default is 'init'
      * @param {string[]} [chaincodeUpgradeRequest.args] - Array of string arguments to pass to the function identified by the fcn value
      * @param {Policy} [chaincodeUpgradeRequest.endorsement-policy] - EndorsementPolicy object for this chaincode (see examples below). If not specified, a default policy of "a signature by any member from any of the organizations corresponding to the array of member service providers" is used. WARNING: The default policy is NOT recommended for production, because this allows an application to bypass the proposal endorsement and send a manually constructed transaction, with arbitrary output in the write set, to the orderer directly. An application's own signature would allow the transaction to be successfully validated and committed to the ledger.
+     * @param {Array<CollectionConfig>} [chaincodeUpgradeRequest.collections-config] - The private data collections of the chaincode, validated against the channel's MSPs once the channel is initialized
      * @param [opts] - Additional options
      * @param [opts.waitOpts] - Options for waiting
      * @param {number} [opts.waitOpts.timeout] - Max amount of time to wait
@@ -1,27 +1,108 @@
 // @flow
+import EventEmitter from "events"
 import type EventHub from "fabric-client/lib/EventHub"
-import wait from "./wait"
+import EventStream from "./EventStream"
+import {
+    getBlockChaincodeEvents,
+    getBlockChannelId,
+    getBlockNumber,
+    getBlockTransactions,
+    type ChaincodeEventInfo,
+    type ChaincodeEventRecord
+} from "./block-utils"
 
 function fallBackErrorHandler(error) {
     console.error("EventHub Error", error)
 }
 
+type Listener = {
+    onEvent: Function,
+    onError: Function
+}
+
+type ChaincodeListener = Listener & {
+    ccid: string,
+    eventNameFilter: RegExp
+}
+
+/**
+ * Options to create an EventHubManager
+ * @typedef {Object} EventHubManagerOpts
+ * @property {boolean} [reconnect=true] - Whether to reconnect when the EventHub disconnects. If false, the listeners' error callbacks are called and the listeners are removed on disconnect
+ * @property {number} [initialReconnectDelay=1000] - The number of ms to wait before the first reconnection attempt, doubled after every failed attempt
+ * @property {number} [maxReconnectDelay=30000] - The maximum number of ms to wait between reconnection attempts
+ * @property {number} [maxReconnectAttempts=Infinity] - The number of failed reconnection attempts after which the listeners' error callbacks are called and the listeners are removed
+ * @property {Function} [getBlock] - Function that takes a channel name and block number and returns a promise containing the decoded block, used to replay the blocks missed while disconnected
+ */
+export type EventHubManagerOpts = {
+    reconnect?: boolean,
+    initialReconnectDelay?: number,
+    maxReconnectDelay?: number,
+    maxReconnectAttempts?: number,
+    getBlock?: (channelId: string, blockNumber: number) => Promise<Object>
+}
+
 /**
- * A class that manages an EventHub and when it is connected
+ * A class that manages an EventHub and when it is connected. The EventHub is reconnected with exponential backoff when it disconnects, and any blocks missed in the meantime are replayed so listeners see no gaps. Emits 'connected' whenever the EventHub connects, 'gap' with the channelId, the startBlock and endBlock of the missed blocks and the error when missed blocks cannot be replayed, in which case the listeners carry on from the newer block, 'disconnected' with the error when the EventHub disconnects, 'reconnecting' with the attempt number and delay before each reconnection attempt, 'reconnected' once connected again and 'error' with the error when it gives up and removes the listeners
  * @param eventHub - The EventHub to manage
+ * @param [opts] - The options for the EventHubManager
+ * @param {boolean} [opts.reconnect=true] - Whether to reconnect when the EventHub disconnects. If false, the listeners' error callbacks are called and the listeners are removed on disconnect
+ * @param {number} [opts.initialReconnectDelay=1000] - The number of ms to wait before the first reconnection attempt, doubled after every failed attempt
+ * @param {number} [opts.maxReconnectDelay=30000] - The maximum number of ms to wait between reconnection attempts
+ * @param {number} [opts.maxReconnectAttempts=Infinity] - The number of failed reconnection attempts after which the listeners' error callbacks are called and the listeners are removed
+ * @param {Function} [opts.getBlock] - Function that takes a channel name and block number and returns a promise containing the decoded block, used to replay the blocks missed while disconnected
  */
-export default class EventHubManager {
+export default class EventHubManager extends EventEmitter {
     eventHub: EventHub
     errorCatcherHandle: ?Object
+    onConnectError: Function
     blockEventMap: Map<number, boolean>
     chaincodeEventMap: Map<string, number>
     txEventMap: Map<string, number>
+    blockListeners: Map<number, Listener>
+    chaincodeListeners: Set<ChaincodeListener>
+    txListeners: Map<string, Listener>
+    nextBlockHandle: number
+    lastBlockNumbers: Map<string, number>
+    blockQueue: Promise<void>
+    reconnect: boolean
+    initialReconnectDelay: number
+    maxReconnectDelay: number
+    maxReconnectAttempts: number
+    reconnectAttempt: number
+    reconnectHandle: ?number
+    connected: boolean
+    getBlock: ?(channelId: string, blockNumber: number) => Promise<Object>
 
-    constructor(eventHub: EventHub) {
+    constructor(eventHub: EventHub, opts: EventHubManagerOpts = {}) {
+        super()
         this.eventHub = eventHub
+        this.onConnectError = fallBackErrorHandler
         this.blockEventMap = new Map()
         this.chaincodeEventMap = new Map()
         this.txEventMap = new Map()
+        this.blockListeners = new Map()
+        this.chaincodeListeners = new Set()
+        this.txListeners = new Map()
+        this.nextBlockHandle = 1
+        this.lastBlockNumbers = new Map()
+        this.blockQueue = Promise.resolve()
+        this.reconnect = opts.reconnect !== false
+        this.initialReconnectDelay =
+            typeof opts.initialReconnectDelay === "number"
+                ? opts.initialReconnectDelay
+                : 1000
+        this.maxReconnectDelay =
+            typeof opts.maxReconnectDelay === "number"
+                ? opts.maxReconnectDelay
+                : 30000
+        this.maxReconnectAttempts =
+            typeof opts.maxReconnectAttempts === "number"
+                ? opts.maxReconnectAttempts
+                : Infinity
+        this.reconnectAttempt = 0
+        this.connected = false
+        this.getBlock = opts.getBlock
     }
 
     isconnected() {
@@ -29,10 +110,50 @@ export default class EventHubManager {
     }
 
     connect(onError?: Function) {
-        if (this.errorCatcherHandle == null) {
-            this.errorCatcherHandle = this.eventHub.registerBlockEvent(() => {},
-            onError || fallBackErrorHandler)
-            this.eventHub.connect()
+        if (this.errorCatcherHandle == null && !this.reconnectAttempt) {
+            if (onError) {
+                this.onConnectError = onError
+            }
+            this.listen()
+        }
+    }
+
+    listen() {
+        // every listener is served from a single block listener so only it needs registering again after a reconnect
+        this.errorCatcherHandle = this.eventHub.registerBlockEvent(
+            block => this.handleBlock(block),
+            error => this.handleDisconnect(error)
+        )
+        this.eventHub.connect()
+        this.watchStream()
+    }
+
+    watchStream() {
+        if (this.eventHub.isconnected()) {
+            this.handleConnect()
+            return
+        }
+        // fabric-client has no connect callback, the EventHub connects once its stream delivers the peer's answer to the registration, or the first block of a ChannelEventHub
+        // eslint-disable-next-line no-underscore-dangle
+        const stream = (this.eventHub: any)._stream
+        if (stream) {
+            stream.once("data", () => {
+                if (this.eventHub.isconnected()) {
+                    this.handleConnect()
+                }
+            })
+        }
+    }
+
+    handleConnect() {
+        if (this.connected) {
+            return
+        }
+        this.connected = true
+        this.emit("connected")
+        if (this.reconnectAttempt) {
+            this.reconnectAttempt = 0
+            this.emit("reconnected")
         }
     }
 
@@ -43,20 +164,198 @@ export default class EventHubManager {
         return this.eventHub
     }
 
+    /**
+     * Gets the number of the last block delivered to the listeners for a channel
+     * @param channelId - The name of the channel
+     * @returns The block number, or undefined if no block has been delivered for the channel
+     */
+    getLastBlockNumber(channelId: string): ?number {
+        return this.lastBlockNumbers.get(channelId)
+    }
+
+    hasListeners(): boolean {
+        return (
+            this.blockEventMap.size !== 0 ||
+            this.chaincodeEventMap.size !== 0 ||
+            this.txEventMap.size !== 0
+        )
+    }
+
+    handleBlock(block: Object) {
+        this.handleConnect()
+        // blocks are processed one at a time so replayed blocks are delivered before the block that revealed the gap
+        this.blockQueue = this.blockQueue
+            .then(() => this.processBlock(block))
+            .catch(error => this.onConnectError(error))
+    }
+
+    async processBlock(block: Object) {
+        const channelId = getBlockChannelId(block)
+        const blockNumber = getBlockNumber(block)
+        const lastBlockNumber = this.lastBlockNumbers.get(channelId)
+        if (typeof lastBlockNumber === "number") {
+            if (blockNumber <= lastBlockNumber) {
+                return
+            }
+            await this.replayBlocks(channelId, lastBlockNumber + 1, blockNumber)
+        }
+        this.dispatchBlock(channelId, block)
+    }
+
+    // the blocks that cannot be replayed are reported as a gap, as the newer block is still delivered to the listeners
+    async replayBlocks(
+        channelId: string,
+        startBlock: number,
+        endBlock: number
+    ) {
+        const { getBlock } = this
+        const reportGap = (gapStart, error) =>
+            this.emit("gap", {
+                channelId,
+                startBlock: gapStart,
+                endBlock: endBlock - 1,
+                error
+            })
+        if (!getBlock) {
+            if (startBlock < endBlock) {
+                reportGap(
+                    startBlock,
+                    new Error("Error the EventHubManager cannot get blocks")
+                )
+            }
+            return
+        }
+        for (let i = startBlock; i < endBlock; i++) {
+            let block
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                block = await getBlock(channelId, i)
+            } catch (error) {
+                reportGap(i, error)
+                return
+            }
+            this.dispatchBlock(channelId, block)
+        }
+    }
+
+    dispatchBlock(channelId: string, block: Object) {
+        const blockNumber = getBlockNumber(block)
+        this.lastBlockNumbers.set(channelId, blockNumber)
+        this.blockListeners.forEach(({ onEvent }) => onEvent(block))
+        getBlockTransactions(block).forEach(({ txId, validationCode }) => {
+            const listener = this.txListeners.get(txId)
+            if (listener) {
+                listener.onEvent(txId, validationCode, blockNumber)
+            }
+        })
+        getBlockChaincodeEvents(block).forEach(({ chaincodeEvent, info }) => {
+            this.chaincodeListeners.forEach(listener => {
+                if (
+                    listener.ccid === chaincodeEvent.chaincode_id &&
+                    listener.eventNameFilter.test(chaincodeEvent.event_name)
+                ) {
+                    listener.onEvent(chaincodeEvent, info)
+                }
+            })
+        })
+    }
+
+    handleDisconnect(error: Error) {
+        // the EventHub drops all of its listeners when it disconnects
+        this.errorCatcherHandle = null
+        this.connected = false
+        this.emit("disconnected", error)
+        if (!this.hasListeners()) {
+            this.reconnectAttempt = 0
+            return
+        }
+        const attempt = this.reconnectAttempt + 1
+        if (!this.reconnect || attempt > this.maxReconnectAttempts) {
+            this.reconnectAttempt = 0
+            this.closeListeners(error)
+            return
+        }
+        const delay = Math.min(
+            this.initialReconnectDelay * 2 ** (attempt - 1),
+            this.maxReconnectDelay
+        )
+        this.reconnectAttempt = attempt
+        this.emit("reconnecting", { attempt, delay })
+        this.reconnectHandle = setTimeout(() => {
+            this.reconnectHandle = null
+            this.attemptReconnect()
+        }, delay)
+    }
+
+    attemptReconnect() {
+        if (!this.hasListeners()) {
+            this.reconnectAttempt = 0
+            return
+        }
+        // a failed attempt disconnects again, which starts the next attempt
+        this.listen()
+    }
+
+    closeListeners(error: Error) {
+        const listeners = [
+            ...this.blockListeners.values(),
+            ...this.chaincodeListeners,
+            ...this.txListeners.values()
+        ]
+        this.blockListeners.clear()
+        this.chaincodeListeners.clear()
+        this.txListeners.clear()
+        this.blockEventMap.clear()
+        this.chaincodeEventMap.clear()
+        this.txEventMap.clear()
+        listeners.forEach(({ onError }) => onError(error))
+        this.onConnectError(error)
+        // an 'error' event without a listener would throw
+        if (this.listenerCount("error")) {
+            this.emit("error", error)
+        }
+    }
+
+    /**
+     * Waits until the EventHub is connected. It does not connect the EventHub itself, which happens when a listener is registered
+     * @param [timeout=60000] - The maximum amount of time to wait for the EventHub to connect
+     * @returns A promise that resolves once the EventHub is connected, or rejects if it is not connected in time or the EventHubManager gives up reconnecting. With the default maxReconnectAttempts of Infinity the EventHubManager never gives up, so ready only rejects once the timeout has passed
+     */
+    ready(timeout: number = 60000): Promise<void> {
+        if (this.connected || this.eventHub.isconnected()) {
+            this.handleConnect()
+            return Promise.resolve()
+        }
+        return new Promise((resolve, reject) => {
+            let onConnected
+            let onError
+            const handle = setTimeout(() => {
+                this.removeListener("connected", onConnected)
+                this.removeListener("error", onError)
+                reject(new Error("Error timed out while waiting for eventhub"))
+            }, timeout)
+            onConnected = () => {
+                clearTimeout(handle)
+                this.removeListener("error", onError)
+                resolve()
+            }
+            onError = error => {
+                clearTimeout(handle)
+                this.removeListener("connected", onConnected)
+                reject(error)
+            }
+            this.once("connected", onConnected)
+            this.once("error", onError)
+        })
+    }
+
     /**
      * Waits until the EventHub has been connected
      * @param [timeout=60000] - The maximum amount of time to wait for the EventHub to connect
      */
     async waitEventHubConnected(timeout: number = 60000): Promise<boolean> {
-        let endDate = new Date()
-        endDate = new Date(endDate.getTime() + timeout)
-        while (new Date() < endDate) {
-            if (this.eventHub.isconnected()) {
-                return true
-            }
-            await wait(100) // eslint-disable-line no-await-in-loop
-        }
-        throw new Error("Error timed out while waiting for eventhub")
+        await this.ready(timeout)
+        return true
     }
 
     /**
@@ -68,37 +367,31 @@ export default class EventHubManager {
     canConnect(timeout: number = 60000): Promise<boolean> {
         return new Promise(resolve => {
             let blockRegistrationNumber
-            const handle = setTimeout(() => {
-                this.unregisterBlockEvent(blockRegistrationNumber)
-                resolve(false)
-            }, timeout)
+            let onDisconnected
+            const finish = connected => {
+                this.removeListener("disconnected", onDisconnected)
+                if (this.blockListeners.has(blockRegistrationNumber)) {
+                    this.unregisterBlockEvent(blockRegistrationNumber)
+                }
+                resolve(connected)
+            }
+            onDisconnected = () => finish(false)
+            this.once("disconnected", onDisconnected)
             blockRegistrationNumber = this.registerBlockEvent(
                 () => {},
-                () => {
-                    clearTimeout(handle)
-                    this.unregisterBlockEvent(blockRegistrationNumber)
-                    resolve(false)
-                },
+                () => finish(false),
                 () => {}
             )
-            this.waitEventHubConnected(timeout)
-                .then(() => {
-                    clearTimeout(handle)
-                    this.unregisterBlockEvent(blockRegistrationNumber)
-                    resolve(true)
-                })
-                .catch(() => {
-                    clearTimeout(handle)
-                    this.unregisterBlockEvent(blockRegistrationNumber)
-                    resolve(false)
-                })
+            this.ready(timeout)
+                .then(() => finish(true))
+                .catch(() => finish(false))
         })
     }
 
     /**
-     * Connects Eventhub if it is not connected and registers a listener to receive all block events from all the channels that the target peer is part of. The listener's "onEvent" callback gets called on the arrival of every block. If the target peer is expected to participate in more than one channel, then care must be taken in the listener's implementation to differentiate blocks from different channels. See the example below on how to accomplish that. An error may be thrown by this call if no "onError" callback is provided and this EventHub has noticed that the connection has not been established. However since the connection establishment is running asynchronously, a register call could be made before this EventHub has been notified of the network issue. The best practice would be to provide an "onError" callback to be notified when this EventHub has an issue.
+     * Connects Eventhub if it is not connected and registers a listener to receive all block events from all the channels that the target peer is part of. The listener's "onEvent" callback gets called on the arrival of every block. If the target peer is expected to participate in more than one channel, then care must be taken in the listener's implementation to differentiate blocks from different channels. See the example below on how to accomplish that. Blocks missed while the EventHub was reconnecting are replayed if the EventHubManager can get blocks.
      * @param onEvent - Callback function that takes a single parameter of a Block object
-     * @param [onError] - Optional callback function to be notified when this event hub is shutdown. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
+     * @param [onError] - Optional callback function to be notified when this event hub is shutdown and cannot be reconnected. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
      */
     registerBlockEvent(
         onEvent: Function,
@@ -106,20 +399,147 @@ export default class EventHubManager {
         onConnectError?: Function
     ): number {
         this.connect(onConnectError)
-        const handle = this.eventHub.registerBlockEvent(
+        const handle = this.nextBlockHandle
+        this.nextBlockHandle += 1
+        this.blockListeners.set(handle, {
             onEvent,
-            onError || fallBackErrorHandler
-        )
+            onError: onError || fallBackErrorHandler
+        })
         this.blockEventMap.set(handle, true)
         return handle
     }
 
     /**
-     * Connects Eventhub if it is not connected and registers a listener to receive chaincode events. An error may be thrown by this call if no "onError" callback is provided and this EventHub has noticed that the connection has not been established. However since the connection establishment is running asynchronously, a register call could be made before this EventHub has been notified of the network issue. The best practice would be to provide an "onError" callback to be notified when this EventHub has an issue.
+     * Creates a stream of blocks that is also an async iterable, so blocks can be consumed with `for await`. Closing the stream or breaking out of the loop unregisters its listener, disconnecting the EventHub if nothing else is using it
+     * @param [opts] - The options for the stream
+     * @param {string} [opts.channelId] - Only stream the blocks of this channel, required with a start block
+     * @param {number} [opts.startBlock] - The block to start from, the blocks already committed are fetched as the stream is read once the channel's current block is known. Requires the EventHubManager to be able to get blocks
+     * @param {number} [opts.maxBufferedBlocks=1000] - The number of live blocks that may be buffered beyond the stream's high water mark while the consumer is not reading, as the EventHub cannot be paused. The stream fails with an error once the consumer falls further behind
+     * @returns The stream of blocks
+     */
+    blocks(
+        opts: {
+            channelId?: string,
+            startBlock?: number,
+            maxBufferedBlocks?: number
+        } = {}
+    ): EventStream {
+        const { channelId, startBlock, maxBufferedBlocks = 1000 } = opts
+        const { getBlock } = this
+        if (typeof startBlock === "number" && (!channelId || !getBlock)) {
+            throw new Error(
+                "Error streaming from a start block requires a channelId and an EventHubManager that can get blocks"
+            )
+        }
+        return new EventStream(stream => {
+            let nextBlockNumber = startBlock
+            let queue = Promise.resolve()
+            let overflow = 0
+            const pushLiveBlock = (block: Object) => {
+                if (stream.pushEvent(block)) {
+                    return
+                }
+                if (overflow === 0) {
+                    stream.waitForDemand().then(() => {
+                        overflow = 0
+                    })
+                }
+                overflow += 1
+                if (overflow > maxBufferedBlocks) {
+                    stream.fail(
+                        new Error(
+                            `Error the block stream was not read while more than ${
+                                maxBufferedBlocks
+                            } blocks were buffered`
+                        )
+                    )
+                }
+            }
+            const catchUp = async (endBlockNumber: number) => {
+                while (
+                    !stream.closed &&
+                    typeof nextBlockNumber === "number" &&
+                    nextBlockNumber < endBlockNumber &&
+                    channelId &&
+                    getBlock
+                ) {
+                    // eslint-disable-next-line no-await-in-loop
+                    const block = await getBlock(channelId, nextBlockNumber)
+                    nextBlockNumber += 1
+                    if (!stream.pushEvent(block)) {
+                        // eslint-disable-next-line no-await-in-loop
+                        await stream.waitForDemand()
+                    }
+                }
+            }
+            const onBlock = (block: Object) => {
+                if (channelId && getBlockChannelId(block) !== channelId) {
+                    return
+                }
+                if (typeof nextBlockNumber !== "number") {
+                    pushLiveBlock(block)
+                    return
+                }
+                const blockNumber = getBlockNumber(block)
+                queue = queue
+                    .then(() => catchUp(blockNumber))
+                    .then(() => {
+                        if (blockNumber === nextBlockNumber) {
+                            nextBlockNumber += 1
+                            pushLiveBlock(block)
+                        }
+                    })
+                    .catch(error => stream.fail(error))
+            }
+            const handle = this.registerBlockEvent(onBlock, error =>
+                stream.fail(error, true)
+            )
+            const lastBlockNumber = channelId
+                ? this.getLastBlockNumber(channelId)
+                : null
+            if (typeof lastBlockNumber === "number") {
+                queue = queue
+                    .then(() => catchUp(lastBlockNumber + 1))
+                    .catch(error => stream.fail(error))
+            }
+            return () => this.unregisterBlockEvent(handle)
+        })
+    }
+
+    /**
+     * Creates a stream of chaincode events that is also an async iterable, so events can be consumed with `for await`. Closing the stream or breaking out of the loop unregisters its listener, disconnecting the EventHub if nothing else is using it
+     * @param ccId - Id of the chaincode of interest
+     * @param eventName - The exact name of the chaincode event or a regex string to match more than one event by this chaincode
+     * @param [filter] - Function that takes a ChaincodeEvent and its ChaincodeEventInfo and returns whether to stream the event
+     * @returns The stream of ChaincodeEventRecords, each holding a ChaincodeEvent and its ChaincodeEventInfo
+     */
+    chaincodeEvents(
+        ccId: string,
+        eventName: string,
+        filter?: (event: Object, info: ChaincodeEventInfo) => boolean
+    ): EventStream {
+        return new EventStream(stream => {
+            const handle = this.registerChaincodeEvent(
+                ccId,
+                eventName,
+                (event, info) => {
+                    if (!filter || filter(event, info)) {
+                        const record: ChaincodeEventRecord = { event, info }
+                        stream.pushEvent(record)
+                    }
+                },
+                error => stream.fail(error, true)
+            )
+            return () => this.unregisterChaincodeEvent(handle)
+        })
+    }
+
+    /**
+     * Connects Eventhub if it is not connected and registers a listener to receive chaincode events.
      * @param ccId - Id of the chaincode of interest
      * @param eventName - The exact name of the chaincode event (must match the name given to the target chaincode's call to stub.SetEvent(name, payload)), or a regex string to match more than one event by this chaincode
-     * @param onEvent - Callback function for matched events. It gets passed a single parameter which is a ChaincodeEvent object
-     * @param [onError] - Optional callback function to be notified when this event hub is shutdown. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
+     * @param onEvent - Callback function for matched events. It gets passed the ChaincodeEvent object and a ChaincodeEventInfo with the channel, block, transaction and validation code the event was committed with. Events are delivered for every channel the peer is part of and for invalid transactions
+     * @param [onError] - Optional callback function to be notified when this event hub is shutdown and cannot be reconnected. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
      */
     registerChaincodeEvent(
         ccId: string,
@@ -128,13 +548,14 @@ export default class EventHubManager {
         onError?: Function,
         onConnectError?: Function
     ): Object {
-        this.connect()
-        const handle = this.eventHub.registerChaincodeEvent(
-            ccId,
-            eventName,
+        this.connect(onConnectError)
+        const handle = {
+            ccid: ccId,
+            eventNameFilter: new RegExp(eventName),
             onEvent,
-            onError || fallBackErrorHandler
-        )
+            onError: onError || fallBackErrorHandler
+        }
+        this.chaincodeListeners.add(handle)
         const currNumber = this.chaincodeEventMap.get(ccId)
         if (typeof currNumber === "undefined") {
             this.chaincodeEventMap.set(ccId, 1)
@@ -145,10 +566,10 @@ export default class EventHubManager {
     }
 
     /**
-     * Connects Eventhub if it is not connected and register a callback function to receive a notification when the transaction by the given id has been committed into a block. An error may be thrown by this call if no "onError" callback is provided and this EventHub has noticed that the connection has not been established. However since the connection establishment is running asynchronously, a register call could be made before this EventHub has been notified of the network issue. The best practice would be to provide an "onError" callback to be notified when this EventHub has an issue.
+     * Connects Eventhub if it is not connected and register a callback function to receive a notification when the transaction by the given id has been committed into a block.
      * @param txId - Transaction id string
-     * @param onEvent - Callback function that takes a parameter of type Transaction, and a string parameter which indicates if the transaction is valid (code = 'VALID'), or not (code string indicating the reason for invalid transaction)
-     * @param [onError] - Optional callback function to be notified when this event hub is shutdown. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
+     * @param onEvent - Callback function that takes a parameter of type Transaction, a string parameter which indicates if the transaction is valid (code = 'VALID'), or not (code string indicating the reason for invalid transaction), and the number of the block the transaction was committed in
+     * @param [onError] - Optional callback function to be notified when this event hub is shutdown and cannot be reconnected. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
      */
     registerTxEvent(
         txId: string,
@@ -156,12 +577,11 @@ export default class EventHubManager {
         onError?: Function,
         onConnectError?: Function
     ): string {
-        this.connect()
-        this.eventHub.registerTxEvent(
-            txId,
+        this.connect(onConnectError)
+        this.txListeners.set(txId, {
             onEvent,
-            onError || fallBackErrorHandler
-        )
+            onError: onError || fallBackErrorHandler
+        })
         const currNumber = this.txEventMap.get(txId)
         if (typeof currNumber === "undefined") {
             this.txEventMap.set(txId, 1)
@@ -176,14 +596,18 @@ export default class EventHubManager {
      * @ignore
      */
     disconnectEventHubIfUnused() {
-        if (
-            this.blockEventMap.size === 0 &&
-            this.chaincodeEventMap.size === 0 &&
-            this.txEventMap.size === 0 &&
-            this.errorCatcherHandle
-        ) {
+        if (this.hasListeners()) {
+            return
+        }
+        if (this.reconnectHandle) {
+            clearTimeout(this.reconnectHandle)
+            this.reconnectHandle = null
+        }
+        this.reconnectAttempt = 0
+        if (this.errorCatcherHandle) {
             this.eventHub.unregisterBlockEvent(this.errorCatcherHandle)
             this.errorCatcherHandle = null
+            this.connected = false
             this.eventHub.disconnect()
         }
     }
@@ -193,7 +617,7 @@ export default class EventHubManager {
      * @param handle - block registration number that was returned during registration.
      */
     unregisterBlockEvent(handle: number) {
-        const unregisterResult = this.eventHub.unregisterBlockEvent(handle)
+        const unregisterResult = this.blockListeners.delete(handle)
         this.blockEventMap.delete(handle)
         this.disconnectEventHubIfUnused()
         return unregisterResult
@@ -204,7 +628,7 @@ export default class EventHubManager {
      * @param handle - The handle object returned from the call to registerChaincodeEvent.
      */
     unregisterChaincodeEvent(handle: Object) {
-        const unregisterResult = this.eventHub.unregisterChaincodeEvent(handle)
+        const unregisterResult = this.chaincodeListeners.delete(handle)
         const ccId = handle.ccid
         const currNumber = this.chaincodeEventMap.get(ccId)
 
@@ -226,7 +650,7 @@ export default class EventHubManager {
      * @param txId - The transaction ID
      */
     unregisterTxEvent(txId: string) {
-        const unregisterResult = this.eventHub.unregisterTxEvent(txId)
+        const unregisterResult = this.txListeners.delete(txId)
         const currNumber = this.txEventMap.get(txId)
 
         if (typeof currNumber === "undefined") {
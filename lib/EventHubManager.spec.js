@@ -0,0 +1,411 @@
+import EventEmitter from "events"
+import { expect } from "chai"
+import _ from "lodash/fp"
+import EventHubManager from "./EventHubManager"
+import { createBlock } from "../test/stubs/blocks"
+
+class EventHubStub {
+    constructor() {
+        this.listeners = new Map()
+        this.nextHandle = 0
+        this.connected = false
+        this.connectCalls = 0
+        this.willConnect = true
+    }
+
+    registerBlockEvent(onEvent, onError) {
+        this.nextHandle += 1
+        this.listeners.set(this.nextHandle, { onEvent, onError })
+        return this.nextHandle
+    }
+
+    unregisterBlockEvent(handle) {
+        this.listeners.delete(handle)
+    }
+
+    connect() {
+        this.connectCalls += 1
+        if (this.willConnect) {
+            this.connected = true
+        } else {
+            setImmediate(() => this.fail(new Error("connection refused")))
+        }
+    }
+
+    isconnected() {
+        return this.connected
+    }
+
+    disconnect() {
+        this.connected = false
+    }
+
+    emitBlock(block) {
+        this.listeners.forEach(({ onEvent }) => onEvent(block))
+    }
+
+    fail(error) {
+        const listeners = [...this.listeners.values()]
+        this.connected = false
+        this.listeners.clear()
+        listeners.forEach(({ onError }) => onError(error))
+    }
+}
+
+const waitForEvent = (emitter, eventName) =>
+    new Promise(resolve => emitter.once(eventName, resolve))
+
+describe("EventHubManager", function() {
+    it("should serve block, transaction and chaincode listeners from a single EventHub listener", async function() {
+        const eventHub = new EventHubStub()
+        const eventHubManager = new EventHubManager(eventHub)
+        const blocks = []
+        const txEvents = []
+        const chaincodeEvents = []
+        eventHubManager.registerBlockEvent(block => blocks.push(block))
+        eventHubManager.registerTxEvent("tx1", (txId, code) =>
+            txEvents.push([txId, code])
+        )
+        eventHubManager.registerChaincodeEvent("mycc", "^transfer$", event =>
+            chaincodeEvents.push(event.event_name)
+        )
+        expect(eventHub.listeners.size).to.equal(1)
+
+        const event = { chaincode_id: "mycc", event_name: "transfer" }
+        eventHub.emitBlock(
+            createBlock(0, [
+                { txId: "tx1", code: 11, event },
+                { txId: "tx2", event: { ...event, event_name: "other" } }
+            ])
+        )
+        await eventHubManager.blockQueue
+        expect(blocks).to.have.lengthOf(1)
+        expect(txEvents).to.deep.equal([["tx1", "MVCC_READ_CONFLICT"]])
+        expect(chaincodeEvents).to.deep.equal(["transfer"])
+        expect(eventHubManager.getLastBlockNumber("mychannel")).to.equal(0)
+    })
+
+    it("should reconnect and replay the blocks missed while disconnected", async function() {
+        const eventHub = new EventHubStub()
+        const requestedBlocks = []
+        const eventHubManager = new EventHubManager(eventHub, {
+            initialReconnectDelay: 5,
+            getBlock: (channelId, blockNumber) => {
+                requestedBlocks.push([channelId, blockNumber])
+                return Promise.resolve(createBlock(blockNumber))
+            }
+        })
+        const blockNumbers = []
+        const lifecycle = []
+        eventHubManager.on("disconnected", () => lifecycle.push("disconnected"))
+        eventHubManager.on("reconnecting", ({ attempt, delay }) =>
+            lifecycle.push(`reconnecting ${attempt} ${delay}`)
+        )
+        eventHubManager.on("reconnected", () => lifecycle.push("reconnected"))
+        eventHubManager.registerBlockEvent(block =>
+            blockNumbers.push(Number(block.header.number))
+        )
+
+        eventHub.emitBlock(createBlock(1))
+        eventHub.fail(new Error("peer restarted"))
+        await waitForEvent(eventHubManager, "reconnected")
+        expect(eventHub.listeners.size).to.equal(1)
+
+        eventHub.emitBlock(createBlock(4))
+        eventHub.emitBlock(createBlock(4))
+        await eventHubManager.blockQueue
+        expect(requestedBlocks).to.deep.equal([
+            ["mychannel", 2],
+            ["mychannel", 3]
+        ])
+        expect(blockNumbers).to.deep.equal([1, 2, 3, 4])
+        expect(lifecycle).to.deep.equal([
+            "disconnected",
+            "reconnecting 1 5",
+            "reconnected"
+        ])
+    })
+
+    it("should deliver the live block and report a gap when missed blocks cannot be replayed", async function() {
+        const eventHub = new EventHubStub()
+        const eventHubManager = new EventHubManager(eventHub, {
+            getBlock: (channelId, blockNumber) =>
+                blockNumber === 2
+                    ? Promise.resolve(createBlock(blockNumber))
+                    : Promise.reject(new Error("peer unavailable"))
+        })
+        const blockNumbers = []
+        const gaps = []
+        eventHubManager.on("gap", gap => gaps.push(gap))
+        eventHubManager.registerBlockEvent(block =>
+            blockNumbers.push(Number(block.header.number))
+        )
+
+        eventHub.emitBlock(createBlock(1))
+        eventHub.emitBlock(createBlock(5))
+        await eventHubManager.blockQueue
+        expect(blockNumbers).to.deep.equal([1, 2, 5])
+        expect(gaps.map(({ error, ...gap }) => gap)).to.deep.equal([
+            { channelId: "mychannel", startBlock: 3, endBlock: 4 }
+        ])
+        expect(gaps[0].error.message).to.equal("peer unavailable")
+        expect(eventHubManager.getLastBlockNumber("mychannel")).to.equal(5)
+    })
+
+    it("should back off exponentially and notify listeners once it gives up", async function() {
+        const eventHub = new EventHubStub()
+        const eventHubManager = new EventHubManager(eventHub, {
+            initialReconnectDelay: 5,
+            maxReconnectAttempts: 3
+        })
+        const delays = []
+        eventHubManager.on("reconnecting", ({ delay }) => delays.push(delay))
+        const errorPromise = new Promise(resolve =>
+            eventHubManager.registerTxEvent("tx1", () => {}, resolve)
+        )
+        eventHub.willConnect = false
+        eventHub.fail(new Error("peer restarted"))
+
+        const error = await errorPromise
+        expect(error.message).to.equal("connection refused")
+        expect(delays).to.deep.equal([5, 10, 20])
+        expect(eventHub.connectCalls).to.equal(4)
+        expect(eventHubManager.txEventMap.size).to.equal(0)
+    })
+
+    it("should notify listeners straight away when reconnection is disabled", function() {
+        const eventHub = new EventHubStub()
+        const eventHubManager = new EventHubManager(eventHub, {
+            reconnect: false
+        })
+        const errors = []
+        eventHubManager.registerBlockEvent(
+            () => {},
+            error => errors.push(error.message)
+        )
+        eventHub.fail(new Error("peer restarted"))
+        expect(errors).to.deep.equal(["peer restarted"])
+        expect(eventHub.connectCalls).to.equal(1)
+    })
+
+    it("should pass the connection error callback of transaction and chaincode listeners on", function() {
+        const connectErrors = []
+        const onConnectError = error => connectErrors.push(error.message)
+        const txEventHub = new EventHubStub()
+        new EventHubManager(txEventHub, { reconnect: false }).registerTxEvent(
+            "tx1",
+            () => {},
+            () => {},
+            onConnectError
+        )
+        txEventHub.fail(new Error("peer restarted"))
+        const chaincodeEventHub = new EventHubStub()
+        new EventHubManager(chaincodeEventHub, {
+            reconnect: false
+        }).registerChaincodeEvent(
+            "mycc",
+            "transfer",
+            () => {},
+            () => {},
+            onConnectError
+        )
+        chaincodeEventHub.fail(new Error("connection refused"))
+        expect(connectErrors).to.deep.equal([
+            "peer restarted",
+            "connection refused"
+        ])
+    })
+
+    describe("connection readiness", function() {
+        // connects like fabric-client's EventHub, once its stream delivers the peer's answer to the registration
+        /* eslint-disable no-underscore-dangle */
+        class RegisteringEventHubStub extends EventHubStub {
+            connect() {
+                this.connectCalls += 1
+                this._stream = new EventEmitter()
+            }
+
+            acceptRegistration() {
+                this.connected = true
+                this._stream.emit("data", { Event: "register" })
+            }
+        }
+        /* eslint-enable no-underscore-dangle */
+
+        it("should emit connected and resolve ready once the EventHub connects", async function() {
+            const eventHub = new RegisteringEventHubStub()
+            const eventHubManager = new EventHubManager(eventHub)
+            const connectedEvents = []
+            eventHubManager.on("connected", () => connectedEvents.push(true))
+            eventHubManager.registerBlockEvent(() => {})
+            const ready = eventHubManager.ready(1000)
+            expect(connectedEvents).to.deep.equal([])
+
+            eventHub.acceptRegistration()
+            await ready
+            expect(connectedEvents).to.deep.equal([true])
+            expect(await eventHubManager.waitEventHubConnected()).to.equal(true)
+        })
+
+        it("should reject ready with the error once it gives up", async function() {
+            const eventHub = new RegisteringEventHubStub()
+            const eventHubManager = new EventHubManager(eventHub, {
+                reconnect: false
+            })
+            eventHubManager.onConnectError = () => {}
+            eventHubManager.registerBlockEvent(() => {}, () => {})
+            const ready = eventHubManager.ready(1000)
+            eventHub.fail(new Error("connection refused"))
+
+            const error = await ready.catch(e => e)
+            expect(error.message).to.equal("connection refused")
+        })
+
+        it("should resolve ready straight away when the EventHub is already connected", async function() {
+            const eventHub = new RegisteringEventHubStub()
+            const eventHubManager = new EventHubManager(eventHub)
+            eventHub.connected = true
+            await eventHubManager.ready(10)
+            expect(eventHubManager.connected).to.equal(true)
+        })
+
+        it("should only reject ready on timeout while it keeps reconnecting", async function() {
+            const eventHub = new EventHubStub()
+            const eventHubManager = new EventHubManager(eventHub, {
+                initialReconnectDelay: 1
+            })
+            eventHub.willConnect = false
+            eventHubManager.registerBlockEvent(() => {}, () => {})
+            eventHub.fail(new Error("peer restarted"))
+
+            const error = await eventHubManager.ready(50).catch(e => e)
+            expect(error.message).to.equal(
+                "Error timed out while waiting for eventhub"
+            )
+            expect(eventHub.connectCalls).to.be.above(2)
+            eventHubManager.unregisterBlockEvent(1)
+        })
+
+        it("should report whether it can connect", async function() {
+            const eventHub = new RegisteringEventHubStub()
+            const eventHubManager = new EventHubManager(eventHub)
+            expect(await eventHubManager.canConnect(10)).to.equal(false)
+            expect(eventHubManager.blockListeners.size).to.equal(0)
+
+            const canConnect = eventHubManager.canConnect(1000)
+            eventHub.acceptRegistration()
+            expect(await canConnect).to.equal(true)
+        })
+    })
+
+    describe("streams", function() {
+        it("should iterate over blocks and disconnect once the loop is exited", async function() {
+            const eventHub = new EventHubStub()
+            const eventHubManager = new EventHubManager(eventHub)
+            const stream = eventHubManager.blocks()
+            expect(eventHub.isconnected()).to.equal(true)
+            setImmediate(() => {
+                eventHub.emitBlock(createBlock(0))
+                eventHub.emitBlock(createBlock(1))
+                eventHub.emitBlock(createBlock(2))
+            })
+
+            const blockNumbers = []
+            // eslint-disable-next-line no-restricted-syntax
+            for await (const block of stream) {
+                blockNumbers.push(block.header.number)
+                if (blockNumbers.length === 2) {
+                    break
+                }
+            }
+            expect(blockNumbers).to.deep.equal(["0", "1"])
+            expect(eventHubManager.blockListeners.size).to.equal(0)
+            expect(eventHub.isconnected()).to.equal(false)
+        })
+
+        it("should fetch the blocks before the current block from the start block", async function() {
+            const eventHub = new EventHubStub()
+            const requested = []
+            const eventHubManager = new EventHubManager(eventHub, {
+                getBlock: (channelId, blockNumber) => {
+                    requested.push(blockNumber)
+                    return Promise.resolve(createBlock(blockNumber))
+                }
+            })
+            const stream = eventHubManager.blocks({
+                channelId: "mychannel",
+                startBlock: 1
+            })
+            setImmediate(() => eventHub.emitBlock(createBlock(4)))
+
+            const blockNumbers = []
+            // eslint-disable-next-line no-restricted-syntax
+            for await (const block of stream) {
+                blockNumbers.push(block.header.number)
+                if (blockNumbers.length === 4) {
+                    break
+                }
+            }
+            expect(blockNumbers).to.deep.equal(["1", "2", "3", "4"])
+            expect(requested).to.deep.equal([1, 2, 3])
+        })
+
+        it("should fail the stream once too many live blocks are buffered", async function() {
+            const eventHub = new EventHubStub()
+            const eventHubManager = new EventHubManager(eventHub)
+            const stream = eventHubManager.blocks({ maxBufferedBlocks: 2 })
+            const failed = new Promise(resolve => stream.once("error", resolve))
+            // the stream's high water mark is 16 blocks, so the 16th block fills its buffer
+            _.range(0, 17).forEach(i => eventHub.emitBlock(createBlock(i)))
+            await eventHubManager.blockQueue
+            expect(stream.closed).to.equal(false)
+
+            eventHub.emitBlock(createBlock(17))
+            const error = await failed
+            expect(error.message).to.equal(
+                "Error the block stream was not read while more than 2 blocks were buffered"
+            )
+            expect(eventHubManager.blockListeners.size).to.equal(0)
+        })
+
+        it("should require a channel and a way to get blocks to start from a block", function() {
+            const eventHubManager = new EventHubManager(new EventHubStub())
+            expect(() =>
+                eventHubManager.blocks({
+                    channelId: "mychannel",
+                    startBlock: 0
+                })
+            ).to.throw("requires a channelId and an EventHubManager")
+        })
+
+        it("should stream chaincode events and end with an error once the EventHub gives up", async function() {
+            const eventHub = new EventHubStub()
+            const eventHubManager = new EventHubManager(eventHub, {
+                reconnect: false
+            })
+            const stream = eventHubManager.chaincodeEvents("mycc", "^transfer$")
+            const event = { chaincode_id: "mycc", event_name: "transfer" }
+            setImmediate(() => {
+                eventHub.emitBlock(createBlock(0, [{ txId: "tx0", event }]))
+                setImmediate(() => eventHub.fail(new Error("peer stopped")))
+            })
+
+            const eventNames = []
+            const blockNumbers = []
+            let error
+            try {
+                // eslint-disable-next-line no-restricted-syntax
+                for await (const { event: chaincodeEvent, info } of stream) {
+                    eventNames.push(chaincodeEvent.event_name)
+                    blockNumbers.push(info.blockNumber)
+                }
+            } catch (e) {
+                error = e
+            }
+            expect(eventNames).to.deep.equal(["transfer"])
+            expect(blockNumbers).to.deep.equal([0])
+            expect(error.message).to.equal("peer stopped")
+            expect(eventHubManager.chaincodeListeners.size).to.equal(0)
+        })
+    })
+})
@@ -0,0 +1,150 @@
+// @flow
+
+import type FabricClient from "fabric-client"
+import type Peer from "fabric-client/lib/Peer"
+import Channel from "fabric-client/lib/Channel"
+import EventHub from "fabric-client/lib/EventHub"
+import type { ConnectionOpts } from "./FABRIC_FLOW_TYPES"
+import type UserClient from "./UserClient"
+import EventHubManager, { type EventHubManagerOpts } from "./EventHubManager"
+import ChannelEventHubManager from "./ChannelEventHubManager"
+
+type GetBlock = (channelId: string, blockNumber: number) => Promise<Object>
+
+/**
+ * Identifies a pooled event connection
+ * @typedef {Object} EventHubPoolRequest
+ * @property {string} [eventUrl] - The URL of the peer's EventHub, for connections to the EventHub
+ * @property {ConnectionOpts} [eventHubOpts] - The options for connecting to the event url
+ * @property {string} [channelName] - The channel the connection is for, required for the channel-based event service
+ * @property {Peer} [peer] - The peer to get missed blocks from, or to connect to the channel-based event service of if there is no eventUrl
+ * @property {Function} [getBlock] - Function that takes a channel name and block number and returns a promise containing the decoded block, used to get the missed blocks of channelName, or of every channel if there is no channelName. It must return filtered blocks for the channel-based event service. Defaults to the pool's getBlock and then to querying the peer
+ */
+export type EventHubPoolRequest = {
+    eventUrl?: string,
+    eventHubOpts?: ConnectionOpts,
+    channelName?: string,
+    peer?: Peer,
+    getBlock?: GetBlock
+}
+
+type PoolEntry = {
+    eventHubManager: EventHubManager,
+    getBlocks: Map<string, GetBlock>,
+    peer?: Peer
+}
+
+/**
+ * A pool of EventHubManagers, so the UserClients of many users share one connection per peer. Connections to a peer's EventHub are keyed by its event URL alone, as the EventHub delivers the blocks of every channel, so the EventHubPeer and the EventHubChannels of a peer share one connection. Connections to the channel-based event service are keyed by peer and channel. Every connection is authorised with the identity of the listener client rather than the users'. The EventHubs connect when the first listener of any user is registered and disconnect when the last one is unregistered. Pooled EventHubManagers are never removed and live for the life of the pool, which costs no connection while they have no listeners
+ * @param listenerClient - The Client/UserClient whose identity the pooled connections are made with
+ * @param [opts] - The options for the EventHubManagers created by the pool
+ */
+export default class EventHubPool {
+    fabricClient: FabricClient
+    opts: EventHubManagerOpts
+    entries: Map<string, PoolEntry>
+
+    constructor(
+        listenerClient: FabricClient | UserClient,
+        opts: EventHubManagerOpts = {}
+    ) {
+        this.fabricClient = (listenerClient: any).client || listenerClient
+        this.opts = opts
+        this.entries = new Map()
+    }
+
+    /**
+     * Gets the pooled EventHubManager for a peer event URL, or for a peer and channel when there is no event URL, creating it if it is not in the pool. The getBlock or peer of the request is used to get the missed blocks of its channel, or of every channel for a peer
+     * @param request - Identifies the connection
+     * @returns The EventHubManager
+     */
+    getEventHubManager(request: EventHubPoolRequest): EventHubManager {
+        const key = this.getKey(request)
+        let entry = this.entries.get(key)
+        if (!entry) {
+            const getBlocks = new Map()
+            const newEntry: PoolEntry = {
+                getBlocks,
+                eventHubManager: this.newEventHubManager(
+                    request,
+                    (channelId, blockNumber) =>
+                        this.getBlock(newEntry, channelId, blockNumber)
+                )
+            }
+            entry = newEntry
+            this.entries.set(key, entry)
+        }
+        const { channelName, peer, getBlock } = request
+        if (getBlock) {
+            entry.getBlocks.set(channelName || "", getBlock)
+        }
+        if (peer && !entry.peer) {
+            entry.peer = peer
+        }
+        return entry.eventHubManager
+    }
+
+    /**
+     * Gets the number of EventHubManagers in the pool
+     * @returns The number of pooled connections
+     */
+    size(): number {
+        return this.entries.size
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getKey({ eventUrl, channelName, peer }: EventHubPoolRequest): string {
+        if (eventUrl) {
+            return eventUrl
+        }
+        if (peer && channelName) {
+            return `${peer.getUrl()}#${channelName}`
+        }
+        throw new Error(
+            "Error either eventUrl or peer+channelName is required to get a pooled EventHubManager"
+        )
+    }
+
+    getBlock(
+        { eventHubManager, getBlocks, peer }: PoolEntry,
+        channelId: string,
+        blockNumber: number
+    ): Promise<Object> {
+        const getBlock =
+            getBlocks.get(channelId) || getBlocks.get("") || this.opts.getBlock
+        if (getBlock) {
+            return getBlock(channelId, blockNumber)
+        }
+        // the channel-based event service delivers filtered blocks, so its missed blocks are replayed as filtered blocks too
+        if (eventHubManager instanceof ChannelEventHubManager) {
+            return eventHubManager.queryBlock(channelId, blockNumber)
+        }
+        if (peer) {
+            return new Channel(channelId, this.fabricClient).queryBlock(
+                blockNumber,
+                peer
+            )
+        }
+        return Promise.reject(
+            new Error(`Error cannot get blocks of channel ${channelId}`)
+        )
+    }
+
+    newEventHubManager(
+        { eventUrl, eventHubOpts, channelName, peer }: EventHubPoolRequest,
+        getBlock: GetBlock
+    ): EventHubManager {
+        const { fabricClient } = this
+        const opts = { ...this.opts, getBlock }
+        if (!eventUrl && peer && channelName) {
+            return new ChannelEventHubManager(
+                new Channel(channelName, fabricClient),
+                peer,
+                opts
+            )
+        }
+        const eventHub = new EventHub(fabricClient)
+        eventHub.setPeerAddr(eventUrl, eventHubOpts)
+        return new EventHubManager(eventHub, opts)
+    }
+}
@@ -0,0 +1,69 @@
+import { expect } from "chai"
+import FabricClient from "fabric-client"
+import EventHubPool from "./EventHubPool"
+import ChannelEventHubManager from "./ChannelEventHubManager"
+
+describe("EventHubPool", function() {
+    const listenerClient = new FabricClient()
+    const eventUrl = "grpc://localhost:7053"
+
+    it("should share an EventHubManager per event url between channels and peers", function() {
+        const pool = new EventHubPool(listenerClient)
+        const peer = listenerClient.newPeer("grpc://localhost:7051")
+        const first = pool.getEventHubManager({
+            eventUrl,
+            channelName: "mychannel"
+        })
+        const otherChannel = pool.getEventHubManager({
+            eventUrl,
+            channelName: "otherchannel"
+        })
+        const fromPeer = pool.getEventHubManager({ eventUrl, peer })
+        expect(otherChannel).to.equal(first)
+        expect(fromPeer).to.equal(first)
+        expect(first.eventHub._clientContext).to.equal(listenerClient) // eslint-disable-line no-underscore-dangle
+        expect(pool.size()).to.equal(1)
+    })
+
+    it("should get missed blocks from the getBlock of their channel", async function() {
+        const pool = new EventHubPool(listenerClient)
+        const eventHubManager = pool.getEventHubManager({
+            eventUrl,
+            channelName: "mychannel",
+            getBlock: (channelId, blockNumber) =>
+                Promise.resolve({ channelId, blockNumber })
+        })
+        pool.getEventHubManager({
+            eventUrl,
+            channelName: "otherchannel",
+            getBlock: () => Promise.resolve("other")
+        })
+        expect(await eventHubManager.getBlock("mychannel", 3)).to.deep.equal({
+            channelId: "mychannel",
+            blockNumber: 3
+        })
+        expect(await eventHubManager.getBlock("otherchannel", 3)).to.equal(
+            "other"
+        )
+        const error = await eventHubManager.getBlock("unknown", 3).catch(e => e)
+        expect(error.message).to.equal(
+            "Error cannot get blocks of channel unknown"
+        )
+    })
+
+    it("should pool ChannelEventHubManagers when there is no event url", function() {
+        const pool = new EventHubPool(listenerClient)
+        const peer = listenerClient.newPeer("grpc://localhost:7051")
+        const eventHubManager = pool.getEventHubManager({
+            peer,
+            channelName: "mychannel"
+        })
+        expect(eventHubManager).to.be.an.instanceof(ChannelEventHubManager)
+        expect(
+            pool.getEventHubManager({ peer, channelName: "mychannel" })
+        ).to.equal(eventHubManager)
+        expect(() => pool.getEventHubManager({ peer })).to.throw(
+            "Error either eventUrl or peer+channelName is required to get a pooled EventHubManager"
+        )
+    })
+})
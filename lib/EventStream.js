@@ -0,0 +1,155 @@
+// @flow
+
+import { Readable } from "stream"
+
+const asyncIteratorSymbol: any =
+    (Symbol: any).asyncIterator || Symbol.for("Symbol.asyncIterator")
+
+/**
+ * Takes the stream to feed, registers a listener that pushes events onto it and returns a function that unregisters the listener
+ * @ignore
+ */
+// eslint-disable-next-line no-use-before-define
+export type EventSource = (stream: EventStream) => () => mixed
+
+/**
+ * A Node object mode Readable stream of events that is also an async iterable, so that it can be consumed with `for await`. Block streams push the blocks themselves and chaincode event streams push ChaincodeEventRecords, which hold the ChaincodeEvent along with the ChaincodeEventInfo of where it was committed. The listener is registered when the stream is created and unregistered when the stream is closed, which lets the EventHub disconnect if nothing else is using it. Breaking out of a `for await` loop closes the stream
+ * @param source - Registers the listener that feeds the stream
+ */
+export default class EventStream extends Readable {
+    unregister: ?() => mixed
+    demand: Array<() => void>
+    closed: boolean
+    failure: ?Error
+
+    constructor(source: EventSource) {
+        super({ objectMode: true })
+        this.demand = []
+        this.closed = false
+        this.failure = null
+        this.unregister = null
+        this.unregister = source(this)
+        if (this.closed) {
+            this.unregisterSource()
+        }
+    }
+
+    _read() {
+        this.satisfyDemand()
+    }
+
+    satisfyDemand() {
+        const demand = this.demand
+        this.demand = []
+        demand.forEach(resolve => resolve())
+    }
+
+    /**
+     * Returns a promise that resolves once the consumer wants more events, used by sources that can pull events to avoid filling the buffer
+     * @ignore
+     */
+    waitForDemand(): Promise<void> {
+        return new Promise(resolve => this.demand.push(resolve))
+    }
+
+    /**
+     * Pushes an event onto the stream
+     * @ignore
+     * @returns Whether the consumer wants more events, false if the buffer is full or the stream is closed
+     */
+    pushEvent(event: Object): boolean {
+        return !this.closed && this.push(event)
+    }
+
+    unregisterSource() {
+        if (this.unregister) {
+            const unregister = this.unregister
+            this.unregister = null
+            unregister()
+        }
+    }
+
+    /**
+     * Unregisters the listener feeding the stream and ends the stream once the buffered events have been read
+     */
+    close() {
+        if (this.closed) {
+            return
+        }
+        this.closed = true
+        this.unregisterSource()
+        this.satisfyDemand()
+        this.push(null)
+    }
+
+    /**
+     * Closes the stream with an error
+     * @ignore
+     * @param error - The error to emit
+     * @param [listenerRemoved=false] - Whether the listener feeding the stream has already been removed, e.g. because the EventHub gave up reconnecting
+     */
+    fail(error: Error, listenerRemoved: boolean = false) {
+        if (this.closed) {
+            return
+        }
+        if (listenerRemoved) {
+            this.unregister = null
+        }
+        this.failure = error
+        this.close()
+        process.nextTick(() => this.emit("error", error))
+    }
+
+    _destroy(error: ?Error, callback: (error: ?Error) => void) {
+        this.close()
+        callback(error)
+    }
+}
+
+// defined outside of the class body as Flow does not support computed method names
+;(EventStream.prototype: any)[asyncIteratorSymbol] = function eventIterator() {
+    const stream = this
+    let ended = false
+    stream.once("end", () => {
+        ended = true
+    })
+    // the error is rejected from next() instead
+    stream.on("error", () => {})
+    const done = () => ({ value: undefined, done: true })
+    return {
+        next() {
+            return new Promise((resolve, reject) => {
+                let cleanup
+                const tryRead = () => {
+                    const value = stream.read()
+                    if (value !== null) {
+                        cleanup()
+                        resolve({ value, done: false })
+                    } else if (stream.failure) {
+                        cleanup()
+                        reject(stream.failure)
+                    } else if (ended) {
+                        cleanup()
+                        resolve(done())
+                    }
+                }
+                cleanup = () => {
+                    stream.removeListener("readable", tryRead)
+                    stream.removeListener("end", tryRead)
+                    stream.removeListener("error", tryRead)
+                }
+                stream.on("readable", tryRead)
+                stream.on("end", tryRead)
+                stream.on("error", tryRead)
+                tryRead()
+            })
+        },
+        return() {
+            stream.close()
+            return Promise.resolve(done())
+        },
+        [asyncIteratorSymbol]() {
+            return this
+        }
+    }
+}
@@ -0,0 +1,208 @@
+// @flow
+
+import type EventHubManager from "./EventHubManager"
+import type { CheckpointStore } from "./checkpoint-stores"
+import type { IndexerSink, IndexedBlock } from "./indexer-sinks"
+import {
+    getBlockChannelId,
+    getBlockNumber,
+    isFilteredBlock,
+    normalizeBlock
+} from "./block-utils"
+
+export type LedgerIndexerOpts = {
+    indexerId: string,
+    eventHubManager: EventHubManager,
+    channelId: string,
+    sinks: Array<IndexerSink>,
+    checkpointStore: CheckpointStore,
+    getChannelHeight: () => Promise<number>,
+    startBlock?: number,
+    chaincodeIds?: Array<string>,
+    onError?: (error: Error) => void
+}
+
+/**
+ * Replays the state changes of a channel's ledger into off-chain stores. On start it replays the blocks committed since its checkpoint before switching to live blocks. Blocks are applied to the sinks one at a time and strictly in block order, and only the write sets of valid transactions are applied. The checkpoint moves past a block once every sink has applied it, so a block may be applied again after a restart
+ * @param opts - The options for the indexer
+ * @param {string} opts.indexerId - The ID the indexer's checkpoint is stored under
+ * @param {EventHubManager} opts.eventHubManager - The EventHubManager to receive blocks from, it must be able to get blocks to replay them and to get the full blocks of filtered blocks
+ * @param {string} opts.channelId - The name of the channel
+ * @param {Array<IndexerSink>} opts.sinks - The sinks to apply the state changes to
+ * @param {CheckpointStore} opts.checkpointStore - The store to persist the checkpoint in
+ * @param {Function} opts.getChannelHeight - Function that returns a promise containing the number of blocks in the channel
+ * @param {number} [opts.startBlock=0] - The block to start from if there is no checkpoint
+ * @param {Array<string>} [opts.chaincodeIds] - The chaincodes whose state changes are applied, defaults to all of them
+ * @param {Function} [opts.onError] - Callback for errors that stop the indexer after it has started, such as a sink failing or a block not being retrievable. Errors while catching up in start reject start instead
+ */
+export default class LedgerIndexer {
+    opts: LedgerIndexerOpts
+    nextBlockNumber: number
+    blockHandle: ?number
+    queue: Promise<void>
+    stopped: boolean
+
+    constructor(opts: LedgerIndexerOpts) {
+        this.opts = opts
+        this.nextBlockNumber = opts.startBlock || 0
+        this.blockHandle = null
+        this.queue = Promise.resolve()
+        this.stopped = true
+    }
+
+    /**
+     * Starts the indexer from its checkpoint
+     * @returns A promise that resolves once the blocks committed since the checkpoint have been applied. Rejects, stopping the indexer, if they cannot be applied
+     */
+    async start(): Promise<void> {
+        const {
+            indexerId,
+            checkpointStore,
+            eventHubManager,
+            channelId
+        } = this.opts
+        const checkpoint = await checkpointStore.load(indexerId)
+        if (checkpoint) {
+            this.nextBlockNumber = checkpoint.blockNumber + 1
+        }
+        this.stopped = false
+        this.blockHandle = eventHubManager.registerBlockEvent(
+            block => {
+                if (getBlockChannelId(block) === channelId) {
+                    this.enqueue(() => this.processLiveBlock(block))
+                }
+            },
+            error => this.fail(error)
+        )
+        let catchUpError = null
+        try {
+            const height = await this.opts.getChannelHeight()
+            await this.enqueue(
+                () => this.catchUp(height),
+                error => {
+                    catchUpError = error
+                }
+            )
+        } catch (error) {
+            catchUpError = error
+        }
+        if (catchUpError) {
+            this.stop()
+            throw catchUpError
+        }
+    }
+
+    /**
+     * Stops the indexer
+     */
+    stop() {
+        this.stopped = true
+        if (this.blockHandle != null) {
+            this.opts.eventHubManager.unregisterBlockEvent(this.blockHandle)
+            this.blockHandle = null
+        }
+    }
+
+    /**
+     * Gets the number of the next block the indexer will apply
+     * @returns The block number
+     */
+    getNextBlockNumber(): number {
+        return this.nextBlockNumber
+    }
+
+    enqueue(
+        task: () => Promise<void>,
+        onError: (error: Error) => void = error => this.fail(error)
+    ): Promise<void> {
+        this.queue = this.queue.then(() => {
+            if (!this.stopped) {
+                return task().catch(onError)
+            }
+            return undefined
+        })
+        return this.queue
+    }
+
+    fail(error: Error) {
+        this.stop()
+        if (this.opts.onError) {
+            this.opts.onError(error)
+        }
+    }
+
+    getBlock(blockNumber: number): Promise<Object> {
+        const { eventHubManager, channelId } = this.opts
+        if (!eventHubManager.getBlock) {
+            throw new Error(
+                "Error indexing blocks requires an EventHubManager that can get blocks"
+            )
+        }
+        return eventHubManager.getBlock(channelId, blockNumber)
+    }
+
+    async catchUp(endBlockNumber: number) {
+        while (!this.stopped && this.nextBlockNumber < endBlockNumber) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.processBlock(await this.getBlock(this.nextBlockNumber))
+        }
+    }
+
+    async processLiveBlock(block: Object) {
+        const blockNumber = getBlockNumber(block)
+        await this.catchUp(blockNumber)
+        if (this.stopped || blockNumber !== this.nextBlockNumber) {
+            return
+        }
+        // filtered blocks do not hold write sets
+        await this.processBlock(
+            isFilteredBlock(block) ? await this.getBlock(blockNumber) : block
+        )
+    }
+
+    async processBlock(block: Object) {
+        const { sinks, checkpointStore, indexerId } = this.opts
+        const indexedBlock = this.indexBlock(block)
+        for (let i = 0; i < sinks.length; i++) {
+            await sinks[i].applyBlock(indexedBlock) // eslint-disable-line no-await-in-loop
+        }
+        await checkpointStore.save(indexerId, {
+            blockNumber: indexedBlock.blockNumber,
+            txIndex: block.data.data.length - 1
+        })
+        this.nextBlockNumber = indexedBlock.blockNumber + 1
+    }
+
+    indexBlock(block: Object): IndexedBlock {
+        const { chaincodeIds } = this.opts
+        const { number: blockNumber, channelId, transactions } = normalizeBlock(
+            block
+        )
+        const changes = []
+        transactions.forEach(
+            ({ txId, txIndex, timestamp, validationCode, readWriteSets }) => {
+                if (validationCode !== "VALID") {
+                    return
+                }
+                readWriteSets.forEach(({ namespace, writes }) => {
+                    if (chaincodeIds && !chaincodeIds.includes(namespace)) {
+                        return
+                    }
+                    writes.forEach(({ key, value, isDelete }) =>
+                        changes.push({
+                            namespace,
+                            key,
+                            value: isDelete ? null : value,
+                            isDelete,
+                            txId,
+                            txIndex: (txIndex: any),
+                            blockNumber,
+                            timestamp
+                        })
+                    )
+                })
+            }
+        )
+        return { blockNumber, channelId, changes }
+    }
+}
@@ -0,0 +1,303 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { expect } from "chai"
+import LedgerIndexer from "./LedgerIndexer"
+import { newMemorySink, newJsonLinesFileSink } from "./indexer-sinks"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+import { createBlock } from "../test/stubs/blocks"
+
+const write = (key, value) => ({ key, is_delete: false, value })
+const remove = key => ({ key, is_delete: true, value: "" })
+
+function newMemoryCheckpointStore() {
+    const checkpoints = new Map()
+    return {
+        checkpoints,
+        load: id => Promise.resolve(checkpoints.get(id) || null),
+        save: (id, checkpoint) => {
+            checkpoints.set(id, checkpoint)
+            return Promise.resolve()
+        }
+    }
+}
+
+function createIndexer(eventHubManager, opts) {
+    return new LedgerIndexer({
+        indexerId: "indexer",
+        eventHubManager,
+        channelId: "mychannel",
+        getChannelHeight: () => Promise.resolve(eventHubManager.blocks.length),
+        ...opts
+    })
+}
+
+// the keys of the changes in a JSON lines file, and its block markers as they are
+function readJsonLines(file) {
+    return fs
+        .readFileSync(file, "utf8")
+        .trim()
+        .split("\n")
+        .map(line => JSON.parse(line))
+        .map(line => (line.key ? line.key : line))
+}
+
+describe("LedgerIndexer", function() {
+    it("should replay the write sets of valid transactions and then follow live blocks", async function() {
+        const eventHubManager = new EventHubManagerStub([
+            createBlock(0, [{ writes: [write("a", "1"), write("b", "2")] }]),
+            createBlock(1, [
+                { writes: [write("a", "bad")], code: 11 },
+                { writes: [remove("b")] },
+                { namespace: "othercc", writes: [write("c", "3")] }
+            ])
+        ])
+        const sink = newMemorySink()
+        const checkpointStore = newMemoryCheckpointStore()
+        const indexer = createIndexer(eventHubManager, {
+            sinks: [sink],
+            checkpointStore,
+            chaincodeIds: ["mycc"]
+        })
+        await indexer.start()
+        expect(sink.query("mycc")).to.deep.equal([
+            { key: "a", value: "1", blockNumber: 0, txId: "tx0-0" }
+        ])
+        expect(sink.query("othercc")).to.deep.equal([])
+        expect(checkpointStore.checkpoints.get("indexer")).to.deep.equal({
+            blockNumber: 1,
+            txIndex: 2
+        })
+
+        eventHubManager.commitBlock(
+            createBlock(2, [{ writes: [write("a", "4")] }])
+        )
+        await indexer.queue
+        expect(sink.get("mycc", "a")).to.include({ value: "4", blockNumber: 2 })
+        expect(sink.getBlockNumber()).to.equal(2)
+        indexer.stop()
+        expect(eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should resume from its checkpoint and fetch the full blocks of filtered blocks", async function() {
+        const eventHubManager = new EventHubManagerStub([
+            createBlock(0, [{ writes: [write("a", "1")] }]),
+            createBlock(1, [{ writes: [write("b", "2")] }])
+        ])
+        const checkpointStore = newMemoryCheckpointStore()
+        await checkpointStore.save("indexer", { blockNumber: 0, txIndex: 0 })
+        const appliedBlocks = []
+        const indexer = createIndexer(eventHubManager, {
+            sinks: [{ applyBlock: block => appliedBlocks.push(block) }],
+            checkpointStore
+        })
+        await indexer.start()
+        eventHubManager.commitBlock(
+            createBlock(2, [{ writes: [write("c", "3")] }]),
+            {
+                channel_id: "mychannel",
+                number: { low: 2, high: 0, unsigned: true },
+                filtered_tx: []
+            }
+        )
+        await indexer.queue
+        expect(
+            appliedBlocks.map(({ blockNumber }) => blockNumber)
+        ).to.deep.equal([1, 2])
+        expect(appliedBlocks[1].changes.map(({ key }) => key)).to.deep.equal([
+            "c"
+        ])
+        expect(indexer.getNextBlockNumber()).to.equal(3)
+    })
+
+    it("should stop and reject start when a sink fails while catching up", async function() {
+        const eventHubManager = new EventHubManagerStub([
+            createBlock(0, [{ writes: [write("a", "1")] }])
+        ])
+        const errors = []
+        const indexer = createIndexer(eventHubManager, {
+            sinks: [
+                {
+                    applyBlock: () =>
+                        Promise.reject(new Error("database unavailable"))
+                }
+            ],
+            checkpointStore: newMemoryCheckpointStore(),
+            onError: error => errors.push(error.message)
+        })
+        const error = await indexer.start().catch(e => e)
+        expect(error.message).to.equal("database unavailable")
+        expect(errors).to.deep.equal([])
+        expect(indexer.getNextBlockNumber()).to.equal(0)
+        expect(eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should stop and report the error when a sink fails on a live block", async function() {
+        const eventHubManager = new EventHubManagerStub([
+            createBlock(0, [{ writes: [write("a", "1")] }])
+        ])
+        const errors = []
+        const indexer = createIndexer(eventHubManager, {
+            sinks: [
+                {
+                    applyBlock: ({ blockNumber }) =>
+                        blockNumber === 0
+                            ? Promise.resolve()
+                            : Promise.reject(new Error("database unavailable"))
+                }
+            ],
+            checkpointStore: newMemoryCheckpointStore(),
+            onError: error => errors.push(error.message)
+        })
+        await indexer.start()
+        eventHubManager.commitBlock(
+            createBlock(1, [{ writes: [write("a", "2")] }])
+        )
+        await indexer.queue
+        expect(errors).to.deep.equal(["database unavailable"])
+        expect(indexer.getNextBlockNumber()).to.equal(1)
+        expect(eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should append state changes to a JSON lines file", async function() {
+        const file = path.join(
+            os.tmpdir(),
+            `fcw-indexer-${process.pid}-${Date.now()}.jsonl`
+        )
+        const sink = newJsonLinesFileSink(file)
+        try {
+            await sink.applyBlock({
+                blockNumber: 3,
+                channelId: "mychannel",
+                changes: [
+                    {
+                        namespace: "mycc",
+                        key: "a",
+                        value: "1",
+                        isDelete: false,
+                        blockNumber: 3
+                    },
+                    {
+                        namespace: "mycc",
+                        key: "b",
+                        value: null,
+                        isDelete: true,
+                        blockNumber: 3
+                    }
+                ]
+            })
+            // a sink created after a restart skips the blocks already in the file
+            await newJsonLinesFileSink(file).applyBlock({
+                blockNumber: 3,
+                channelId: "mychannel",
+                changes: [
+                    {
+                        namespace: "mycc",
+                        key: "a",
+                        value: "1",
+                        isDelete: false,
+                        blockNumber: 3
+                    }
+                ]
+            })
+            await sink.applyBlock({
+                blockNumber: 4,
+                channelId: "mychannel",
+                changes: [
+                    {
+                        namespace: "mycc",
+                        key: "c",
+                        value: "2",
+                        isDelete: false,
+                        blockNumber: 4
+                    }
+                ]
+            })
+            expect(readJsonLines(file)).to.deep.equal([
+                "a",
+                "b",
+                { endOfBlock: 3 },
+                "c",
+                { endOfBlock: 4 }
+            ])
+        } finally {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file)
+            }
+        }
+    })
+
+    it("should write a block that was torn by a crash again in full", async function() {
+        const file = path.join(
+            os.tmpdir(),
+            `fcw-indexer-torn-${process.pid}-${Date.now()}.jsonl`
+        )
+        // a value longer than the chunks the file is read back in
+        const value = "x".repeat(5000)
+        const change = (key, blockNumber) => ({
+            namespace: "mycc",
+            key,
+            value,
+            isDelete: false,
+            blockNumber
+        })
+        const tornLine = JSON.stringify(change("e", 4))
+        fs.writeFileSync(
+            file,
+            [
+                JSON.stringify(change("a", 3)),
+                JSON.stringify({ endOfBlock: 3 }),
+                JSON.stringify(change("d", 4)),
+                tornLine.slice(0, tornLine.length / 2)
+            ].join("\n")
+        )
+        try {
+            const sink = newJsonLinesFileSink(file)
+            await sink.applyBlock({
+                blockNumber: 3,
+                channelId: "mychannel",
+                changes: [change("a", 3)]
+            })
+            await sink.applyBlock({
+                blockNumber: 4,
+                channelId: "mychannel",
+                changes: [change("d", 4), change("e", 4)]
+            })
+            expect(readJsonLines(file)).to.deep.equal([
+                "a",
+                { endOfBlock: 3 },
+                "d",
+                "e",
+                { endOfBlock: 4 }
+            ])
+        } finally {
+            fs.unlinkSync(file)
+        }
+    })
+
+    it("should start the file again when no block was written in full", async function() {
+        const file = path.join(
+            os.tmpdir(),
+            `fcw-indexer-empty-${process.pid}-${Date.now()}.jsonl`
+        )
+        fs.writeFileSync(file, '{"namespace":"mycc","key":"a"}\n{"names')
+        try {
+            await newJsonLinesFileSink(file).applyBlock({
+                blockNumber: 2,
+                channelId: "mychannel",
+                changes: [
+                    {
+                        namespace: "mycc",
+                        key: "b",
+                        value: "1",
+                        isDelete: false,
+                        blockNumber: 2
+                    }
+                ]
+            })
+            expect(readJsonLines(file)).to.deep.equal(["b", { endOfBlock: 2 }])
+        } finally {
+            fs.unlinkSync(file)
+        }
+    })
+})
@@ -0,0 +1,101 @@
+// @flow
+
+import type Channel from "fabric-client/lib/Channel"
+import type Peer from "fabric-client/lib/Peer"
+import type UserClient from "./UserClient"
+import {
+    normalizeBlock,
+    normalizeTransaction,
+    type LedgerBlock,
+    type LedgerTransaction
+} from "./block-utils"
+
+/** Class for reading blocks and transactions from a channel's ledger as plain objects
+ * @param userClient - The UserClient to query the ledger with
+ * @param channel - The channel whose ledger is read
+ * @param [target] - The peer to query, defaults to the first peer of the channel
+ */
+export default class LedgerReader {
+    userClient: UserClient
+    channel: Channel
+    target: Peer | void
+
+    constructor(userClient: UserClient, channel: Channel, target?: Peer) {
+        this.userClient = userClient
+        this.channel = channel
+        this.target = target
+    }
+
+    /**
+     * Gets the number of blocks in the ledger
+     * @returns A promise containing the height of the ledger
+     */
+    async getHeight(): Promise<number> {
+        const { height } = await this.userClient.queryChannelInfo(
+            this.channel,
+            this.target
+        )
+        return Number(height.toString())
+    }
+
+    /**
+     * Gets a block
+     * @param blockNumber - The number of the block
+     * @returns A promise containing the block
+     */
+    async getBlock(blockNumber: number): Promise<LedgerBlock> {
+        return normalizeBlock(
+            await this.userClient.queryBlock(
+                this.channel,
+                blockNumber,
+                this.target
+            )
+        )
+    }
+
+    /**
+     * Gets the block holding a transaction
+     * @param txId - The ID of the transaction
+     * @returns A promise containing the block
+     */
+    async getBlockByTxId(txId: string): Promise<LedgerBlock> {
+        return normalizeBlock(
+            await this.userClient.queryBlockByTxID(
+                this.channel,
+                txId,
+                this.target
+            )
+        )
+    }
+
+    /**
+     * Gets a range of blocks, one at a time
+     * @param from - The number of the first block
+     * @param to - The number of the last block, inclusive
+     * @returns A promise containing the blocks in order
+     */
+    async getBlockRange(from: number, to: number): Promise<Array<LedgerBlock>> {
+        const blocks = []
+        for (let blockNumber = from; blockNumber <= to; blockNumber++) {
+            blocks.push(await this.getBlock(blockNumber)) // eslint-disable-line no-await-in-loop
+        }
+        return blocks
+    }
+
+    /**
+     * Gets a transaction. The peer does not say which block a transaction is in, use getBlockByTxId to find out
+     * @param txId - The ID of the transaction
+     * @returns A promise containing the transaction
+     */
+    async getTransaction(txId: string): Promise<LedgerTransaction> {
+        const {
+            transactionEnvelope,
+            validationCode
+        } = await this.userClient.queryTransaction(
+            this.channel,
+            txId,
+            this.target
+        )
+        return normalizeTransaction(transactionEnvelope, validationCode)
+    }
+}
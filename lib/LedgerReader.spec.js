@@ -0,0 +1,178 @@
+import fs from "fs"
+import path from "path"
+import { expect } from "chai"
+import LedgerReader from "./LedgerReader"
+import loadProto from "./protos"
+
+const chaincodeProto = loadProto("peer/chaincode.proto", "protos")
+
+const certificate = fs.readFileSync(
+    path.join(
+        __dirname,
+        "../test/fixtures/network/two-peer-orgs-network/crypto-config/peerOrganizations/org1.example.com/users/Admin@org1.example.com/msp/admincerts/Admin@org1.example.com-cert.pem"
+    ),
+    "utf8"
+)
+
+function createEnvelope(txId, args) {
+    const input = new chaincodeProto.ChaincodeInvocationSpec({
+        chaincode_spec: {
+            type: chaincodeProto.ChaincodeSpec.Type.GOLANG,
+            chaincode_id: { name: "mycc" },
+            input: { args: args.map(arg => Buffer.from(arg)) }
+        }
+    }).toBuffer()
+    return {
+        payload: {
+            header: {
+                channel_header: {
+                    type: 3,
+                    channel_id: "mychannel",
+                    tx_id: txId,
+                    timestamp: "Tue Mar 13 2018 10:00:00 GMT+0000 (UTC)"
+                },
+                signature_header: {
+                    creator: { Mspid: "Org1MSP", IdBytes: certificate }
+                }
+            },
+            data: {
+                actions: [
+                    {
+                        payload: {
+                            chaincode_proposal_payload: { input },
+                            action: {
+                                proposal_response_payload: {
+                                    extension: {
+                                        results: {
+                                            ns_rwset: [
+                                                {
+                                                    namespace: "mycc",
+                                                    rwset: {
+                                                        reads: [
+                                                            {
+                                                                key: "a",
+                                                                version: {
+                                                                    block_num:
+                                                                        "3",
+                                                                    tx_num: "0"
+                                                                }
+                                                            },
+                                                            {
+                                                                key: "b",
+                                                                version: null
+                                                            }
+                                                        ],
+                                                        writes: [
+                                                            {
+                                                                key: "a",
+                                                                is_delete: false,
+                                                                value: "90"
+                                                            }
+                                                        ]
+                                                    }
+                                                }
+                                            ]
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            }
+        }
+    }
+}
+
+function createBlock(number) {
+    return {
+        header: {
+            number: String(number),
+            previous_hash: "aa",
+            data_hash: "bb"
+        },
+        data: { data: [createEnvelope(`tx${number}`, ["transfer", "a"])] },
+        metadata: { metadata: [{}, {}, [11]] }
+    }
+}
+
+function createUserClient() {
+    return {
+        queryChannelInfo: () =>
+            Promise.resolve({ height: { toString: () => "6" } }),
+        queryBlock: (channel, blockNumber) =>
+            Promise.resolve(createBlock(blockNumber)),
+        queryBlockByTxID: (channel, txId) =>
+            Promise.resolve(createBlock(Number(txId.slice(2)))),
+        queryTransaction: (channel, txId) =>
+            Promise.resolve({
+                validationCode: 0,
+                transactionEnvelope: createEnvelope(txId, ["init"])
+            })
+    }
+}
+
+describe("LedgerReader", function() {
+    const ledgerReader = new LedgerReader(createUserClient(), {})
+
+    it("should read blocks as plain objects", async function() {
+        const block = await ledgerReader.getBlock(4)
+        expect(block).to.deep.include({
+            number: 4,
+            channelId: "mychannel",
+            previousHash: "aa",
+            dataHash: "bb"
+        })
+        expect(block.transactions).to.deep.equal([
+            {
+                txId: "tx4",
+                channelId: "mychannel",
+                type: "ENDORSER_TRANSACTION",
+                timestamp: "2018-03-13T10:00:00.000Z",
+                creator: {
+                    mspId: "Org1MSP",
+                    certificate,
+                    subject:
+                        "/C=US/ST=California/L=San Francisco/CN=Admin@org1.example.com"
+                },
+                validationCode: "MVCC_READ_CONFLICT",
+                chaincodeId: "mycc",
+                fcn: "transfer",
+                args: ["a"],
+                readWriteSets: [
+                    {
+                        namespace: "mycc",
+                        reads: [
+                            {
+                                key: "a",
+                                version: { blockNumber: 3, txNumber: 0 }
+                            },
+                            { key: "b", version: null }
+                        ],
+                        writes: [{ key: "a", isDelete: false, value: "90" }]
+                    }
+                ],
+                blockNumber: 4,
+                txIndex: 0
+            }
+        ])
+    })
+
+    it("should read ranges of blocks and blocks by transaction", async function() {
+        const blocks = await ledgerReader.getBlockRange(2, 4)
+        expect(blocks.map(({ number }) => number)).to.deep.equal([2, 3, 4])
+        expect((await ledgerReader.getBlockByTxId("tx5")).number).to.equal(5)
+        expect(await ledgerReader.getHeight()).to.equal(6)
+    })
+
+    it("should read transactions", async function() {
+        const transaction = await ledgerReader.getTransaction("tx1")
+        expect(transaction).to.include({
+            txId: "tx1",
+            validationCode: "VALID",
+            fcn: "init"
+        })
+        expect(transaction.args).to.deep.equal([])
+        expect(transaction).to.not.have.property("blockNumber")
+    })
+})
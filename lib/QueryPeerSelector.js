@@ -0,0 +1,195 @@
+// @flow
+
+import _ from "lodash/fp"
+import type Peer from "fabric-client/lib/Peer"
+import { EndorsementError, TimeoutError } from "./errors"
+import { isFcwPeer } from "./fabric-client-extended/FcwPeer"
+
+type PeerStats = {
+    latency: ?number,
+    ejectedUntil: number
+}
+
+export type QueryStrategy =
+    | "roundRobin"
+    | "leastLatency"
+    | "random"
+    | "sameMspFirst"
+    | ((peers: Array<Peer>, selector: QueryPeerSelector) => Array<Peer>) // eslint-disable-line no-use-before-define
+
+// weight given to the latest latency when averaging
+const LATENCY_SMOOTHING = 0.3
+
+function isConnectionError(error: Error): boolean {
+    // endorsement errors without a status come from grpc rather than the chaincode
+    return (
+        error instanceof TimeoutError ||
+        (error instanceof EndorsementError && error.status == null)
+    )
+}
+
+/**
+ * Orders the peers used for queries and fails over to the next peer when a peer cannot be reached. Peers that cannot be reached are ejected for a while and are only used again once every other peer has also been ejected
+ * @param peers - The peers to query or a function returning them, e.g. `() => channel.getPeers()`
+ * @param [opts] - The options for selecting peers
+ * @param {string|Function} [opts.strategy='roundRobin'] - How to order the healthy peers, one of 'roundRobin', 'leastLatency', 'random' or 'sameMspFirst', or a function that takes the healthy peers and the selector and returns them in the order they should be tried
+ * @param {string} [opts.mspId] - The MSP ID whose peers are preferred by the 'sameMspFirst' strategy
+ * @param {number} [opts.ejectionTime=30000] - The number of ms a peer is ejected for after a connection error
+ */
+export default class QueryPeerSelector {
+    getPeers: () => Array<Peer>
+    strategy: QueryStrategy
+    mspId: ?string
+    ejectionTime: number
+    stats: Map<Peer, PeerStats>
+    nextIndex: number
+
+    constructor(
+        peers: Array<Peer> | (() => Array<Peer>),
+        opts: {
+            strategy?: QueryStrategy,
+            mspId?: string,
+            ejectionTime?: number
+        } = {}
+    ) {
+        const strategy = opts.strategy || "roundRobin"
+        if (Array.isArray(peers)) {
+            const peerArray = peers
+            this.getPeers = () => peerArray
+        } else {
+            this.getPeers = peers
+        }
+        if (
+            typeof strategy !== "function" &&
+            !["roundRobin", "leastLatency", "random", "sameMspFirst"].includes(
+                strategy
+            )
+        ) {
+            throw new Error(`Error unknown query strategy ${strategy}`)
+        }
+        this.strategy = strategy
+        this.mspId = opts.mspId
+        this.ejectionTime =
+            typeof opts.ejectionTime === "number" ? opts.ejectionTime : 30000
+        this.stats = new Map()
+        this.nextIndex = 0
+    }
+
+    getStats(peer: Peer): PeerStats {
+        const stats = this.stats.get(peer)
+        if (stats) {
+            return stats
+        }
+        const newStats = { latency: null, ejectedUntil: 0 }
+        this.stats.set(peer, newStats)
+        return newStats
+    }
+
+    /**
+     * Checks whether a peer is currently ejected
+     * @param peer - The peer to check
+     * @returns true if the peer is ejected, false otherwise
+     */
+    isEjected(peer: Peer): boolean {
+        return this.getStats(peer).ejectedUntil > Date.now()
+    }
+
+    /**
+     * Gets the average latency of successful queries to a peer
+     * @param peer - The peer
+     * @returns The latency in ms, or null if the peer has not been queried yet
+     */
+    getLatency(peer: Peer): ?number {
+        return this.getStats(peer).latency
+    }
+
+    /**
+     * Records a successful query, readmitting the peer if it was ejected
+     * @param peer - The peer that was queried
+     * @param latency - The time the query took in ms
+     */
+    reportSuccess(peer: Peer, latency: number) {
+        const stats = this.getStats(peer)
+        stats.latency =
+            stats.latency == null
+                ? latency
+                : stats.latency * (1 - LATENCY_SMOOTHING) +
+                  latency * LATENCY_SMOOTHING
+        stats.ejectedUntil = 0
+    }
+
+    /**
+     * Records that a peer could not be reached, ejecting it
+     * @param peer - The peer that could not be reached
+     */
+    reportFailure(peer: Peer) {
+        this.getStats(peer).ejectedUntil = Date.now() + this.ejectionTime
+    }
+
+    orderHealthyPeers(peers: Array<Peer>): Array<Peer> {
+        const { strategy } = this
+        if (typeof strategy === "function") {
+            return strategy(peers, this)
+        }
+        if (strategy === "random") {
+            return _.shuffle(peers)
+        }
+        if (strategy === "leastLatency") {
+            // peers that have not been queried yet are tried first so their latency is measured
+            return _.sortBy(peer => this.getLatency(peer) || 0, peers)
+        }
+        const start = this.nextIndex % (peers.length || 1)
+        this.nextIndex += 1
+        const rotated = [...peers.slice(start), ...peers.slice(0, start)]
+        if (strategy === "sameMspFirst") {
+            const [ownPeers, otherPeers] = _.partition(
+                peer => isFcwPeer(peer) && peer.getMspId() === this.mspId,
+                rotated
+            )
+            return [...ownPeers, ...otherPeers]
+        }
+        return rotated
+    }
+
+    /**
+     * Gets the peers in the order they should be tried for the next query
+     * @returns The healthy peers ordered by the strategy, or the ejected peers ordered by how soon their ejection ends if every peer is ejected
+     */
+    selectPeers(): Array<Peer> {
+        const peers = this.getPeers()
+        const healthyPeers = peers.filter(peer => !this.isEjected(peer))
+        if (healthyPeers.length) {
+            return this.orderHealthyPeers(healthyPeers)
+        }
+        return _.sortBy(peer => this.getStats(peer).ejectedUntil, peers)
+    }
+
+    /**
+     * Runs a query against the selected peers, failing over to the next peer when a peer cannot be reached
+     * @param send - Function that queries a single peer
+     * @returns The response of the first peer that could be reached
+     */
+    async query<T>(send: (peer: Peer) => Promise<T>): Promise<T> {
+        const peers = this.selectPeers()
+        if (!peers.length) {
+            throw new Error("Error QueryPeerSelector has no peers to query")
+        }
+        let lastError
+        for (let i = 0; i < peers.length; i++) {
+            const peer = peers[i]
+            const start = Date.now()
+            try {
+                const response = await send(peer) // eslint-disable-line no-await-in-loop
+                this.reportSuccess(peer, Date.now() - start)
+                return response
+            } catch (error) {
+                if (!isConnectionError(error)) {
+                    throw error
+                }
+                this.reportFailure(peer)
+                lastError = error
+            }
+        }
+        throw lastError
+    }
+}
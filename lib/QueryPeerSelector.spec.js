@@ -0,0 +1,111 @@
+import { expect } from "chai"
+import QueryPeerSelector from "./QueryPeerSelector"
+import { EndorsementError } from "./errors"
+
+function createPeer(name, mspId) {
+    return {
+        name,
+        getUrl: () => `grpc://${name}:7051`,
+        getMspId: () => mspId
+    }
+}
+
+const names = peers => peers.map(({ name }) => name)
+
+describe("QueryPeerSelector", function() {
+    let peers
+    beforeEach(function() {
+        peers = [
+            createPeer("peer0", "Org1MSP"),
+            createPeer("peer1", "Org2MSP"),
+            createPeer("peer2", "Org2MSP")
+        ]
+    })
+
+    it("should rotate through the peers with the roundRobin strategy", function() {
+        const selector = new QueryPeerSelector(peers)
+        expect(names(selector.selectPeers())).to.deep.equal([
+            "peer0",
+            "peer1",
+            "peer2"
+        ])
+        expect(names(selector.selectPeers())).to.deep.equal([
+            "peer1",
+            "peer2",
+            "peer0"
+        ])
+    })
+
+    it("should prefer the fastest peers with the leastLatency strategy", function() {
+        const selector = new QueryPeerSelector(peers, {
+            strategy: "leastLatency"
+        })
+        selector.reportSuccess(peers[0], 50)
+        selector.reportSuccess(peers[1], 10)
+        selector.reportSuccess(peers[2], 30)
+        expect(names(selector.selectPeers())).to.deep.equal([
+            "peer1",
+            "peer2",
+            "peer0"
+        ])
+    })
+
+    it("should try the peers of its own MSP first with the sameMspFirst strategy", function() {
+        const selector = new QueryPeerSelector(peers, {
+            strategy: "sameMspFirst",
+            mspId: "Org2MSP"
+        })
+        expect(names(selector.selectPeers())).to.deep.equal([
+            "peer1",
+            "peer2",
+            "peer0"
+        ])
+    })
+
+    it("should fail over to the next peer and eject peers that cannot be reached", async function() {
+        const selector = new QueryPeerSelector(peers)
+        const queried = []
+        const response = await selector.query(peer => {
+            queried.push(peer.name)
+            return peer.name === "peer0"
+                ? Promise.reject(new EndorsementError("Connect Failed"))
+                : Promise.resolve(peer.name)
+        })
+        expect(response).to.equal("peer1")
+        expect(queried).to.deep.equal(["peer0", "peer1"])
+        expect(selector.isEjected(peers[0])).to.equal(true)
+        expect(names(selector.selectPeers())).to.not.include("peer0")
+    })
+
+    it("should not fail over on chaincode errors", async function() {
+        const selector = new QueryPeerSelector(peers)
+        const queried = []
+        const error = await selector
+            .query(peer => {
+                queried.push(peer.name)
+                return Promise.reject(
+                    new EndorsementError("chaincode error", { status: 500 })
+                )
+            })
+            .catch(e => e)
+        expect(error.status).to.equal(500)
+        expect(queried).to.deep.equal(["peer0"])
+        expect(selector.isEjected(peers[0])).to.equal(false)
+    })
+
+    it("should use ejected peers once every peer has been ejected", function() {
+        const selector = new QueryPeerSelector(peers.slice(0, 2), {
+            ejectionTime: 1000
+        })
+        selector.reportFailure(peers[1])
+        selector.ejectionTime = 2000
+        selector.reportFailure(peers[0])
+        expect(names(selector.selectPeers())).to.deep.equal(["peer1", "peer0"])
+    })
+
+    it("should reject unknown strategies", function() {
+        expect(
+            () => new QueryPeerSelector(peers, { strategy: "fastest" })
+        ).to.throw("Error unknown query strategy fastest")
+    })
+})
@@ -0,0 +1,274 @@
+// @flow
+import EventEmitter from "events"
+import crypto from "crypto"
+import type Channel from "fabric-client/lib/Channel"
+import type Peer from "fabric-client/lib/Peer"
+import type EventHubManager from "./EventHubManager"
+import {
+    getBlockChannelId,
+    getBlockNumber,
+    getBlockTransactions
+} from "./block-utils"
+import { isEventHubChannel } from "./fabric-client-extended/EventHubChannel"
+import {
+    newMemoryJournalStore,
+    type JournalStore,
+    type TransactionReceipt
+} from "./journal-stores"
+
+type CommitWatcher = {
+    handle: number,
+    channelIds: Map<string, string>,
+    blockCounts: Map<string, number>,
+    lastBlockCounts: Map<string, number>
+}
+
+/**
+ * Hashes the arguments of an invoke for its receipt
+ * @ignore
+ * @param argsOrArgBytes - The string arguments or argument bytes of the invoke
+ * @returns The hex encoded SHA-256 hash
+ */
+export function hashArgs(argsOrArgBytes: ?(Array<string> | Buffer)): string {
+    const hash = crypto.createHash("sha256")
+    if (Buffer.isBuffer(argsOrArgBytes)) {
+        hash.update((argsOrArgBytes: any))
+    } else {
+        hash.update(JSON.stringify(argsOrArgBytes || []))
+    }
+    return hash.digest("hex")
+}
+
+/**
+ * Records the invokes submitted by a UserClient and what became of them. Commits are recorded from the EventHubManager of the channel the invoke was submitted on, so receipts of invokes on channels that are not EventHubChannels stay pending until recordCommitted is called for them. An invoke that is not seen committed within maxCommitBlocks blocks of its channel is recorded as failed. Emits 'receipt' with every receipt written and 'error' if a receipt written in the background, or the failure of an invoke the orderer rejected, could not be persisted
+ * @param [store] - The store to persist receipts in, defaults to keeping them in memory
+ * @param [opts] - The options for the journal
+ * @param {number} [opts.maxCommitBlocks=100] - The number of blocks committed on the channel of an invoke after which the invoke is recorded as failed if its commit has not been seen
+ */
+export default class TransactionJournal extends EventEmitter {
+    store: JournalStore
+    watchers: Map<EventHubManager, CommitWatcher>
+    maxCommitBlocks: number
+
+    constructor(
+        store: JournalStore = newMemoryJournalStore(),
+        { maxCommitBlocks = 100 }: { maxCommitBlocks?: number } = {}
+    ) {
+        super()
+        this.store = store
+        this.watchers = new Map()
+        this.maxCommitBlocks = maxCommitBlocks
+    }
+
+    /**
+     * Records an invoke that is about to be sent to the orderer as pending, and starts listening for its commit
+     * @param channel - The channel the invoke is submitted on
+     * @param opts - The invoke
+     * @param {string} opts.txId - The ID of the transaction
+     * @param {string} opts.chaincodeId - The chaincode that is invoked
+     * @param {string} [opts.fcn='invoke'] - The chaincode function that is invoked
+     * @param {Array<string>|Buffer} [opts.args] - The arguments of the invoke, only their hash is recorded
+     * @param {Array<Peer>} [opts.endorsingPeers] - The peers that endorsed the transaction
+     * @returns A promise containing the receipt, resolving once it has been persisted
+     */
+    async recordSubmitted(
+        channel: Channel,
+        {
+            txId,
+            chaincodeId,
+            fcn,
+            args,
+            endorsingPeers
+        }: {
+            txId: string,
+            chaincodeId: string,
+            fcn?: string,
+            args?: Array<string> | Buffer,
+            endorsingPeers?: Array<Peer>
+        }
+    ): Promise<TransactionReceipt> {
+        const receipt = {
+            txId,
+            channelId: channel.getName(),
+            chaincodeId,
+            fcn: fcn || "invoke",
+            argsHash: hashArgs(args),
+            endorsingPeers: (endorsingPeers || []).map(peer => peer.getUrl()),
+            submitTime: Date.now(),
+            status: "PENDING"
+        }
+        await this.write(receipt)
+        if (isEventHubChannel(channel)) {
+            this.watchCommit(
+                channel.getEventHubManager(),
+                receipt.channelId,
+                txId
+            )
+        }
+        return receipt
+    }
+
+    /**
+     * Records that a transaction was committed
+     * @param txId - The ID of the transaction
+     * @param commit - Where and how the transaction was committed
+     * @param {number} [commit.blockNumber] - The block the transaction was committed in
+     * @param {string} commit.validationCode - The validation code the transaction was committed with
+     * @returns A promise containing the updated receipt, or null if the transaction is not in the journal
+     */
+    async recordCommitted(
+        txId: string,
+        {
+            blockNumber,
+            validationCode
+        }: { blockNumber?: number, validationCode: string }
+    ): Promise<?TransactionReceipt> {
+        this.unwatchCommit(txId)
+        const receipt = await this.store.get(txId)
+        if (!receipt) {
+            return null
+        }
+        return this.write({
+            ...receipt,
+            status: validationCode === "VALID" ? "COMMITTED" : "INVALID",
+            blockNumber,
+            validationCode,
+            latency: Date.now() - receipt.submitTime
+        })
+    }
+
+    /**
+     * Records that a transaction failed, such as when it was not accepted by the orderer or its commit was not seen in time
+     * @param txId - The ID of the transaction
+     * @param error - Why the transaction failed
+     * @returns A promise containing the updated receipt, or null if the transaction is not in the journal
+     */
+    async recordFailed(
+        txId: string,
+        error: Error
+    ): Promise<?TransactionReceipt> {
+        this.unwatchCommit(txId)
+        const receipt = await this.store.get(txId)
+        if (!receipt) {
+            return null
+        }
+        return this.write({
+            ...receipt,
+            status: "FAILED",
+            error: error.message
+        })
+    }
+
+    /**
+     * Gets the receipt of a transaction
+     * @param txId - The ID of the transaction
+     * @returns A promise containing the receipt, or null if the transaction is not in the journal
+     */
+    getReceipt(txId: string): Promise<?TransactionReceipt> {
+        return this.store.get(txId)
+    }
+
+    /**
+     * Lists the transactions that have been submitted but not yet seen committed
+     * @returns A promise containing the receipts of the pending transactions
+     */
+    listPending(): Promise<Array<TransactionReceipt>> {
+        return this.store.listPending()
+    }
+
+    async write(receipt: TransactionReceipt): Promise<TransactionReceipt> {
+        await this.store.put(receipt)
+        this.emit("receipt", receipt)
+        return receipt
+    }
+
+    watchCommit(
+        eventHubManager: EventHubManager,
+        channelId: string,
+        txId: string
+    ) {
+        let watcher = this.watchers.get(eventHubManager)
+        if (!watcher) {
+            const channelIds = new Map()
+            const blockCounts = new Map()
+            const lastBlockCounts = new Map()
+            const handle = eventHubManager.registerBlockEvent(
+                block => {
+                    getBlockTransactions(block).forEach(
+                        ({
+                            txId: blockTxId,
+                            channelId: blockChannelId,
+                            validationCode
+                        }) => {
+                            if (channelIds.get(blockTxId) !== blockChannelId) {
+                                return
+                            }
+                            this.recordCommitted(blockTxId, {
+                                blockNumber: getBlockNumber(block),
+                                validationCode
+                            }).catch(error => this.handleError(error))
+                        }
+                    )
+                    this.failUncommitted(
+                        channelIds,
+                        blockCounts,
+                        lastBlockCounts,
+                        getBlockChannelId(block)
+                    )
+                },
+                // the receipts stay pending, so they can still be recovered
+                () => this.watchers.delete(eventHubManager)
+            )
+            watcher = { handle, channelIds, blockCounts, lastBlockCounts }
+            this.watchers.set(eventHubManager, watcher)
+        }
+        watcher.channelIds.set(txId, channelId)
+        watcher.lastBlockCounts.set(
+            txId,
+            (watcher.blockCounts.get(channelId) || 0) + this.maxCommitBlocks
+        )
+    }
+
+    // records the transactions of the channel whose commits have not been seen within maxCommitBlocks blocks as failed, the transactions committed in the block have already been unwatched
+    failUncommitted(
+        channelIds: Map<string, string>,
+        blockCounts: Map<string, number>,
+        lastBlockCounts: Map<string, number>,
+        channelId: string
+    ) {
+        const blockCount = (blockCounts.get(channelId) || 0) + 1
+        blockCounts.set(channelId, blockCount)
+        const expiredTxIds = [...channelIds.keys()].filter(
+            txId =>
+                channelIds.get(txId) === channelId &&
+                (lastBlockCounts.get(txId) || 0) <= blockCount
+        )
+        expiredTxIds.forEach(txId =>
+            this.recordFailed(
+                txId,
+                new Error(
+                    `Error transaction was not committed within ${
+                        this.maxCommitBlocks
+                    } blocks`
+                )
+            ).catch(error => this.handleError(error))
+        )
+    }
+
+    unwatchCommit(txId: string) {
+        this.watchers.forEach((watcher, eventHubManager) => {
+            watcher.lastBlockCounts.delete(txId)
+            if (!watcher.channelIds.delete(txId) || watcher.channelIds.size) {
+                return
+            }
+            this.watchers.delete(eventHubManager)
+            eventHubManager.unregisterBlockEvent(watcher.handle)
+        })
+    }
+
+    handleError(error: Error) {
+        if (this.listenerCount("error")) {
+            this.emit("error", error)
+        }
+    }
+}
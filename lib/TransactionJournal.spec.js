@@ -0,0 +1,229 @@
+import { expect } from "chai"
+import TransactionJournal, { hashArgs } from "./TransactionJournal"
+import UserClient from "./UserClient"
+import { newKeyValueStoreJournalStore } from "./journal-stores"
+import { TimeoutError, OrdererRejectionError } from "./errors"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+import { createFilteredBlock } from "../test/stubs/blocks"
+import newMemoryStore from "../test/stubs/newMemoryStore"
+
+function createChannel(opts = {}) {
+    const eventHubManager = new EventHubManagerStub()
+    return {
+        eventHubManager,
+        getName: () => "mychannel",
+        getEventHubManager: () => eventHubManager,
+        getOrderers: () => [],
+        compareProposalResponseResults: () => true,
+        sendTransaction: () =>
+            opts.ordererError
+                ? Promise.reject(new Error(opts.ordererError))
+                : Promise.resolve({ status: "SUCCESS" })
+    }
+}
+
+const peer = { getUrl: () => "grpc://peer0:7051" }
+
+function createUserClient(transactionJournal) {
+    return new UserClient({
+        client: {
+            getUserContext: () => ({
+                getRoles: () => ["member"],
+                setRoles() {}
+            })
+        },
+        mspId: "Org1MSP",
+        cryptoSuite: {},
+        transactionJournal
+    })
+}
+
+const sendTransactionProposal = txId => () =>
+    Promise.resolve({
+        data: {
+            txId: { getTransactionID: () => txId },
+            transactionRequest: {
+                proposalResponses: [{ response: { status: 200, payload: "" } }]
+            },
+            targets: [peer]
+        }
+    })
+
+function nextReceipt(journal) {
+    return new Promise(resolve => journal.once("receipt", resolve))
+}
+
+describe("TransactionJournal", function() {
+    it("should record an invoke as pending until its commit is seen", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel()
+        await journal.recordSubmitted(channel, {
+            txId: "tx1",
+            chaincodeId: "mycc",
+            fcn: "transfer",
+            args: ["a", "b"],
+            endorsingPeers: [peer]
+        })
+        const pending = await journal.listPending()
+        expect(pending).to.have.lengthOf(1)
+        expect(pending[0]).to.include({
+            txId: "tx1",
+            channelId: "mychannel",
+            chaincodeId: "mycc",
+            fcn: "transfer",
+            argsHash: hashArgs(["a", "b"]),
+            status: "PENDING"
+        })
+        expect(pending[0].endorsingPeers).to.deep.equal(["grpc://peer0:7051"])
+
+        const committed = nextReceipt(journal)
+        channel.eventHubManager.commitBlock(
+            createFilteredBlock(4, [{ txId: "other" }, { txId: "tx1" }])
+        )
+        await committed
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "COMMITTED",
+            blockNumber: 4,
+            validationCode: "VALID"
+        })
+        expect((await journal.getReceipt("tx1")).latency).to.be.a("number")
+        expect(await journal.listPending()).to.deep.equal([])
+        expect(channel.eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should record transactions committed with an invalid validation code", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel()
+        await journal.recordSubmitted(channel, {
+            txId: "tx1",
+            chaincodeId: "mycc"
+        })
+        const committed = nextReceipt(journal)
+        channel.eventHubManager.commitBlock(
+            createFilteredBlock(2, [
+                { txId: "tx1", code: "MVCC_READ_CONFLICT" }
+            ])
+        )
+        expect(await committed).to.include({
+            status: "INVALID",
+            validationCode: "MVCC_READ_CONFLICT"
+        })
+    })
+
+    it("should record an invoke as failed and stop listening once its commit has not been seen within maxCommitBlocks blocks", async function() {
+        const journal = new TransactionJournal(undefined, {
+            maxCommitBlocks: 2
+        })
+        const channel = createChannel()
+        await journal.recordSubmitted(channel, {
+            txId: "tx1",
+            chaincodeId: "mycc"
+        })
+        channel.eventHubManager.commitBlock(
+            createFilteredBlock(1, [{ txId: "other1" }])
+        )
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "PENDING"
+        })
+
+        const failed = nextReceipt(journal)
+        channel.eventHubManager.commitBlock(
+            createFilteredBlock(2, [{ txId: "other2" }])
+        )
+        expect(await failed).to.include({
+            txId: "tx1",
+            status: "FAILED",
+            error: "Error transaction was not committed within 2 blocks"
+        })
+        expect(channel.eventHubManager.listeners.size).to.equal(0)
+    })
+
+    it("should keep the pending index of a KeyValueStore up to date", async function() {
+        const journal = new TransactionJournal(
+            newKeyValueStoreJournalStore(newMemoryStore())
+        )
+        const channel = createChannel()
+        await Promise.all(
+            ["tx1", "tx2", "tx3"].map(txId =>
+                journal.recordSubmitted(channel, { txId, chaincodeId: "mycc" })
+            )
+        )
+        await journal.recordFailed("tx2", new Error("orderer unavailable"))
+        const pending = await journal.listPending()
+        expect(pending.map(({ txId }) => txId)).to.deep.equal(["tx1", "tx3"])
+        expect(await journal.getReceipt("tx2")).to.include({
+            status: "FAILED",
+            error: "orderer unavailable"
+        })
+    })
+
+    it("should record the invokes of a UserClient", async function() {
+        const journal = new TransactionJournal()
+        const userClient = createUserClient(journal)
+        userClient.sendTransactionProposal = sendTransactionProposal("tx1")
+        await userClient.invokeChaincode(
+            createChannel(),
+            { chaincodeId: "mycc", fcn: "transfer", args: ["a"] },
+            1000,
+            { disable: true }
+        )
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "PENDING",
+            fcn: "transfer"
+        })
+
+        userClient.sendTransactionProposal = sendTransactionProposal("tx2")
+        let error
+        try {
+            await userClient.invokeChaincode(
+                createChannel({ ordererError: "SERVICE_UNAVAILABLE" }),
+                { chaincodeId: "mycc", args: [] },
+                1000,
+                { disable: true }
+            )
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.an("error")
+        expect(await journal.getReceipt("tx2")).to.include({
+            status: "FAILED",
+            error: "SERVICE_UNAVAILABLE"
+        })
+    })
+
+    it("should keep ambiguous failures pending and report receipts that cannot be written", async function() {
+        const journal = new TransactionJournal()
+        const userClient = createUserClient(journal)
+        const timeout = new TimeoutError("wait Transaction TIMEOUT")
+        userClient.sendTransactionProposal = sendTransactionProposal("tx1")
+        userClient.sendTransaction = () => Promise.reject(timeout)
+        const error = await userClient
+            .invokeChaincode(
+                createChannel(),
+                { chaincodeId: "mycc", args: [] },
+                1000
+            )
+            .catch(e => e)
+        expect(error).to.equal(timeout)
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "PENDING"
+        })
+
+        const rejection = new OrdererRejectionError("BAD_REQUEST")
+        const storeError = new Error("disk full")
+        const journalErrors = []
+        journal.on("error", e => journalErrors.push(e))
+        journal.store.get = () => Promise.reject(storeError)
+        userClient.sendTransactionProposal = sendTransactionProposal("tx2")
+        userClient.sendTransaction = () => Promise.reject(rejection)
+        const rejectedError = await userClient
+            .invokeChaincode(
+                createChannel(),
+                { chaincodeId: "mycc", args: [] },
+                1000
+            )
+            .catch(e => e)
+        expect(rejectedError).to.equal(rejection)
+        expect(journalErrors).to.deep.equal([storeError])
+    })
+})
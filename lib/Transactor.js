@@ -6,14 +6,99 @@ import type TransactionID from "fabric-client/lib/TransactionID"
 import type { TransactionRequest, Policy } from "./FABRIC_FLOW_TYPES"
 import type UserClient, {
     InvokeChaincodeResponse,
-    QueryChaincodeResponse,
     SendTransactionProposalResponse,
     SendTransactionResponse,
     WaitOpts
 } from "./UserClient"
 import type EventHubManager from "./EventHubManager"
+import type EventStream from "./EventStream"
+import type { CheckpointStore } from "./checkpoint-stores"
+import ChaincodeEventSubscription from "./ChaincodeEventSubscription"
+import type { RetryOpts } from "./invokeWithRetry"
 import { isEventHubChannel } from "./fabric-client-extended/EventHubChannel"
-import pickPeersForPolicy from "./pickPeersForPolicy"
+import pickPeersForPolicy, {
+    pickPeersForCollections,
+    isPeerInPolicy
+} from "./pickPeersForPolicy"
+import QueryPeerSelector, { type QueryStrategy } from "./QueryPeerSelector"
+import { getBlockTransactions, type ChaincodeEventInfo } from "./block-utils"
+import {
+    TimeoutError,
+    ValidationCodeError,
+    EndorsementError,
+    CommitWaitError,
+    PeerAvailabilityError,
+    QuorumError,
+    type QuorumPeerResponse
+} from "./errors"
+import { isFcwPeer } from "./fabric-client-extended/FcwPeer"
+import {
+    decodePayload,
+    validatePayloadDecoder,
+    type PayloadDecoder
+} from "./payload-decoders"
+import {
+    encodeTransientMap,
+    validatePeersInCollection,
+    type CollectionConfig
+} from "./private-data"
+
+export type InvokeManyRequest = {
+    fcn?: string,
+    args?: Array<string> | Buffer,
+    transientMap?: Object,
+    targets?: Array<Peer>,
+    timeout?: number
+}
+
+/**
+ * Response to a query with the payload decoded
+ */
+export type DecodedQueryChaincodeResponse = {
+    data: { status: number, message: string, payload: any }
+}
+
+/**
+ * Response to a quorum query
+ * @typedef {Object} QueryQuorumResponse
+ * @property {Object} data - The agreed response, with its payload decoded if there is a decoder
+ * @property {Array<QuorumPeerResponse>} agreeingPeers - The peers that returned the agreed payload
+ * @property {Array<QuorumPeerResponse>} disagreeingPeers - The peers that returned a different payload or failed
+ */
+export type QueryQuorumResponse = DecodedQueryChaincodeResponse & {
+    agreeingPeers: Array<QuorumPeerResponse>,
+    disagreeingPeers: Array<QuorumPeerResponse>
+}
+
+type PendingCommit = {
+    resolve: Function,
+    reject: Function,
+    startTimeout: () => void
+}
+
+/**
+ * The outcome of one of the invokes performed by Transactor.invokeMany
+ * @typedef {Object} InvokeManyResult
+ * @property {string} [txId] - The ID of the transaction, undefined if the invoke was skipped
+ * @property {string} status - The validation code the transaction was committed with (e.g. VALID or MVCC_READ_CONFLICT), FAILED if it could not be endorsed, ordered or was not committed in time, or SKIPPED if it was not attempted because of stopOnError
+ * @property {Error} [error] - The reason the invoke did not succeed
+ */
+export type InvokeManyResult = {
+    txId?: string,
+    status: string,
+    error?: Error
+}
+
+function isChannelChaincodeEvent(
+    channel: Channel,
+    includeInvalid: boolean,
+    info: ChaincodeEventInfo
+): boolean {
+    return (
+        info.channelId === channel.getName() &&
+        (includeInvalid || info.validationCode === "VALID")
+    )
+}
 
 function addArgsOrArgBytesToRequest(
     request: Object,
@@ -32,23 +117,43 @@ function addArgsOrArgBytesToRequest(
  * @param userClient - The UserClient representing the user performing chaincode transactions
  * @param channel - The Channel object representing the channel to transact on
  * @param chaincodeId - The ID of the chaincode being transacted on
- * @param queryPeer - The peer you wish to use by default for queries
  * @param [defaultTargets] - An array of peers to transact with or the endorsement policy to select peers with
+ * @param [queryPeer] - The peer you wish to use by default for queries
+ * @param [opts] - Additional options
+ * @param {PayloadDecoder} [opts.decoder] - The decoder used for the payloads of queries and invokes that do not specify their own, payloads are returned as Buffers if unspecified
+ * @param {string|Function|QueryPeerSelector} [opts.queryStrategy] - How to pick the peer for queries without a target when there is no queryPeer, either a QueryPeerSelector or the strategy to create one with for the channel's peers. Queries fail over to the next peer when a peer cannot be reached. Falls back to the first peer in the channel if unspecified
+ * @param {Array<CollectionConfig>} [opts.collections] - The private data collections of the chaincode, required to use invokePrivate
  */
 export default class Transactor {
     userClient: UserClient
     channel: Channel
     chaincodeId: string
     endorsingPeers: Array<Peer> | void
+    endorsementPolicy: Policy | void
     queryPeer: Peer | void
+    decoder: PayloadDecoder | void
+    queryPeerSelector: QueryPeerSelector | void
+    collections: Array<CollectionConfig>
 
     constructor(
         userClient: UserClient,
         channel: Channel,
         chaincodeId: string,
         defaultTargets?: Array<Peer> | Policy,
-        queryPeer?: Peer
+        queryPeer?: Peer,
+        {
+            decoder,
+            queryStrategy,
+            collections = []
+        }: {
+            decoder?: PayloadDecoder,
+            queryStrategy?: QueryStrategy | QueryPeerSelector,
+            collections?: Array<CollectionConfig>
+        } = {}
     ) {
+        if (decoder) {
+            validatePayloadDecoder(decoder)
+        }
         this.userClient = userClient
         this.channel = channel
         this.chaincodeId = chaincodeId
@@ -56,6 +161,19 @@ export default class Transactor {
             this.setPeers(defaultTargets)
         }
         this.queryPeer = queryPeer
+        this.decoder = decoder
+        this.collections = collections
+        if (queryStrategy instanceof QueryPeerSelector) {
+            this.queryPeerSelector = queryStrategy
+        } else if (queryStrategy) {
+            this.queryPeerSelector = new QueryPeerSelector(
+                () =>
+                    channel
+                        .getPeers()
+                        .filter(peer => peer.isInRole("chaincodeQuery")),
+                { strategy: queryStrategy, mspId: userClient.getMspId() }
+            )
+        }
     }
 
     /**
@@ -65,11 +183,13 @@ export default class Transactor {
     setPeers(targets: Array<Peer> | Policy): void {
         if (Array.isArray(targets)) {
             this.endorsingPeers = targets
+            this.endorsementPolicy = undefined
         } else {
             this.endorsingPeers = pickPeersForPolicy(
                 this.channel.getPeers(),
                 targets
             )
+            this.endorsementPolicy = targets
         }
     }
 
@@ -108,26 +228,29 @@ export default class Transactor {
      * @param [opts] - The options for the query
      * @param {TransactionID} [opts.txId] - TransactionID object with the transaction id and nonce. One will be generated automatically if not supplied
      * @param {Map} [opts.transientMap] - Map that can be used by the chaincode but not saved in the ledger, such as cryptographic information for encryption
-     * @param {Peer} [opts.target] - The peer to use for the transaction proposal, falls back to the first peer in the channel if unspecified
+     * @param {Peer} [opts.target] - The peer to use for the transaction proposal, falls back to the queryPeer, then to the peer picked by the query strategy and then to the first peer in the channel if unspecified
      * @param {number} [opts.timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
-     * @returns A promise containing formatted transactionProposal response from a single peer
+     * @param {PayloadDecoder} [opts.decoder] - The decoder to use for the response payload, falls back to the Transactor's decoder
+     * @returns A promise containing formatted transactionProposal response from a single peer, with its payload decoded if there is a decoder
      */
-    query(
+    async query(
         fcn?: string,
         argsOrArgBytes?: Array<string> | Buffer,
         {
             txId,
             transientMap,
             target,
-            timeout
+            timeout,
+            decoder
         }: {
             txId?: TransactionID,
             transientMap?: Object,
             target?: Peer,
-            timeout?: number
+            timeout?: number,
+            decoder?: PayloadDecoder
         } = {}
-    ): Promise<QueryChaincodeResponse> {
-        return this.userClient.queryChaincode(
+    ): Promise<DecodedQueryChaincodeResponse> {
+        const response = await this.userClient.queryChaincode(
             this.channel,
             addArgsOrArgBytesToRequest(
                 {
@@ -139,12 +262,159 @@ export default class Transactor {
                 },
                 argsOrArgBytes
             ),
-            timeout
+            timeout,
+            this.queryPeerSelector
+        )
+        const payloadDecoder = decoder || this.decoder
+        if (!payloadDecoder) {
+            return response
+        }
+        return {
+            ...response,
+            data: {
+                ...response.data,
+                payload: decodePayload(response.data.payload, payloadDecoder)
+            }
+        }
+    }
+
+    /**
+     * Queries several peers and checks that enough of them return the same payload
+     * @param [fcn] - The function name to be returned when calling `stub.GetFunctionAndParameters()` in the target chaincode. Default is 'invoke'
+     * @param [args] - An array of string arguments or a buffer specific to the chaincode's 'Invoke' method
+     * @param [opts] - The options for the query
+     * @param {Array<Peer>|Policy} [opts.peersOrPolicy] - The peers to query or the endorsement policy to select peers with, falls back to the channel's peers with the chaincodeQuery role
+     * @param {number} [opts.minAgree] - The number of peers that must return the same payload, defaults to all of the queried peers
+     * @param {Map} [opts.transientMap] - Map that can be used by the chaincode but not saved in the ledger, such as cryptographic information for encryption
+     * @param {number} [opts.timeout=60000] - A number indicating milliseconds to wait on each response before rejecting the promise with a timeout error.
+     * @param {PayloadDecoder} [opts.decoder] - The decoder to use for the agreed payload, falls back to the Transactor's decoder
+     * @returns A promise containing the agreed response along with the agreeing and disagreeing peers. Rejects with a QuorumError if too few peers agree, or if more than one payload is returned by the largest number of peers or by minAgree peers
+     */
+    async queryQuorum(
+        fcn?: string,
+        argsOrArgBytes?: Array<string> | Buffer,
+        {
+            peersOrPolicy,
+            minAgree,
+            transientMap,
+            timeout,
+            decoder
+        }: {
+            peersOrPolicy?: Array<Peer> | Policy,
+            minAgree?: number,
+            transientMap?: Object,
+            timeout?: number,
+            decoder?: PayloadDecoder
+        } = {}
+    ): Promise<QueryQuorumResponse> {
+        let peers
+        if (Array.isArray(peersOrPolicy)) {
+            peers = peersOrPolicy
+        } else if (peersOrPolicy) {
+            peers = pickPeersForPolicy(this.channel.getPeers(), peersOrPolicy)
+        } else {
+            peers = this.channel
+                .getPeers()
+                .filter(peer => peer.isInRole("chaincodeQuery"))
+        }
+        const requiredAgreement = minAgree || peers.length
+        if (!peers.length || requiredAgreement > peers.length) {
+            throw new PeerAvailabilityError(
+                `Error queryQuorum requires ${
+                    requiredAgreement
+                } peers but only ${peers.length} are available`
+            )
+        }
+
+        const responses = await Promise.all(
+            peers.map(peer => {
+                const peerDetails = {
+                    peerUrl: peer.getUrl(),
+                    mspId: isFcwPeer(peer) ? peer.getMspId() : undefined
+                }
+                return this.userClient
+                    .queryChaincode(
+                        this.channel,
+                        addArgsOrArgBytesToRequest(
+                            {
+                                chaincodeId: this.chaincodeId,
+                                target: peer,
+                                fcn,
+                                transientMap
+                            },
+                            argsOrArgBytes
+                        ),
+                        timeout
+                    )
+                    .then(
+                        ({ data }) => ({ ...peerDetails, response: data }),
+                        error => ({ ...peerDetails, error })
+                    )
+            })
+        )
+
+        const groups = new Map()
+        responses.forEach(response => {
+            if (response.response) {
+                const key = response.response.payload.toString("base64")
+                groups.set(key, [...(groups.get(key) || []), response])
+            }
+        })
+        const agreeing = Array.from(groups.values()).reduce(
+            (largest, group) =>
+                group.length > largest.length ? group : largest,
+            []
         )
+        const rivalGroups = Array.from(groups.values()).filter(
+            group =>
+                group !== agreeing &&
+                (group.length === agreeing.length ||
+                    group.length >= requiredAgreement)
+        )
+        const toPeerResponse = ({ peerUrl, mspId, response, error }) =>
+            response
+                ? { peerUrl, mspId, payload: response.payload }
+                : { peerUrl, mspId, error }
+        const agreeingPeers = agreeing.map(toPeerResponse)
+        const disagreeingPeers = responses
+            .filter(response => !agreeing.includes(response))
+            .map(toPeerResponse)
+        if (agreeing.length < requiredAgreement) {
+            throw new QuorumError(
+                requiredAgreement,
+                agreeingPeers,
+                disagreeingPeers
+            )
+        }
+        // the peers disagree on the result if another payload was returned by as many peers or also reached the quorum
+        if (rivalGroups.length) {
+            throw new QuorumError(
+                requiredAgreement,
+                agreeingPeers,
+                disagreeingPeers,
+                `Error ${rivalGroups.length +
+                    1} different payloads were each returned by ${
+                    requiredAgreement
+                } or more peers, the peers do not agree on a single payload`
+            )
+        }
+
+        const { response } = agreeing[0]
+        const payloadDecoder = decoder || this.decoder
+        return {
+            data: payloadDecoder
+                ? {
+                      ...response,
+                      payload: decodePayload(response.payload, payloadDecoder)
+                  }
+                : response,
+            agreeingPeers,
+            disagreeingPeers
+        }
     }
 
     /**
-     * Performs a chaincode invoke
+     * Performs a chaincode invoke. The invoke is recorded in the UserClient's TransactionJournal if it has one
      * @param [fcn] - The function name to be returned when calling `stub.GetFunctionAndParameters()` in the target chaincode. Default is 'invoke'
      * @param [args] - An array of string arguments or a buffer specific to the chaincode's 'Invoke' method
      * @param [opts] - The options for the invoke
@@ -152,9 +422,16 @@ export default class Transactor {
      * @param {Map} [opts.transientMap] - Map that can be used by the chaincode but not saved in the ledger, such as cryptographic information for encryption
      * @param {Array<Peer>|Policy} [opts.targets] - The peers to use for the transaction proposal or endorsement policy for the chaincode, falls back to the peers in the channel if unspecified
      * @param {number} [opts.timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
+     * @param {Object} [opts.waitOpts] - The options for the wait function
+     * @param {boolean} [opts.waitOpts.disable=false] - Disables wait function. Enable if you do not want to listen to peers for confirmation
+     * @param {number} [opts.waitOpts.timeout=60000] - Max time to wait for the transaction to be committed
+     * @param {CommitStrategy} [opts.waitOpts.strategy='channelHub'] - Which peers the transaction must be committed on
+     * @param {Policy} [opts.waitOpts.policy] - The policy the peers waited on must satisfy, required for the 'policy' strategy
+     * @param {RetryOpts} [opts.retryOpts] - If supplied the transaction is re-endorsed and resubmitted when it is invalidated with a retryable validation code such as MVCC_READ_CONFLICT
+     * @param {PayloadDecoder} [opts.decoder] - The decoder to use for the proposal response payload, falls back to the Transactor's decoder. The decoded payload is added to the response's data as payload. If the payload cannot be decoded, the raw payload is added instead along with the PayloadDecodeError as payloadError, as the transaction has already been submitted
      * @returns A promise containing an object that contains information about the invoke
      */
-    invoke(
+    async invoke(
         fcn?: string,
         argsOrArgBytes?: Array<string> | Buffer,
         {
@@ -162,16 +439,24 @@ export default class Transactor {
             transientMap,
             targets,
             timeout,
-            waitOpts
+            waitOpts,
+            retryOpts,
+            decoder
         }: {
             txId?: TransactionID,
             transientMap?: Object,
             targets?: Array<Peer>,
             timeout?: number,
-            waitOpts?: WaitOpts
+            waitOpts?: WaitOpts,
+            retryOpts?: RetryOpts,
+            decoder?: PayloadDecoder
         } = {}
     ): Promise<InvokeChaincodeResponse> {
-        return this.userClient.invokeChaincode(
+        const payloadDecoder = decoder || this.decoder
+        if (payloadDecoder) {
+            validatePayloadDecoder(payloadDecoder)
+        }
+        const response = await this.userClient.invokeChaincode(
             this.channel,
             addArgsOrArgBytesToRequest(
                 {
@@ -184,8 +469,277 @@ export default class Transactor {
                 argsOrArgBytes
             ),
             timeout,
-            waitOpts
+            waitOpts,
+            retryOpts
         )
+        if (!payloadDecoder) {
+            return response
+        }
+        const { payload } = response.data.proposalResponse
+        // the transaction has already been submitted, so a payload that cannot be decoded must not be reported as a failed invoke
+        try {
+            return {
+                ...response,
+                data: {
+                    ...response.data,
+                    payload: decodePayload(payload, payloadDecoder)
+                }
+            }
+        } catch (error) {
+            return {
+                ...response,
+                data: { ...response.data, payload, payloadError: error }
+            }
+        }
+    }
+
+    /**
+     * Performs a chaincode invoke that passes private data to the chaincode in the transientMap, so that it is not recorded in the transaction. Every endorsing peer receives the private data, so the endorsing peers must be members of the collections. When the endorsing peers are chosen by an endorsement policy, they are picked from the members of the collections, and without endorsing peers or a policy the channel's peers that are members of the collections are used
+     * @param collectionNames - The name of the collection the private data is written to, or the names of the collections
+     * @param [fcn] - The function name to be returned when calling `stub.GetFunctionAndParameters()` in the target chaincode. Default is 'invoke'
+     * @param [args] - An array of string arguments or a buffer specific to the chaincode's 'Invoke' method
+     * @param privateData - The private data, keyed by the names the chaincode reads them from the transientMap with. Buffers are passed as they are, strings are UTF-8 encoded and any other value is encoded as JSON
+     * @param [opts] - The options for the invoke, the same as for invoke
+     * @returns A promise containing an object that contains information about the invoke
+     */
+    async invokePrivate(
+        collectionNames: string | Array<string>,
+        fcn?: string,
+        argsOrArgBytes?: Array<string> | Buffer,
+        privateData: { [key: string]: any },
+        opts: Object = {}
+    ): Promise<InvokeChaincodeResponse> {
+        const collections = [].concat(collectionNames).map(collectionName => {
+            const collection = this.collections.find(
+                ({ name }) => name === collectionName
+            )
+            if (!collection) {
+                throw new EndorsementError(
+                    `Error collection ${
+                        collectionName
+                    } is not one of the Transactor's collections`
+                )
+            }
+            return collection
+        })
+        const targetsOrPolicy =
+            opts.targets || this.endorsementPolicy || this.endorsingPeers
+        let targets
+        if (targetsOrPolicy && !Array.isArray(targetsOrPolicy)) {
+            targets = pickPeersForCollections(
+                this.channel.getPeers(),
+                targetsOrPolicy,
+                collections
+            )
+        } else if (targetsOrPolicy) {
+            targets = targetsOrPolicy
+            collections.forEach(collection =>
+                validatePeersInCollection(targets, collection)
+            )
+        } else {
+            targets = this.channel
+                .getPeers()
+                .filter(peer =>
+                    collections.every(collection =>
+                        isPeerInPolicy(peer, collection.policy)
+                    )
+                )
+            if (!targets.length) {
+                throw new PeerAvailabilityError(
+                    `Error none of the channel's peers are members of the collections ${collections
+                        .map(({ name }) => name)
+                        .join(", ")}`
+                )
+            }
+        }
+        return this.invoke(fcn, argsOrArgBytes, {
+            ...opts,
+            targets,
+            transientMap: {
+                ...opts.transientMap,
+                ...encodeTransientMap(privateData)
+            }
+        })
+    }
+
+    /**
+     * Performs many chaincode invokes, endorsing and ordering up to `concurrency` of them at a time. Commits are detected with a single block listener on the channel's EventHubManager rather than one transaction listener per invoke
+     * @param requests - The invokes to perform
+     * @param {string} [requests[].fcn] - The function name to be returned when calling `stub.GetFunctionAndParameters()` in the target chaincode. Default is 'invoke'
+     * @param {Array<string>|Buffer} [requests[].args] - An array of string arguments or a buffer specific to the chaincode's 'Invoke' method
+     * @param {Map} [requests[].transientMap] - Map that can be used by the chaincode but not saved in the ledger, such as cryptographic information for encryption
+     * @param {Array<Peer>} [requests[].targets] - The peers to use for the transaction proposal, falls back to the Transactor's endorsing peers
+     * @param {number} [requests[].timeout=60000] - A number indicating milliseconds to wait on the proposal responses
+     * @param [opts] - The options for the invokes
+     * @param {number} [opts.concurrency=10] - The maximum number of invokes being endorsed and ordered at the same time
+     * @param {boolean} [opts.stopOnError=false] - Stops starting new invokes once an invoke has failed, the remaining invokes are given the status SKIPPED
+     * @param {number} [opts.timeout=60000] - Max time to wait for each transaction to be committed after it has been ordered, the time spent endorsing and ordering it is not counted
+     * @returns A promise containing the result of each invoke, in the same order as the requests
+     */
+    async invokeMany(
+        requests: Array<InvokeManyRequest>,
+        {
+            concurrency = 10,
+            stopOnError = false,
+            timeout = 60000
+        }: {
+            concurrency?: number,
+            stopOnError?: boolean,
+            timeout?: number
+        } = {}
+    ): Promise<Array<InvokeManyResult>> {
+        if (!isEventHubChannel(this.channel)) {
+            throw new CommitWaitError(
+                "Error Transactor.invokeMany requires an EventHubChannel"
+            )
+        }
+        const channelName = this.channel.getName()
+        const eventHubManager = this.channel.getEventHubManager()
+        const pendingCommits: Map<string, PendingCommit> = new Map()
+
+        const handle = eventHubManager.registerBlockEvent(
+            block =>
+                getBlockTransactions(block).forEach(
+                    ({ txId, channelId, validationCode }) => {
+                        const pendingCommit = pendingCommits.get(txId)
+                        if (pendingCommit && channelId === channelName) {
+                            pendingCommit.resolve(validationCode)
+                        }
+                    }
+                ),
+            error =>
+                Array.from(pendingCommits.values()).forEach(pendingCommit =>
+                    pendingCommit.reject(error)
+                )
+        )
+
+        const waitCommit = (transactionId: string): Promise<string> =>
+            new Promise((resolve, reject) => {
+                let timeoutHandle
+                const settle = callback => result => {
+                    clearTimeout(timeoutHandle)
+                    pendingCommits.delete(transactionId)
+                    callback(result)
+                }
+                const pendingCommit: PendingCommit = {
+                    resolve: settle(resolve),
+                    reject: settle(reject),
+                    // the commit timeout only runs once the transaction has been ordered, so slow endorsements do not use it up
+                    startTimeout: () => {
+                        timeoutHandle = setTimeout(
+                            () =>
+                                pendingCommit.reject(
+                                    new TimeoutError(
+                                        "wait Transaction TIMEOUT",
+                                        { txId: transactionId }
+                                    )
+                                ),
+                            timeout
+                        )
+                    }
+                }
+                pendingCommits.set(transactionId, pendingCommit)
+            })
+
+        const results: Array<InvokeManyResult> = requests.map(() => ({
+            status: "SKIPPED"
+        }))
+        const commits = []
+        let nextIndex = 0
+        let stopped = false
+        const setResult = (index, result) => {
+            results[index] = result
+            if (result.error && stopOnError) {
+                stopped = true
+            }
+        }
+
+        const submit = async index => {
+            const {
+                fcn,
+                args,
+                transientMap,
+                targets,
+                timeout: proposalTimeout
+            } = requests[index]
+            const txId = this.userClient.newTransactionID()
+            const transactionId = txId.getTransactionID()
+            // listen for the commit before the transaction can reach the orderer
+            const commit = waitCommit(transactionId)
+            try {
+                await this.invoke(fcn, args, {
+                    txId,
+                    transientMap,
+                    targets,
+                    timeout: proposalTimeout,
+                    waitOpts: { disable: true, timeout }
+                })
+            } catch (error) {
+                commit.catch(() => {})
+                const pendingCommit = pendingCommits.get(transactionId)
+                if (pendingCommit) {
+                    pendingCommit.reject(error)
+                }
+                setResult(index, {
+                    txId: transactionId,
+                    status: "FAILED",
+                    error
+                })
+                return
+            }
+            const pendingCommit = pendingCommits.get(transactionId)
+            if (pendingCommit) {
+                pendingCommit.startTimeout()
+            }
+            commits.push(
+                commit.then(
+                    validationCode =>
+                        setResult(
+                            index,
+                            validationCode === "VALID"
+                                ? {
+                                      txId: transactionId,
+                                      status: validationCode
+                                  }
+                                : {
+                                      txId: transactionId,
+                                      status: validationCode,
+                                      error: new ValidationCodeError(
+                                          validationCode,
+                                          { txId: transactionId }
+                                      )
+                                  }
+                        ),
+                    error =>
+                        setResult(index, {
+                            txId: transactionId,
+                            status: "FAILED",
+                            error
+                        })
+                )
+            )
+        }
+
+        const worker = async () => {
+            while (!stopped && nextIndex < requests.length) {
+                const index = nextIndex
+                nextIndex += 1
+                await submit(index) // eslint-disable-line no-await-in-loop
+            }
+        }
+
+        try {
+            await eventHubManager.waitEventHubConnected(timeout)
+            const workers = []
+            for (let i = 0; i < Math.max(concurrency, 1); i++) {
+                workers.push(worker())
+            }
+            await Promise.all(workers)
+            await Promise.all(commits)
+        } finally {
+            eventHubManager.unregisterBlockEvent(handle)
+        }
+        return results
     }
 
     /**
@@ -250,34 +804,121 @@ export default class Transactor {
     }
 
     /**
-     * Registers a chaincode event listener. Note this is not channel specific!
+     * Registers a chaincode event listener for the events committed on this channel
      * @param eventName - The name of the event to listen on
-     * @param onEvent - Callback function for matched events. It gets passed a single parameter which is a ChaincodeEvent object
+     * @param onEvent - Callback function for matched events. It gets passed the ChaincodeEvent object and a ChaincodeEventInfo with the channel, block, transaction and validation code the event was committed with
      * @param [onError] - Callback function to be notified when this event hub is shutdown. The shutdown may be caused by a network error or by a call to the "disconnect()" method or a connection error.
+     * @param [opts] - The options for the listener
+     * @param {boolean} [opts.includeInvalid=false] - Whether to also deliver the events of transactions that were committed as invalid
      * @returns eventHubManager and handle
      */
     registerChaincodeEventListener(
         eventName: string,
         onEvent: Function,
-        onError?: Function
+        onError?: Function,
+        opts: { includeInvalid?: boolean } = {}
     ): {
         eventHubManager: EventHubManager,
         handle: Object
     } {
         if (!isEventHubChannel(this.channel)) {
-            throw new Error(
+            throw new CommitWaitError(
                 "Error Transactor.registerChaincodeEvent requires an EventHubChannel"
             )
         }
 
-        const eventHubManager = this.channel.getEventHubManager()
+        const { channel } = this
+        const includeInvalid = !!opts.includeInvalid
+        const eventHubManager = channel.getEventHubManager()
         const handle = eventHubManager.registerChaincodeEvent(
             this.chaincodeId,
             eventName,
-            onEvent,
+            (event, info) => {
+                if (isChannelChaincodeEvent(channel, includeInvalid, info)) {
+                    onEvent(event, info)
+                }
+            },
             onError
         )
 
         return { eventHubManager, handle }
     }
+
+    /**
+     * Creates a stream of the chaincode events committed on this channel that is also an async iterable, so events can be consumed with `for await`. Closing the stream or breaking out of the loop unregisters its listener
+     * @param eventName - The name of the event or a regex string to match more than one event
+     * @param [opts] - The options for the stream
+     * @param {boolean} [opts.includeInvalid=false] - Whether to also stream the events of transactions that were committed as invalid
+     * @returns The stream of ChaincodeEventRecords, each holding a ChaincodeEvent and its ChaincodeEventInfo
+     */
+    chaincodeEvents(
+        eventName: string,
+        opts: { includeInvalid?: boolean } = {}
+    ): EventStream {
+        if (!isEventHubChannel(this.channel)) {
+            throw new CommitWaitError(
+                "Error Transactor.chaincodeEvents requires an EventHubChannel"
+            )
+        }
+        const { channel } = this
+        const includeInvalid = !!opts.includeInvalid
+        return channel
+            .getEventHubManager()
+            .chaincodeEvents(this.chaincodeId, eventName, (event, info) =>
+                isChannelChaincodeEvent(channel, includeInvalid, info)
+            )
+    }
+
+    /**
+     * Subscribes to the chaincode events of this channel, persisting a checkpoint so that the events committed while the subscription was stopped are replayed when it is started again. Events are delivered one at a time and at least once, the checkpoint only moves past an event once the onEvent callback has acknowledged it
+     * @param eventName - The name of the event or a regex string to match more than one event
+     * @param onEvent - Callback that takes the ChaincodeEvent, a function to acknowledge the event and the Checkpoint of the event
+     * @param opts - The options for the subscription
+     * @param {string} opts.subscriptionId - The ID the subscription's checkpoint is stored under
+     * @param {CheckpointStore} opts.checkpointStore - The store to persist the checkpoint in
+     * @param {number} [opts.startBlock] - The block to start from if there is no checkpoint, defaults to only delivering live events
+     * @param {Function} [opts.onError] - Callback for errors that stop the subscription after it has started, without it the subscription emits them as 'error'
+     * @returns A promise containing the started subscription, resolved once the events committed since the checkpoint have been delivered and rejected if they cannot be delivered
+     */
+    async subscribeChaincodeEvents(
+        eventName: string,
+        onEvent: Function,
+        {
+            subscriptionId,
+            checkpointStore,
+            startBlock,
+            onError
+        }: {
+            subscriptionId: string,
+            checkpointStore: CheckpointStore,
+            startBlock?: number,
+            onError?: (error: Error) => void
+        }
+    ): Promise<ChaincodeEventSubscription> {
+        if (!isEventHubChannel(this.channel)) {
+            throw new CommitWaitError(
+                "Error Transactor.subscribeChaincodeEvents requires an EventHubChannel"
+            )
+        }
+
+        const subscription = new ChaincodeEventSubscription({
+            subscriptionId,
+            eventHubManager: this.channel.getEventHubManager(),
+            channelId: this.channel.getName(),
+            chaincodeId: this.chaincodeId,
+            eventName,
+            onEvent,
+            onError,
+            checkpointStore,
+            startBlock,
+            getChannelHeight: async () => {
+                const info = await this.userClient.queryChannelInfo(
+                    this.channel
+                )
+                return Number(info.height.toString())
+            }
+        })
+        await subscription.start()
+        return subscription
+    }
 }
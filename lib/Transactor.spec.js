@@ -0,0 +1,458 @@
+/* eslint class-methods-use-this: 0 */
+
+import { expect } from "chai"
+import Transactor from "./Transactor"
+import EventHubManager from "./EventHubManager"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+import { createBlock } from "../test/stubs/blocks"
+import { PeerAvailabilityError } from "./errors"
+
+function createUserClientStub(eventHubManager, outcomes) {
+    let txNumber = 0
+    const invoked = []
+    return {
+        invoked,
+        newTransactionID() {
+            txNumber += 1
+            const transactionId = `tx${txNumber}`
+            return { getTransactionID: () => transactionId }
+        },
+        invokeChaincode(channel, request) {
+            const transactionId = request.txId.getTransactionID()
+            invoked.push(request.fcn)
+            const outcome = outcomes[request.fcn]
+            if (outcome instanceof Error) {
+                return Promise.reject(outcome)
+            }
+            setImmediate(() =>
+                eventHubManager.emitBlock(
+                    createBlock(0, [{ txId: transactionId, code: outcome }])
+                )
+            )
+            return Promise.resolve({ data: { transactionId } })
+        }
+    }
+}
+
+function createTransactor(outcomes = {}) {
+    const eventHubManager = new EventHubManagerStub()
+    const channel = {
+        getName: () => "mychannel",
+        getEventHubManager: () => eventHubManager
+    }
+    const userClient = createUserClientStub(eventHubManager, outcomes)
+    return {
+        transactor: new Transactor(userClient, channel, "mycc", []),
+        eventHubManager,
+        userClient
+    }
+}
+
+describe("Transactor", function() {
+    describe("invokeMany", function() {
+        it("should return a result for each request in order", async function() {
+            const { transactor, eventHubManager } = createTransactor({
+                conflict: 11,
+                broken: new Error("endorsement failed")
+            })
+            const results = await transactor.invokeMany(
+                [{ fcn: "ok" }, { fcn: "conflict" }, { fcn: "broken" }],
+                { concurrency: 2 }
+            )
+            expect(results.map(({ status }) => status)).to.deep.equal([
+                "VALID",
+                "MVCC_READ_CONFLICT",
+                "FAILED"
+            ])
+            expect(results[0].txId).to.equal("tx1")
+            expect(results[0].error).to.equal(undefined)
+            expect(results[1].error.validationCode).to.equal(
+                "MVCC_READ_CONFLICT"
+            )
+            expect(results[2].error.message).to.equal("endorsement failed")
+            expect(eventHubManager.listeners.size).to.equal(0)
+        })
+
+        it("should share a single block listener", async function() {
+            const { transactor, eventHubManager } = createTransactor()
+            let maxListeners = 0
+            const registerBlockEvent = eventHubManager.registerBlockEvent
+            eventHubManager.registerBlockEvent = (...args) => {
+                const handle = registerBlockEvent.apply(eventHubManager, args)
+                maxListeners = Math.max(
+                    maxListeners,
+                    eventHubManager.listeners.size
+                )
+                return handle
+            }
+            await transactor.invokeMany([{}, {}, {}, {}], { concurrency: 4 })
+            expect(maxListeners).to.equal(1)
+        })
+
+        it("should skip the remaining requests after an error with stopOnError", async function() {
+            const { transactor, userClient } = createTransactor({
+                broken: new Error("endorsement failed")
+            })
+            const results = await transactor.invokeMany(
+                [{ fcn: "ok" }, { fcn: "broken" }, { fcn: "ok" }],
+                { concurrency: 1, stopOnError: true }
+            )
+            expect(results.map(({ status }) => status)).to.deep.equal([
+                "VALID",
+                "FAILED",
+                "SKIPPED"
+            ])
+            expect(userClient.invoked).to.deep.equal(["ok", "broken"])
+        })
+
+        it("should only start the commit timeout once the transaction has been ordered", async function() {
+            const { transactor, userClient } = createTransactor()
+            const invokeChaincode = userClient.invokeChaincode
+            userClient.invokeChaincode = (...args) =>
+                new Promise(resolve => setTimeout(resolve, 30)).then(() =>
+                    invokeChaincode(...args)
+                )
+            const results = await transactor.invokeMany([{}], { timeout: 20 })
+            expect(results[0].status).to.equal("VALID")
+        })
+
+        it("should fail transactions that are not committed in time", async function() {
+            const { transactor, eventHubManager } = createTransactor()
+            eventHubManager.emitBlock = () => {}
+            const results = await transactor.invokeMany([{}], { timeout: 10 })
+            expect(results[0].status).to.equal("FAILED")
+            expect(results[0].error.name).to.equal("TimeoutError")
+        })
+    })
+
+    describe("invoke", function() {
+        function createDecodingTransactor(payload) {
+            const userClient = {
+                invoked: 0,
+                invokeChaincode() {
+                    userClient.invoked += 1
+                    return Promise.resolve({
+                        data: {
+                            transactionId: "tx1",
+                            proposalResponse: {
+                                status: 200,
+                                message: "",
+                                payload: Buffer.from(payload)
+                            }
+                        }
+                    })
+                }
+            }
+            const channel = { getName: () => "mychannel" }
+            return {
+                transactor: new Transactor(userClient, channel, "mycc", []),
+                userClient
+            }
+        }
+
+        it("should return the raw payload when it cannot be decoded after submitting", async function() {
+            const { transactor } = createDecodingTransactor("{not json")
+            const response = await transactor.invoke("set", ["a"], {
+                decoder: "json"
+            })
+            expect(response.data.transactionId).to.equal("tx1")
+            expect(response.data.payload).to.deep.equal(
+                Buffer.from("{not json")
+            )
+            expect(response.data.payloadError.name).to.equal(
+                "PayloadDecodeError"
+            )
+        })
+
+        it("should reject an unknown decoder before submitting", async function() {
+            const { transactor, userClient } = createDecodingTransactor("{}")
+            const error = await transactor
+                .invoke("set", ["a"], { decoder: "yaml" })
+                .catch(e => e)
+            expect(error.message).to.include("unknown payload decoder yaml")
+            expect(userClient.invoked).to.equal(0)
+        })
+    })
+
+    describe("queryQuorum", function() {
+        function createQuorumTransactor(answers) {
+            const peers = Object.keys(answers).map(name => ({
+                name,
+                getUrl: () => `grpc://${name}:7051`,
+                getMspId: () => `${name}MSP`,
+                isInRole: () => true
+            }))
+            const channel = { getPeers: () => peers }
+            const userClient = {
+                queryChaincode(queryChannel, request) {
+                    const answer = answers[request.target.name]
+                    return answer instanceof Error
+                        ? Promise.reject(answer)
+                        : Promise.resolve({
+                              data: {
+                                  status: 200,
+                                  message: "",
+                                  payload: Buffer.from(answer)
+                              }
+                          })
+                }
+            }
+            return new Transactor(userClient, channel, "mycc")
+        }
+
+        it("should return the agreed payload and report disagreeing peers", async function() {
+            const transactor = createQuorumTransactor({
+                org1: "10",
+                org2: "10",
+                org3: "11"
+            })
+            const response = await transactor.queryQuorum("balance", ["bob"], {
+                minAgree: 2,
+                decoder: "json"
+            })
+            expect(response.data.payload).to.equal(10)
+            expect(
+                response.agreeingPeers.map(({ mspId }) => mspId)
+            ).to.deep.equal(["org1MSP", "org2MSP"])
+            expect(response.disagreeingPeers).to.deep.equal([
+                {
+                    peerUrl: "grpc://org3:7051",
+                    mspId: "org3MSP",
+                    payload: Buffer.from("11")
+                }
+            ])
+        })
+
+        it("should throw a QuorumError when too few peers agree", async function() {
+            const failure = new Error("Connect Failed")
+            const transactor = createQuorumTransactor({
+                org1: "10",
+                org2: "11",
+                org3: failure
+            })
+            const error = await transactor.queryQuorum("balance").catch(e => e)
+            expect(error.name).to.equal("QuorumError")
+            expect(error.minAgree).to.equal(3)
+            expect(error.agreeingPeers.length).to.equal(1)
+            expect(error.disagreeingPeers.map(p => p.error)).to.deep.equal([
+                undefined,
+                failure
+            ])
+        })
+
+        it("should throw a QuorumError when the peers are split between payloads", async function() {
+            const transactor = createQuorumTransactor({
+                org1: "10",
+                org2: "11",
+                org3: "10",
+                org4: "11"
+            })
+            const error = await transactor
+                .queryQuorum("balance", ["bob"], { minAgree: 2 })
+                .catch(e => e)
+            expect(error.name).to.equal("QuorumError")
+            expect(error.message).to.include("2 different payloads")
+            expect(error.agreeingPeers.length).to.equal(2)
+            expect(error.disagreeingPeers.length).to.equal(2)
+        })
+
+        it("should throw a PeerAvailabilityError when there are fewer peers than must agree", async function() {
+            const transactor = createQuorumTransactor({ org1: "10" })
+            const error = await transactor
+                .queryQuorum("balance", ["bob"], { minAgree: 2 })
+                .catch(e => e)
+            expect(error).to.be.an.instanceof(PeerAvailabilityError)
+            expect(error.message).to.include("only 1 are available")
+        })
+    })
+
+    describe("chaincode events", function() {
+        function createEventTransactor() {
+            let emitBlock
+            const eventHub = {
+                registerBlockEvent(onEvent) {
+                    emitBlock = onEvent
+                    return 1
+                },
+                unregisterBlockEvent() {},
+                connect() {},
+                disconnect() {},
+                isconnected: () => true
+            }
+            const eventHubManager = new EventHubManager(eventHub)
+            const channel = {
+                getName: () => "mychannel",
+                getEventHubManager: () => eventHubManager
+            }
+            const transactor = new Transactor({}, channel, "mycc", [])
+            const emitBlocks = async blocks => {
+                blocks.forEach(block => emitBlock(block))
+                await eventHubManager.blockQueue
+            }
+            return { transactor, emitBlocks }
+        }
+
+        const blocks = [
+            createBlock(0, [
+                { channelId: "otherchannel", eventName: "transfer" }
+            ]),
+            createBlock(3, [
+                { eventName: "transfer" },
+                { eventName: "transfer", code: 11 }
+            ])
+        ]
+
+        it("should only deliver the valid events of the transactor's channel", async function() {
+            const { transactor, emitBlocks } = createEventTransactor()
+            const delivered = []
+            transactor.registerChaincodeEventListener(
+                "transfer",
+                (event, info) => delivered.push(info)
+            )
+            await emitBlocks(blocks)
+            expect(delivered).to.deep.equal([
+                {
+                    channelId: "mychannel",
+                    blockNumber: 3,
+                    txId: "tx3-0",
+                    validationCode: "VALID"
+                }
+            ])
+        })
+
+        it("should deliver the events of invalid transactions with includeInvalid", async function() {
+            const { transactor, emitBlocks } = createEventTransactor()
+            const delivered = []
+            transactor.registerChaincodeEventListener(
+                "transfer",
+                (event, { validationCode }) => delivered.push(validationCode),
+                undefined,
+                { includeInvalid: true }
+            )
+            await emitBlocks(blocks)
+            expect(delivered).to.deep.equal(["VALID", "MVCC_READ_CONFLICT"])
+        })
+
+        it("should filter the streamed events by channel", async function() {
+            const { transactor, emitBlocks } = createEventTransactor()
+            const stream = transactor.chaincodeEvents("transfer")
+            await emitBlocks(blocks)
+            stream.close()
+            const txIds = []
+            stream.on("data", ({ event, info }) => {
+                expect(info.txId).to.equal(event.tx_id)
+                txIds.push(event.tx_id)
+            })
+            await new Promise(resolve => stream.on("end", resolve))
+            expect(txIds).to.deep.equal(["tx3-0"])
+        })
+    })
+
+    describe("invokePrivate", function() {
+        function createPeerStub(mspId) {
+            return {
+                getMspId: () => mspId,
+                getRole: () => "member",
+                getUrl: () => `grpc://${mspId}`
+            }
+        }
+
+        const peers = [createPeerStub("Org1MSP"), createPeerStub("Org2MSP")]
+        const collections = [
+            {
+                name: "org1",
+                policy: {
+                    identities: [
+                        { role: { name: "member", mspId: "Org1MSP" } }
+                    ],
+                    policy: { "signed-by": 0 }
+                },
+                requiredPeerCount: 0,
+                maxPeerCount: 1
+            }
+        ]
+
+        function createPrivateTransactor(defaultTargets) {
+            const requests = []
+            const userClient = {
+                invokeChaincode(channel, request) {
+                    requests.push(request)
+                    return Promise.resolve({ data: {} })
+                }
+            }
+            const channel = { getPeers: () => peers }
+            return {
+                requests,
+                transactor: new Transactor(
+                    userClient,
+                    channel,
+                    "mycc",
+                    defaultTargets,
+                    undefined,
+                    { collections }
+                )
+            }
+        }
+
+        it("should pass the encoded private data to peers of the collection", async function() {
+            const { transactor, requests } = createPrivateTransactor()
+            await transactor.invokePrivate(
+                "org1",
+                "setPrice",
+                ["a"],
+                { price: { value: 10 } },
+                {
+                    targets: {
+                        identities: [
+                            { role: { name: "member", mspId: "Org1MSP" } }
+                        ],
+                        policy: { "signed-by": 0 }
+                    }
+                }
+            )
+            expect(requests[0].targets).to.deep.equal([peers[0]])
+            expect(requests[0].transientMap.price.toString()).to.equal(
+                '{"value":10}'
+            )
+        })
+
+        it("should pick the endorsing peers of the Transactor's policy from the collection's members", async function() {
+            const { transactor, requests } = createPrivateTransactor({
+                identities: [
+                    { role: { name: "member", mspId: "Org1MSP" } },
+                    { role: { name: "member", mspId: "Org2MSP" } }
+                ],
+                policy: { "1-of": [{ "signed-by": 1 }, { "signed-by": 0 }] }
+            })
+            expect(transactor.getEndorsingPeers()).to.deep.equal([peers[1]])
+            await transactor.invokePrivate("org1", "setPrice", [], {
+                price: "10"
+            })
+            expect(requests[0].targets).to.deep.equal([peers[0]])
+        })
+
+        it("should use the channel's peers that are members of the collection without endorsing peers", async function() {
+            const { transactor, requests } = createPrivateTransactor()
+            await transactor.invokePrivate("org1", "setPrice", [], {
+                price: "10"
+            })
+            expect(requests[0].targets).to.deep.equal([peers[0]])
+        })
+
+        it("should refuse to send private data to peers outside the collection", async function() {
+            const { transactor, requests } = createPrivateTransactor(peers)
+            let error
+            try {
+                await transactor.invokePrivate("org1", "setPrice", [], {
+                    price: "10"
+                })
+            } catch (e) {
+                error = e
+            }
+            expect(error.message).to.include(
+                "grpc://Org2MSP of Org2MSP is not a member of collection org1"
+            )
+            expect(requests).to.deep.equal([])
+        })
+    })
+})
@@ -6,10 +6,12 @@ import type FabricCAClient from "fabric-ca-client" // eslint-disable-line import
 import type Channel from "fabric-client/lib/Channel"
 import type Peer from "fabric-client/lib/Peer"
 import type TransactionID from "fabric-client/lib/TransactionID"
+import clientUtils from "fabric-client/lib/client-utils"
 import type { CryptoSuite, KeyValueStore } from "fabric-client/lib/api"
 import type {
     ChannelEnvelope,
     ChannelConfig,
+    ConfigSignature,
     TransactionRequest,
     ConnectionOpts,
     ChaincodeInstallRequest,
@@ -19,19 +21,56 @@ import type {
 } from "./FABRIC_FLOW_TYPES"
 import type { RegisterRequest } from "./FABRIC_CA_FLOW_TYPES"
 import wait from "./wait"
+import invokeWithRetry, {
+    type RetryOpts,
+    type FailedAttempt
+} from "./invokeWithRetry"
 import { MEMBER_ROLE } from "./shared"
+import {
+    EndorsementError,
+    EndorsementMismatchError,
+    ValidationCodeError,
+    TimeoutError,
+    CommitWaitError,
+    CancellationError,
+    PeerAvailabilityError,
+    OrdererRejectionError,
+    type ChaincodeErrorDetails
+} from "./errors"
 import pickPeersForPolicy from "./pickPeersForPolicy"
+import {
+    buildUnsignedConfigSignature,
+    buildUnsignedProposal,
+    buildUnsignedTransaction,
+    decodeProposal,
+    newConfigSignature,
+    serializeIdentity,
+    signDigest,
+    type Signer,
+    type UnsignedProposal,
+    type UnsignedTransaction
+} from "./offline-signing"
+import type QueryPeerSelector from "./QueryPeerSelector"
+import decodeProposalResponse from "./decodeProposalResponse"
+import diffProposalResponses from "./diffProposalResponses"
+import { getBlockTransactions, getValidationCodeName } from "./block-utils"
 import { isFcwPeer } from "./fabric-client-extended/FcwPeer"
 import {
     newEventHubPeer,
     isEventHubPeer
 } from "./fabric-client-extended/EventHubPeer"
 import { isEventHubChannel } from "./fabric-client-extended/EventHubChannel"
+import type TransactionJournal from "./TransactionJournal"
+import {
+    validateCollectionsConfig,
+    sendCollectionsChaincodeProposal,
+    type CollectionConfig
+} from "./private-data"
 
 export type CreateChannelRequest = {
     envelope?: ChannelEnvelope,
     config?: ChannelConfig,
-    signatures?: Array<Object>,
+    signatures?: Array<ConfigSignature | Promise<ConfigSignature>>,
     txId?: TransactionID
 }
 
@@ -68,12 +107,26 @@ export type FcwChaincodeInstantiateUpgradeRequest = {
     transientMap?: Object,
     fcn?: string,
     args: Array<string>,
-    "endorsement-policy"?: Object
+    "endorsement-policy"?: Object,
+    "collections-config"?: Array<CollectionConfig>
 }
 
+/**
+ * Which peers a transaction must be committed on before wait resolves. 'channelHub' waits on the EventHubChannel's EventHubManager, 'anyPeer' on the first of the channel's peers, 'allPeersInMyOrg' on all of the channel's peers in the user's organisation, 'allEndorsingPeers' on all of the peers that endorsed the transaction and 'policy' on a set of peers satisfying the policy given in the wait options
+ * @typedef {string} CommitStrategy
+ */
+export type CommitStrategy =
+    | "channelHub"
+    | "anyPeer"
+    | "allPeersInMyOrg"
+    | "allEndorsingPeers"
+    | "policy"
+
 export type WaitOpts = {
     disable: boolean,
-    timeout: number
+    timeout: number,
+    strategy?: CommitStrategy,
+    policy?: Policy
 }
 
 // TODO
@@ -158,7 +211,11 @@ export type InvokeChaincodeResponse = {
             message: string,
             payload: Buffer
         },
-        transactionId: string
+        transactionId: string,
+        attempts?: number,
+        failedAttempts?: Array<FailedAttempt>,
+        payload?: any,
+        payloadError?: Error
     },
     wait?: Function
 }
@@ -176,7 +233,22 @@ export type QueryChaincodeResponse = {
 export type SendTransactionProposalResponse = {
     data: {
         txId: TransactionID,
-        transactionRequest: TransactionRequest
+        transactionRequest: TransactionRequest,
+        targets: Array<Peer>
+    }
+}
+
+/**
+ * Response to sending a transaction proposal signed outside of the UserClient
+ */
+export type SendSignedProposalResponse = {
+    data: {
+        txId: string,
+        transactionRequest: {
+            proposalResponses: Array<Object>,
+            proposalBytes: Buffer
+        },
+        targets: Array<Peer>
     }
 }
 
@@ -190,19 +262,115 @@ export type SendTransactionResponse = {
     wait?: Function
 }
 
-function validateProposalResponses(proposalResponses: Array<Object>) {
-    if (
-        !proposalResponses.every(
-            proposalResponse =>
-                proposalResponse.response &&
-                proposalResponse.response.status === 200
-        )
-    ) {
-        throw proposalResponses.find(
-            proposalResponse =>
-                !proposalResponse.response ||
-                proposalResponse.response.status !== 200
-        )
+function getPeerDetails(peer: ?Peer): ChaincodeErrorDetails {
+    if (!peer) {
+        return {}
+    }
+    return {
+        peerUrl: peer.getUrl(),
+        mspId: isFcwPeer(peer) ? peer.getMspId() : undefined
+    }
+}
+
+function getProposalTargets(channel: Channel, targets: ?Array<Peer>) {
+    return (
+        targets ||
+        channel.getPeers().filter(peer => peer.isInRole("endorsingPeer"))
+    )
+}
+
+function newEndorsementError(
+    proposalResponse: Object,
+    peer: ?Peer,
+    txId: ?string
+): EndorsementError {
+    const details = { ...getPeerDetails(peer), txId }
+    if (!proposalResponse.response) {
+        // the peer responded with a grpc error such as "chaincode error (status: 500, message: ...)"
+        const message = proposalResponse.message || String(proposalResponse)
+        const match = message.match(/status: (\d+), message: (.*)\)/)
+        return new EndorsementError(message, {
+            ...details,
+            status: match ? Number(match[1]) : undefined,
+            chaincodeMessage: match ? match[2] : undefined
+        })
+    }
+    const { status, message, payload } = proposalResponse.response
+    return new EndorsementError(
+        `Error: proposal was not endorsed (status: ${status}, message: ${
+            message
+        })`,
+        { ...details, status, chaincodeMessage: message, payload }
+    )
+}
+
+function validateProposalResponses(
+    proposalResponses: Array<Object>,
+    peers: Array<Peer> = [],
+    txId?: string
+) {
+    const index = proposalResponses.findIndex(
+        proposalResponse =>
+            !proposalResponse.response ||
+            proposalResponse.response.status !== 200
+    )
+    if (index !== -1) {
+        throw newEndorsementError(proposalResponses[index], peers[index], txId)
+    }
+}
+
+function newEndorsementMismatchError(
+    proposalResponses: Array<Object>,
+    peers: Array<Peer> = [],
+    txId: string
+): EndorsementMismatchError {
+    const decodedResponses = proposalResponses.map(decodeProposalResponse)
+    const differences = diffProposalResponses(decodedResponses)
+    const paths = differences.map(({ path }) => path).join(", ")
+    return new EndorsementMismatchError(
+        `Error: Proposal responses are not all equal (differences: ${paths})`,
+        decodedResponses.map((decodedResponse, index) => ({
+            ...getPeerDetails(peers[index]),
+            ...decodedResponse
+        })),
+        differences,
+        { txId }
+    )
+}
+
+type Cancellation = { cancelled: boolean, handlers: Array<() => void> }
+
+function newCancellation(): Cancellation {
+    return { cancelled: false, handlers: [] }
+}
+
+function cancel(cancellation: Cancellation) {
+    cancellation.cancelled = true // eslint-disable-line no-param-reassign
+    cancellation.handlers.forEach(handler => handler())
+}
+
+function newCancelledError(details: ChaincodeErrorDetails): Error {
+    return new CancellationError(
+        "Error waiting for the transaction was cancelled",
+        details
+    )
+}
+
+function isTransactionNotFound(error: Error): boolean {
+    return (
+        !!error.message &&
+        error.message.includes("error Entry not found in index")
+    )
+}
+
+// checks the validation code of a transaction found on a peer's ledger
+function checkProcessedTransaction(
+    processedTransaction: Object,
+    details: Object
+) {
+    const code = getValidationCodeName(processedTransaction.validationCode)
+    if (code !== "VALID") {
+        throw new ValidationCodeError(code, details)
     }
 }
 
@@ -210,40 +378,58 @@ function waitTransactionEventHubPeer(
     channel: Channel,
     eventHubPeer: Peer,
     transactionId: string,
-    timeout: number
+    timeout: number,
+    cancellation: Cancellation = newCancellation()
 ) {
     const eventHubManager = eventHubPeer.getEventHubManager()
     return new Promise((resolve, reject) => {
-        const handle = setTimeout(() => {
-            eventHubManager.unregisterTxEvent(transactionId)
-            reject(new Error("wait Transaction TIMEOUT"))
-        }, timeout)
-
-        eventHubManager.registerTxEvent(transactionId, (tx, code) => {
-            clearTimeout(handle)
-            eventHubManager.unregisterTxEvent(transactionId)
-            if (code !== "VALID") {
-                reject(new Error(`Invalid code ${code}`))
+        const details = {
+            ...getPeerDetails(eventHubPeer),
+            txId: transactionId
+        }
+        let settled = false
+        const settle = (error: ?Error, unregister: boolean = true) => {
+            if (settled) {
+                return
+            }
+            settled = true
+            clearTimeout(handle) // eslint-disable-line no-use-before-define
+            if (unregister) {
+                eventHubManager.unregisterTxEvent(transactionId)
+            }
+            if (error) {
+                reject(error)
             } else {
                 resolve(eventHubPeer)
             }
-        })
+        }
+        const handle = setTimeout(
+            () => settle(new TimeoutError("wait Transaction TIMEOUT", details)),
+            timeout
+        )
+        cancellation.handlers.push(() => settle(newCancelledError(details)))
+
+        eventHubManager.registerTxEvent(
+            transactionId,
+            (tx, code) =>
+                settle(
+                    code !== "VALID"
+                        ? new ValidationCodeError(code, details)
+                        : null
+                ),
+            // the listeners have already been removed when the event hub errors
+            error => settle(error, false)
+        )
 
         channel
             .queryTransaction(transactionId, eventHubPeer)
-            .then(() => {
-                clearTimeout(handle)
-                eventHubManager.unregisterTxEvent(transactionId)
-                resolve(eventHubPeer)
+            .then(processedTransaction => {
+                checkProcessedTransaction(processedTransaction, details)
+                settle()
             })
             .catch(error => {
-                if (
-                    !error.message ||
-                    !error.message.includes("error Entry not found in index")
-                ) {
-                    clearTimeout(handle)
-                    eventHubManager.unregisterTxEvent(transactionId)
-                    resolve(eventHubPeer)
+                if (!isTransactionNotFound(error)) {
+                    settle(error)
                 }
             })
     })
@@ -278,7 +464,10 @@ async function waitChaincodeRunningPeer(
             await wait(pollInterval) // eslint-disable-line no-await-in-loop
         }
     }
-    throw new Error("Peer did not startup chaincode in time")
+    throw new TimeoutError(
+        "Peer did not startup chaincode in time",
+        getPeerDetails(peer)
+    )
 }
 
 async function waitTransactionPollingPeer(
@@ -286,26 +475,67 @@ async function waitTransactionPollingPeer(
     peer,
     transactionId,
     timeout,
-    pollInterval
+    pollInterval,
+    cancellation: Cancellation = newCancellation()
 ) {
+    const details = { ...getPeerDetails(peer), txId: transactionId }
     let endDate = new Date()
     endDate = new Date(endDate.getTime() + timeout)
-    while (new Date() < endDate) {
+    while (new Date() < endDate && !cancellation.cancelled) {
+        let processedTransaction
         try {
             // eslint-disable-next-line no-await-in-loop
-            await channel.queryTransaction(transactionId, peer)
-            return peer
+            processedTransaction = await channel.queryTransaction(
+                transactionId,
+                peer
+            )
         } catch (error) {
-            if (
-                !error.message ||
-                !error.message.includes("error Entry not found in index")
-            ) {
-                return peer
+            if (!isTransactionNotFound(error)) {
+                throw error
             }
             await wait(pollInterval) // eslint-disable-line no-await-in-loop
         }
+        if (processedTransaction) {
+            checkProcessedTransaction(processedTransaction, details)
+            return peer
+        }
     }
-    throw new Error("External Org Peer did not receive transaction in time")
+    if (cancellation.cancelled) {
+        throw newCancelledError(details)
+    }
+    throw new TimeoutError(
+        "External Org Peer did not receive transaction in time",
+        details
+    )
+}
+
+function waitTransactionPeers(
+    channel: Channel,
+    peers: Array<Peer>,
+    transactionId: string,
+    timeout: number,
+    pollInterval: number,
+    cancellation?: Cancellation
+): Array<Promise<Peer>> {
+    return peers.map(
+        peer =>
+            isEventHubPeer(peer)
+                ? waitTransactionEventHubPeer(
+                      channel,
+                      peer,
+                      transactionId,
+                      timeout,
+                      cancellation
+                  )
+                : waitTransactionPollingPeer(
+                      channel,
+                      peer,
+                      transactionId,
+                      timeout,
+                      pollInterval,
+                      cancellation
+                  )
+    )
 }
 
 function createWaitSendTransaction(
@@ -322,47 +552,31 @@ function createWaitSendTransaction(
         const myTimeout =
             typeof timeout !== "undefined" ? timeout : defaultTimeout
         const usedPeers = targets || defaultPeers
-        const eventHubPeersPromises = usedPeers
-            .filter(peer => isEventHubPeer(peer))
-            .map(peer =>
-                waitTransactionEventHubPeer(
-                    channel,
-                    peer,
-                    transactionId,
-                    myTimeout
-                )
-            )
-        const pollingPeersPromises = usedPeers
-            .filter(peer => !isEventHubPeer(peer))
-            .map(peer =>
-                waitTransactionPollingPeer(
-                    channel,
-                    peer,
-                    transactionId,
-                    myTimeout,
-                    pollInterval
-                )
-            )
+        const peerPromises = waitTransactionPeers(
+            channel,
+            usedPeers,
+            transactionId,
+            myTimeout,
+            pollInterval
+        )
 
         let promises
 
         if (!instantiateChaincodeId) {
-            promises = eventHubPeersPromises.concat(pollingPeersPromises)
+            promises = peerPromises
         } else {
-            promises = eventHubPeersPromises
-                .concat(pollingPeersPromises)
-                .map(promise =>
-                    promise.then(peer =>
-                        waitChaincodeRunningPeer(
-                            userClient,
-                            channel,
-                            peer,
-                            instantiateChaincodeId,
-                            myTimeout,
-                            pollInterval
-                        )
+            promises = peerPromises.map(promise =>
+                promise.then(peer =>
+                    waitChaincodeRunningPeer(
+                        userClient,
+                        channel,
+                        peer,
+                        instantiateChaincodeId,
+                        myTimeout,
+                        pollInterval
                     )
                 )
+            )
         }
 
         if (race) {
@@ -376,33 +590,227 @@ function createWaitTransactionLight(
     channel: Channel,
     transactionId: string,
     timeout: number = 60000
-) {
+): { wait: () => Promise<void>, cancel: () => void } {
     const eventHubManager = channel.getEventHubManager()
+    let handle
     const prom = new Promise((resolve, reject) => {
-        const handle = setTimeout(() => {
+        handle = setTimeout(() => {
             eventHubManager.unregisterTxEvent(transactionId)
-            reject(new Error("wait Transaction TIMEOUT"))
+            reject(
+                new TimeoutError("wait Transaction TIMEOUT", {
+                    txId: transactionId
+                })
+            )
         }, timeout)
 
         eventHubManager.registerTxEvent(transactionId, (tx, code) => {
             clearTimeout(handle)
             eventHubManager.unregisterTxEvent(transactionId)
             if (code !== "VALID") {
-                reject(new Error(`Invalid code ${code}`))
+                reject(new ValidationCodeError(code, { txId: transactionId }))
             } else {
                 resolve()
             }
         })
     })
-    return () => prom
+    return {
+        wait: () => prom,
+        cancel: () => {
+            clearTimeout(handle)
+            eventHubManager.unregisterTxEvent(transactionId)
+        }
+    }
+}
+
+function createWaitTransactionPeers(
+    channel: Channel,
+    peers: Array<Peer>,
+    transactionId: string,
+    race: boolean,
+    timeout: number = 60000
+): { wait: () => Promise<any>, cancel: () => void } {
+    // peers only start listening once wait is called as they also check the ledger for the transaction
+    const cancellation = newCancellation()
+    return {
+        wait: () => {
+            if (cancellation.cancelled) {
+                return Promise.reject(
+                    newCancelledError({ txId: transactionId })
+                )
+            }
+            const promises = waitTransactionPeers(
+                channel,
+                peers,
+                transactionId,
+                timeout,
+                1000,
+                cancellation
+            )
+            return race ? Promise.race(promises) : Promise.all(promises)
+        },
+        cancel: () => cancel(cancellation)
+    }
+}
+
+function getCommitPeers(
+    channel: Channel,
+    transactionId: string,
+    { strategy, policy }: WaitOpts,
+    mspId: string,
+    endorsingPeers: ?Array<Peer>
+): Array<Peer> {
+    const details = { txId: transactionId }
+    let peers
+    if (strategy === "anyPeer") {
+        peers = channel.getPeers()
+    } else if (strategy === "allPeersInMyOrg") {
+        peers = channel
+            .getPeers()
+            .filter(peer => isFcwPeer(peer) && peer.getMspId() === mspId)
+    } else if (strategy === "allEndorsingPeers") {
+        if (!endorsingPeers) {
+            throw new CommitWaitError(
+                "Error: the allEndorsingPeers commit strategy requires the endorsing peers",
+                details
+            )
+        }
+        peers = endorsingPeers
+    } else if (strategy === "policy") {
+        if (!policy) {
+            throw new CommitWaitError(
+                "Error: the policy commit strategy requires waitOpts.policy",
+                details
+            )
+        }
+        peers = pickPeersForPolicy(channel.getPeers(), policy)
+    } else {
+        throw new CommitWaitError(
+            `Error: unknown commit strategy ${String(strategy)}`,
+            details
+        )
+    }
+    if (!peers.length) {
+        throw new CommitWaitError(
+            `Error: no peers to wait on for the ${String(
+                strategy
+            )} commit strategy`,
+            details
+        )
+    }
+    return peers
+}
+
+// fabric-client's Orderer rejects with these when the orderer is unreachable, times out or fails to respond
+const ORDERER_ERROR_MESSAGES = [
+    "SERVICE_UNAVAILABLE",
+    "REQUEST_TIMEOUT",
+    "SYSTEM_ERROR"
+]
+
+function isOrdererError(error: Object): boolean {
+    // grpc errors carry a status code
+    return (
+        ORDERER_ERROR_MESSAGES.includes(error.message) ||
+        typeof error.code === "number"
+    )
+}
+
+async function sendTransactionToOrderer(
+    channel: Channel,
+    transactionId: string,
+    send: () => Promise<Object>
+): Promise<Object> {
+    const orderer = channel.getOrderers()[0]
+    const details = {
+        ordererUrl: orderer ? orderer.getUrl() : undefined,
+        txId: transactionId
+    }
+    let data
+    try {
+        data = await send()
+    } catch (error) {
+        // errors signing or building the transaction never reached the orderer
+        if (!isOrdererError(error)) {
+            throw error
+        }
+        throw new OrdererRejectionError(error.message, details)
+    }
+    if (data.status !== "SUCCESS") {
+        throw new OrdererRejectionError(
+            `Error: orderer rejected transaction with status ${data.status}`,
+            { ...details, status: data.status }
+        )
+    }
+    return data
+}
+
+async function sendTransactionWithWait(
+    channel: Channel,
+    transactionId: string,
+    send: () => Promise<Object>,
+    waitOpts?: WaitOpts,
+    mspId: string,
+    endorsingPeers: ?Array<Peer>
+): Promise<SendTransactionResponse> {
+    let waitTransaction
+    if (!waitOpts || !waitOpts.disable) {
+        const waitOptsTimeout =
+            waitOpts && waitOpts.timeout ? waitOpts.timeout : undefined
+        if (
+            waitOpts &&
+            waitOpts.strategy &&
+            waitOpts.strategy !== "channelHub"
+        ) {
+            waitTransaction = createWaitTransactionPeers(
+                channel,
+                getCommitPeers(
+                    channel,
+                    transactionId,
+                    waitOpts,
+                    mspId,
+                    endorsingPeers
+                ),
+                transactionId,
+                waitOpts.strategy === "anyPeer",
+                waitOptsTimeout
+            )
+        } else {
+            if (!isEventHubChannel(channel)) {
+                throw new CommitWaitError(
+                    "Error: sentTransaction with wait enabled requires an EventHubChannel",
+                    { txId: transactionId }
+                )
+            }
+            waitTransaction = createWaitTransactionLight(
+                channel,
+                transactionId,
+                waitOptsTimeout
+            )
+        }
+    }
+
+    let data
+    try {
+        data = await sendTransactionToOrderer(channel, transactionId, send)
+    } catch (error) {
+        if (waitTransaction) {
+            waitTransaction.cancel()
+        }
+        throw error
+    }
+
+    return {
+        data,
+        wait: waitTransaction ? waitTransaction.wait : undefined
+    }
 }
 
 function isChannelBlockEvent(channel, block) {
+    const transactions = getBlockTransactions(block)
     // Config block must only contain one transaction
-    if (block.data.data.length === 1) {
-        const channelHeader = block.data.data[0].payload.header.channel_header
+    if (transactions.length === 1) {
         // we must check that this block came from the channel we asked the peer to join
-        if (channelHeader.channel_id === channel.getName()) {
+        if (transactions[0].channelId === channel.getName()) {
             return true
         }
     }
@@ -416,7 +824,10 @@ export type UserClientOpts = {
     store?: KeyValueStore,
     fabricCAClient?: FabricCAClient,
     enrollmentSecret?: string,
-    roles?: Array<string>
+    roles?: Array<string>,
+    certificate?: string,
+    signer?: Signer,
+    transactionJournal?: TransactionJournal
 }
 
 /** Class representing a user and also a wrapper over FabricClient
@@ -428,6 +839,9 @@ export type UserClientOpts = {
  * @param {FabricCAClient} [opts.fabricCAClient] - The FabricCAClient to use for registering users
  * @param {Array<string>} [opts.roles] - The set of roles for the user
  * @param {string} [opts.enrollmentSecret] - The enrollment secret for the user
+ * @param {string} [opts.certificate] - The PEM encoded certificate of a user whose private key is not held by the UserClient. Proposals and transactions for such a user are built with the offline signing methods and signed externally. Such a user is never saved to the store
+ * @param {Signer} [opts.signer] - The signer holding the user's private key. If supplied, proposals, transactions and channel config signatures are signed with the signer rather than the CryptoSuite
+ * @param {TransactionJournal} [opts.transactionJournal] - The journal to record the user's chaincode invokes in
  */
 export default class UserClient {
     client: FabricClient
@@ -436,6 +850,9 @@ export default class UserClient {
     cryptoSuite: CryptoSuite
     fabricCAClient: ?FabricCAClient
     enrollmentSecret: ?string
+    certificate: ?string
+    signer: ?Signer
+    transactionJournal: ?TransactionJournal
 
     constructor({
         client,
@@ -444,9 +861,15 @@ export default class UserClient {
         store,
         fabricCAClient,
         enrollmentSecret,
-        roles
+        roles,
+        certificate,
+        signer,
+        transactionJournal
     }: UserClientOpts) {
         this.client = client
+        this.certificate = certificate
+        this.signer = signer
+        this.transactionJournal = transactionJournal
         this.mspId = mspId
         this.cryptoSuite = cryptoSuite
         this.store = store
@@ -469,6 +892,13 @@ export default class UserClient {
         return this.client
     }
 
+    /**
+     * Gets the signer the user signs with, if the UserClient was created from one
+     */
+    getSigner(): ?Signer {
+        return this.signer
+    }
+
     /**
      * Gets the mspId for the user's organisation
      */
@@ -505,12 +935,12 @@ export default class UserClient {
     }
 
     /**
-     * Sets the roles of the user, also saves user to store
+     * Sets the roles of the user, also saves user to store unless the UserClient does not hold the user's private key, as such a user could not be loaded back from the store
      * @param roles The roles for the user
      */
     setRoles(roles: Array<string>) {
         this.client.getUserContext().setRoles(roles)
-        if (this.store) {
+        if (this.store && !this.certificate) {
             this.client.saveUserToStateStore()
         }
     }
@@ -548,6 +978,21 @@ export default class UserClient {
         this.enrollmentSecret = enrollmentSecret
     }
 
+    /**
+     * Gets the journal the user's chaincode invokes are recorded in
+     */
+    getTransactionJournal(): ?TransactionJournal {
+        return this.transactionJournal
+    }
+
+    /**
+     * Sets the journal to record the user's chaincode invokes in
+     * @param transactionJournal - The TransactionJournal, or null to stop recording invokes
+     */
+    setTransactionJournal(transactionJournal: ?TransactionJournal) {
+        this.transactionJournal = transactionJournal
+    }
+
     /**
      * Creates an EventHubPeer object
      * @param requestUrl the peer url to make requests to
@@ -596,16 +1041,44 @@ export default class UserClient {
     /**
      * Channel configuration updates can be sent to the orderers to be processed. The orderer enforces the Channel creation or update policies such that the updates will be made only when enough signatures from participating organizations are discovered in the request. Typically channel creation or update requests must be signed by participating organizations' ADMIN principals, although this policy can be customized when the consortium is defined. This method uses the client instance's current signing identity to sign over the configuration bytes passed in, and returns the signature that is ready to be included in the configuration update protobuf message to send to the orderer.
      * @param {Array<byte>} channelConfig The channel configuration to sign
-     * @returns {ConfigSignature} The signature of the user on the config bytes
+     * @returns {ConfigSignature|Promise<ConfigSignature>} The signature of the user on the config bytes, or a promise containing it if the UserClient has a signer
      */
-    signChannelConfig(channelConfig: ChannelConfig) {
-        return this.client.signChannelConfig(channelConfig)
+    signChannelConfig(
+        channelConfig: ChannelConfig
+    ): ConfigSignature | Promise<ConfigSignature> {
+        const { signer } = this
+        if (!signer) {
+            return this.client.signChannelConfig(channelConfig)
+        }
+        const { signatureHeaderBytes, digest } = buildUnsignedConfigSignature(
+            channelConfig,
+            this.getCreator()
+        )
+        return signDigest(signer, digest).then(signature =>
+            newConfigSignature(signatureHeaderBytes, signature)
+        )
+    }
+
+    /**
+     * Throws if the UserClient was created from a certificate alone, as fabric-client needs the user's private key to sign
+     * @ignore
+     * @param method - The name of the method that needs the private key
+     */
+    assertHasPrivateKey(method: string) {
+        if (this.certificate && !this.signer) {
+            throw new EndorsementError(
+                `Error: ${
+                    method
+                } requires the user's private key but the UserClient was created from a certificate alone, use generateUnsignedProposal, sendSignedProposal, generateUnsignedTransaction and sendSignedTransaction instead`
+            )
+        }
     }
 
     /**
      * Returns a new TransactionID object. Fabric transaction ids are constructed as a hash of a nonce concatenated with the signing identity's serialized bytes. The TransactionID object keeps the nonce and the resulting id string bundled together as a coherent pair.
      */
     newTransactionID(): TransactionID {
+        this.assertHasPrivateKey("newTransactionID")
         return this.client.newTransactionID()
     }
 
@@ -626,7 +1099,7 @@ export default class UserClient {
     /**
      * Queries for various useful information on the state of the Channel (height, known peers).
      */
-    queryChannelInfo(channel: Channel, target: Peer) {
+    queryChannelInfo(channel: Channel, target?: Peer) {
         return this.bindChannel(channel).queryInfo(target)
     }
 
@@ -640,10 +1113,24 @@ export default class UserClient {
     /**
      * Queries the ledger on the target peer for Transaction by id.
      */
-    queryTransaction(channel: Channel, txId: string, target: Peer) {
+    queryTransaction(channel: Channel, txId: string, target?: Peer) {
         return this.bindChannel(channel).queryTransaction(txId, target)
     }
 
+    /**
+     * Queries the ledger on the target peer for a Block by number.
+     */
+    queryBlock(channel: Channel, blockNumber: number, target?: Peer) {
+        return this.bindChannel(channel).queryBlock(blockNumber, target)
+    }
+
+    /**
+     * Queries the ledger on the target peer for the Block holding a Transaction.
+     */
+    queryBlockByTxID(channel: Channel, txId: string, target?: Peer) {
+        return this.bindChannel(channel).queryBlockByTxID(txId, target)
+    }
+
     /**
      * Returns whether a chaincode has been installed on all supplied peers owned by the clients organization
      */
@@ -781,7 +1268,7 @@ export default class UserClient {
      * @param createChannelRequest - The options for building a new channel on the network
      * @param {Array<byte>} [createChannelRequest.envelope] - The envelope for the new channel, required if no config is specified
      * @param {Array<byte>} [createChannelRequest.config] - The configuration for the new channel, required if no envelope is specified
-     * @param {Array<ConfigSignature>} [createChannelRequest.signatures] - The signatures required for the new channel, required if no envelope is specified
+     * @param {Array<ConfigSignature|Promise<ConfigSignature>>} [createChannelRequest.signatures] - The signatures required for the new channel, required if no envelope is specified
      * @param {TransactionID} [createChannelRequest.txId] - TransactionID object with the transaction id and nonce. One will be generated automatically if not supplied
      * @returns Promise containing the status of the create channel order, note that the wait function returns the genesis block
      */
@@ -797,7 +1284,7 @@ export default class UserClient {
         const request = {
             envelope,
             config,
-            signatures,
+            signatures: signatures && (await Promise.all(signatures)),
             name: channelName,
             orderer: userChannel.getOrderers()[0],
             txId: txId || this.newTransactionID()
@@ -805,7 +1292,11 @@ export default class UserClient {
 
         const data = await this.client.createChannel(request)
         if (data.status !== "SUCCESS") {
-            throw new Error(data.status)
+            throw new OrdererRejectionError(data.status, {
+                status: data.status,
+                ordererUrl: request.orderer.getUrl(),
+                txId: request.txId.getTransactionID()
+            })
         }
         return {
             data,
@@ -834,7 +1325,9 @@ export default class UserClient {
                         await wait(pollInterval) // eslint-disable-line no-await-in-loop
                     }
                 }
-                throw new Error("Channel Creation Timed Out")
+                throw new TimeoutError("Channel Creation Timed Out", {
+                    txId: request.txId.getTransactionID()
+                })
             }
         }
     }
@@ -863,7 +1356,12 @@ export default class UserClient {
                             eventHubManager.unregisterBlockEvent(
                                 blockRegistrationNumber
                             )
-                            reject(new Error("Error: Timeout"))
+                            reject(
+                                new TimeoutError(
+                                    "Error: Timeout",
+                                    getPeerDetails(peer)
+                                )
+                            )
                         }, timeout)
                         blockRegistrationNumber = eventHubManager.registerBlockEvent(
                             block => {
@@ -923,7 +1421,7 @@ export default class UserClient {
      * @param updateChannelRequest - The options for updating a channel on the network
      * @param {Array<byte>} [updateChannelRequest.envelope] - The envelope for the updated channel, required if no config is specified
      * @param {Array<byte>} [updateChannelRequest.config] - The configuration for the updated channel, required if no envelope is specified
-     * @param {Array<ConfigSignature>} [updateChannelRequest.signatures] - The signatures required for the updated channel, required if no envelope is specified
+     * @param {Array<ConfigSignature|Promise<ConfigSignature>>} [updateChannelRequest.signatures] - The signatures required for the updated channel, required if no envelope is specified
      * @param {TransactionID} [updateChannelRequest.txId] - TransactionID object with the transaction id and nonce. One will be generated automatically if not supplied
      * @param [waitOpts] - The options for the wait function
      * @param {boolean} [waitOpts.disable=false] - Disables wait function. Enable if you do not want to listen to peers for confirmation
@@ -952,7 +1450,7 @@ export default class UserClient {
         const request = {
             envelope,
             config,
-            signatures,
+            signatures: signatures && (await Promise.all(signatures)),
             name: channelName,
             orderer: userChannel.getOrderers()[0],
             txId: txId || this.newTransactionID()
@@ -974,20 +1472,27 @@ export default class UserClient {
 
         const data = await this.client.updateChannel(request)
         if (data.status !== "SUCCESS") {
-            throw new Error(data.status)
+            throw new OrdererRejectionError(data.status, {
+                status: data.status,
+                ordererUrl: request.orderer.getUrl(),
+                txId: request.txId.getTransactionID()
+            })
         }
 
         return {
             data,
             wait: () => {
+                const details = { txId: request.txId.getTransactionID() }
                 if (disable) {
-                    throw new Error(
-                        "Error: wait() is disable on this updateChannel call"
+                    throw new CommitWaitError(
+                        "Error: wait() is disable on this updateChannel call",
+                        details
                     )
                 }
                 if (waitPeers.length === 0) {
-                    throw new Error(
-                        "Error: wait() on updateChannel requires at least one EventHubPeer"
+                    throw new CommitWaitError(
+                        "Error: wait() on updateChannel requires at least one EventHubPeer",
+                        details
                     )
                 }
                 return waitPromise
@@ -1045,7 +1550,11 @@ export default class UserClient {
             timeout
         )
 
-        validateProposalResponses(peerProposalResponses)
+        validateProposalResponses(
+            peerProposalResponses,
+            peers,
+            request.txId.getTransactionID()
+        )
 
         return {
             data: peerProposalResponses,
@@ -1054,8 +1563,9 @@ export default class UserClient {
                     isEventHubPeer(peer)
                 )
                 if (peers.length === 0) {
-                    throw new Error(
-                        "Error: wait() on joinChannel requires at least one EventHubPeer"
+                    throw new CommitWaitError(
+                        "Error: wait() on joinChannel requires at least one EventHubPeer",
+                        { txId: request.txId.getTransactionID() }
                     )
                 }
                 return this.newJoinChannelWait(
@@ -1089,7 +1599,7 @@ export default class UserClient {
             chaincodeInstallRequest,
             timeout
         )
-        validateProposalResponses(data[0])
+        validateProposalResponses(data[0], chaincodeInstallRequest.targets)
         return data
     }
 
@@ -1121,18 +1631,43 @@ export default class UserClient {
 
         const transactionId = request.txId.getTransactionID()
 
-        const [proposalResponses, proposal] = await (upgrade
-            ? userChannel.sendUpgradeProposal(request, timeout)
-            : userChannel.sendInstantiateProposal(request, timeout))
+        const collections = request["collections-config"]
+        let proposalPromise
+        if (collections) {
+            validateCollectionsConfig(
+                collections,
+                Object.keys(userChannel.getMSPManager().getMSPs())
+            )
+            proposalPromise = sendCollectionsChaincodeProposal(
+                userChannel,
+                request,
+                upgrade ? "upgrade" : "deploy",
+                collections,
+                timeout
+            )
+        } else {
+            proposalPromise = upgrade
+                ? userChannel.sendUpgradeProposal(request, timeout)
+                : userChannel.sendInstantiateProposal(request, timeout)
+        }
+        const [proposalResponses, proposal] = await proposalPromise
 
-        validateProposalResponses(proposalResponses)
+        validateProposalResponses(
+            proposalResponses,
+            getProposalTargets(userChannel, (request.targets: any)),
+            transactionId
+        )
 
         const transactionRequest = {
             proposalResponses,
             proposal
         }
 
-        const data = await userChannel.sendTransaction(transactionRequest)
+        const data = await sendTransactionToOrderer(
+            userChannel,
+            transactionId,
+            () => userChannel.sendTransaction(transactionRequest)
+        )
 
         return {
             data,
@@ -1162,6 +1697,7 @@ export default class UserClient {
      * @param {string} [chaincodeInstantiateRequest.fcn] - The function name to be returned when calling stub.GetFunctionAndParameters() in the target chaincode. Default is 'init'
      * @param {string[]} [chaincodeInstantiateRequest.args] - Array of string arguments to pass to the function identified by the fcn value
      * @param {Policy} [chaincodeInstantiateRequest.endorsement-policy] - EndorsementPolicy object for this chaincode (see examples below). If not specified, a default policy of "a signature by any member from any of the organizations corresponding to the array of member service providers" is used. WARNING: The default policy is NOT recommended for production, because this allows an application to bypass the proposal endorsement and send a manually constructed transaction, with arbitrary output in the write set, to the orderer directly. An application's own signature would allow the transaction to be successfully validated and committed to the ledger.
+     * @param {Array<CollectionConfig>} [chaincodeInstantiateRequest.collections-config] - The private data collections of the chaincode. They are validated against the channel's MSPs, so the channel must be initialized
      * @param {number} [timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
      * @returns  a promise containing a ProposalResponseObject
      */
@@ -1193,6 +1729,7 @@ export default class UserClient {
      * @param {string} [chaincodeUpgradeRequest.fcn] - The function name to be returned when calling stub.GetFunctionAndParameters() in the target chaincode. Default is 'init'
      * @param {string[]} [chaincodeUpgradeRequest.args] - Array of string arguments to pass to the function identified by the fcn value
      * @param {Policy} [chaincodeUpgradeRequest.endorsement-policy] - EndorsementPolicy object for this chaincode (see examples below). If not specified, a default policy of "a signature by any member from any of the organizations corresponding to the array of member service providers" is used. WARNING: The default policy is NOT recommended for production, because this allows an application to bypass the proposal endorsement and send a manually constructed transaction, with arbitrary output in the write set, to the orderer directly. An application's own signature would allow the transaction to be successfully validated and committed to the ledger.
+     * @param {Array<CollectionConfig>} [chaincodeUpgradeRequest.collections-config] - The private data collections of the chaincode. They are validated against the channel's MSPs, so the channel must be initialized
      * @param {number} [timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
      * @returns  a promise containing a ProposalResponseObject
      */
@@ -1248,6 +1785,32 @@ export default class UserClient {
             request.args = []
         }
 
+        const { signer } = this
+        if (signer) {
+            const unsignedProposal = this.generateUnsignedProposal(
+                userChannel,
+                request
+            )
+            const signature = await signDigest(signer, unsignedProposal.digest)
+            const signedProposalResponse = await this.sendSignedProposal(
+                unsignedProposal,
+                signature,
+                timeout
+            )
+            return {
+                data: {
+                    txId: request.txId,
+                    transactionRequest: {
+                        proposalResponses:
+                            signedProposalResponse.data.transactionRequest
+                                .proposalResponses,
+                        proposal: decodeProposal(unsignedProposal.proposalBytes)
+                    },
+                    targets: unsignedProposal.targets
+                }
+            }
+        }
+
         // send query
         const [
             proposalResponses,
@@ -1260,7 +1823,8 @@ export default class UserClient {
                 transactionRequest: {
                     proposalResponses,
                     proposal
-                }
+                },
+                targets: getProposalTargets(userChannel, request.targets)
             }
         }
     }
@@ -1270,37 +1834,191 @@ export default class UserClient {
      * @param channel - The channel object to use
      * @param transactionId - The transaction ID to wait on
      * @param transactionRequest - An object containing the proposal responses from the peers and the proposal
+     * @param [waitOpts] - The options for the wait function
+     * @param {boolean} [waitOpts.disable=false] - Disables wait function. Enable if you do not want to listen to peers for confirmation
+     * @param {number} [waitOpts.timeout=60000] - Max time to wait for the transaction to be committed
+     * @param {CommitStrategy} [waitOpts.strategy='channelHub'] - Which peers the transaction must be committed on
+     * @param {Policy} [waitOpts.policy] - The policy the peers waited on must satisfy, required for the 'policy' strategy
+     * @param [endorsingPeers] - The peers that endorsed the transaction, required for the 'allEndorsingPeers' strategy
      * @returns A promise containing the response to the transaction
      */
     async sendTransaction(
         channel: Channel,
         transactionId: string,
         transactionRequest: TransactionRequest,
-        waitOpts?: WaitOpts
+        waitOpts?: WaitOpts,
+        endorsingPeers?: Array<Peer>
     ): Promise<SendTransactionResponse> {
-        const userChannel = this.bindChannel(channel)
-        let waitFun
-        if (!waitOpts || !waitOpts.disable) {
-            if (!isEventHubChannel(channel)) {
-                throw new Error(
-                    "Error: sentTransaction with wait enabled requires an EventHubChannel"
-                )
-            }
-            const waitOptsTimeout =
-                waitOpts && waitOpts.timeout ? waitOpts.timeout : undefined
-            waitFun = createWaitTransactionLight(
-                channel,
+        const { signer } = this
+        if (signer) {
+            const unsignedTransaction = buildUnsignedTransaction(
                 transactionId,
-                waitOptsTimeout
+                transactionRequest.proposal.toBuffer(),
+                transactionRequest.proposalResponses
             )
+            return this.sendSignedTransaction(
+                channel,
+                unsignedTransaction,
+                await signDigest(signer, unsignedTransaction.digest),
+                waitOpts,
+                endorsingPeers
+            )
+        }
+        const userChannel = this.bindChannel(channel)
+        return sendTransactionWithWait(
+            channel,
+            transactionId,
+            () => userChannel.sendTransaction(transactionRequest),
+            waitOpts,
+            this.mspId,
+            endorsingPeers
+        )
+    }
+
+    /**
+     * Gets the serialized identity of the user, as used for the creator of proposals and transactions
+     * @returns The serialized identity
+     */
+    getCreator(): Buffer {
+        if (this.certificate) {
+            return serializeIdentity(this.mspId, this.certificate)
         }
+        return this.client
+            .getUserContext()
+            .getIdentity()
+            .serialize()
+    }
 
-        const data = await userChannel.sendTransaction(transactionRequest)
+    /**
+     * Builds a transaction proposal to be signed outside of the UserClient, such as by a signing service that holds the user's private key. The signature must be a DER encoded ECDSA signature over the SHA-256 digest of the proposal bytes
+     * @param channel - The channel object to use
+     * @param transactionProposalRequest - The arguments for the transaction proposal request
+     * @param {string} transactionProposalRequest.chaincodeId - The id of the chaincode
+     * @param {Array<Peer>|Policy} [transactionProposalRequest.targets] - The peers to send the proposal to or endorsement policy for the chaincode, falls back to the endorsing peers in the channel if unspecified
+     * @param {string} [transactionProposalRequest.fcn] - The function to be called on the chaincode, defaults to 'invoke'
+     * @param {Array<string>} [transactionProposalRequest.args] - The arguments to suppied to the chaincode function
+     * @param {Map} [transactionProposalRequest.transientMap] - Map that can be used by the chaincode but not saved in the ledger
+     * @returns The unsigned proposal
+     */
+    generateUnsignedProposal(
+        channel: Channel,
+        transactionProposalRequest: FcwTransactionProposalRequest
+    ): UnsignedProposal & { targets: Array<Peer> } {
+        const { targets: targetsOrPolicy } = transactionProposalRequest
+        const targets = getProposalTargets(
+            channel,
+            targetsOrPolicy && !Array.isArray(targetsOrPolicy)
+                ? pickPeersForPolicy(channel.getPeers(), targetsOrPolicy)
+                : targetsOrPolicy
+        )
+        if (!targets.length) {
+            throw new PeerAvailabilityError(
+                "Error: generateUnsignedProposal requires at least one target"
+            )
+        }
+        return {
+            ...buildUnsignedProposal(
+                channel.getName(),
+                transactionProposalRequest,
+                this.getCreator(),
+                targets[0].getClientCertHash()
+            ),
+            targets
+        }
+    }
 
+    /**
+     * Sends a proposal that has been signed outside of the UserClient to its target peers
+     * @param unsignedProposal - The proposal returned by generateUnsignedProposal
+     * @param signature - The signature of the proposal bytes
+     * @param [timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
+     * @returns A promise containing the transaction ID, the proposal responses and proposal bytes, and the peers the proposal was sent to
+     */
+    // eslint-disable-next-line class-methods-use-this
+    async sendSignedProposal(
+        unsignedProposal: UnsignedProposal & { targets: Array<Peer> },
+        signature: Buffer,
+        timeout: number = 60000
+    ): Promise<SendSignedProposalResponse> {
+        const { txId, proposalBytes, targets } = unsignedProposal
+        const proposalResponses = await clientUtils.sendPeersProposal(
+            targets,
+            { signature, proposal_bytes: proposalBytes },
+            timeout
+        )
         return {
-            data,
-            wait: waitFun
+            data: {
+                txId,
+                transactionRequest: { proposalResponses, proposalBytes },
+                targets
+            }
+        }
+    }
+
+    /**
+     * Builds a transaction envelope from the responses to a signed proposal, to be signed outside of the UserClient. Throws if the proposal was not endorsed or the endorsements differ
+     * @param channel - The channel object to use
+     * @param signedProposalResponse - The data of the response returned by sendSignedProposal
+     * @returns The unsigned transaction
+     */
+    generateUnsignedTransaction(
+        channel: Channel,
+        {
+            txId,
+            transactionRequest: { proposalResponses, proposalBytes },
+            targets
+        }: $PropertyType<SendSignedProposalResponse, "data">
+    ): UnsignedTransaction {
+        validateProposalResponses(proposalResponses, targets, txId)
+        if (
+            !this.bindChannel(channel).compareProposalResponseResults(
+                proposalResponses
+            )
+        ) {
+            throw newEndorsementMismatchError(proposalResponses, targets, txId)
         }
+        return buildUnsignedTransaction(txId, proposalBytes, proposalResponses)
+    }
+
+    /**
+     * Sends a transaction that has been signed outside of the UserClient to the orderer
+     * @param channel - The channel object to use
+     * @param unsignedTransaction - The transaction returned by generateUnsignedTransaction
+     * @param signature - The signature of the transaction payload bytes
+     * @param [waitOpts] - The options for the wait function
+     * @param {boolean} [waitOpts.disable=false] - Disables wait function. Enable if you do not want to listen to peers for confirmation
+     * @param {number} [waitOpts.timeout=60000] - Max time to wait for the transaction to be committed
+     * @param {CommitStrategy} [waitOpts.strategy='channelHub'] - Which peers the transaction must be committed on
+     * @param {Policy} [waitOpts.policy] - The policy the peers waited on must satisfy, required for the 'policy' strategy
+     * @param [endorsingPeers] - The peers that endorsed the transaction, required for the 'allEndorsingPeers' strategy
+     * @returns A promise containing the response to the transaction
+     */
+    sendSignedTransaction(
+        channel: Channel,
+        unsignedTransaction: UnsignedTransaction,
+        signature: Buffer,
+        waitOpts?: WaitOpts,
+        endorsingPeers?: Array<Peer>
+    ): Promise<SendTransactionResponse> {
+        const orderer = this.bindChannel(channel).getOrderers()[0]
+        if (!orderer) {
+            throw new PeerAvailabilityError(
+                "Error: sendSignedTransaction requires the channel to have an orderer",
+                { txId: unsignedTransaction.txId }
+            )
+        }
+        return sendTransactionWithWait(
+            channel,
+            unsignedTransaction.txId,
+            () =>
+                orderer.sendBroadcast({
+                    signature,
+                    payload: unsignedTransaction.payloadBytes
+                }),
+            waitOpts,
+            this.mspId,
+            endorsingPeers
+        )
     }
 
     /**
@@ -1314,13 +2032,25 @@ export default class UserClient {
      * @param {Array<string>} [queryChaincodeRequest.args] - The arguments to suppied to the chaincode function
      * @param {string} [queryChaincodeRequest.transientMap] - Map that can be used by the chaincode during intialization, but not saved in the ledger. Data such as cryptographic information for encryption can be passed to the chaincode using this technique
      * @param {number} [timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
+     * @param {QueryPeerSelector} [peerSelector] - Selects the peer to query when there is no target, failing over to other peers when a peer cannot be reached
      * @returns A formatted proposal response from a single peer
      */
-    queryChaincode(
+    async queryChaincode(
         channel: Channel,
         queryChaincodeRequest: QueryChaincodeRequest,
-        timeout: number = 60000
+        timeout: number = 60000,
+        peerSelector?: QueryPeerSelector
     ): Promise<QueryChaincodeResponse> {
+        this.assertHasPrivateKey("queryChaincode")
+        if (!queryChaincodeRequest.target && peerSelector) {
+            return peerSelector.query(peer =>
+                this.queryChaincode(
+                    channel,
+                    { ...queryChaincodeRequest, target: peer },
+                    timeout
+                )
+            )
+        }
         const request = { ...queryChaincodeRequest }
         if (request.target) {
             delete request.target
@@ -1332,7 +2062,11 @@ export default class UserClient {
             response => {
                 const proposalResponses =
                     response.data.transactionRequest.proposalResponses
-                validateProposalResponses(proposalResponses)
+                validateProposalResponses(
+                    proposalResponses,
+                    response.data.targets,
+                    response.data.txId.getTransactionID()
+                )
                 return {
                     data: proposalResponses[0].response
                 }
@@ -1341,7 +2075,7 @@ export default class UserClient {
     }
 
     /**
-     * Sends a Transaction Proposal to peers in a channel and formats the response
+     * Sends a Transaction Proposal to peers in a channel and formats the response. If the user has a TransactionJournal the transaction is recorded in it before it is sent to the orderer
      * @param channel - The channel object to use
      * @param transactionProposalRequest - The arguments for the transaction proposal request
      * @param {string} transactionProposalRequest.chaincodeId - The id of the channel
@@ -1351,37 +2085,102 @@ export default class UserClient {
      * @param {Array<string>} [transactionProposalRequest.args] - The arguments to suppied to the chaincode function
      * @param {string} [transactionProposalRequest.transientMap] - Map that can be used by the chaincode during intialization, but not saved in the ledger. Data such as cryptographic information for encryption can be passed to the chaincode using this technique
      * @param {number} [timeout=60000] - A number indicating milliseconds to wait on the response before rejecting the promise with a timeout error.
+     * @param [waitOpts] - The options for the wait function
+     * @param {boolean} [waitOpts.disable=false] - Disables wait function. Enable if you do not want to listen to peers for confirmation
+     * @param {number} [waitOpts.timeout=60000] - Max time to wait for the transaction to be committed
+     * @param {CommitStrategy} [waitOpts.strategy='channelHub'] - Which peers the transaction must be committed on
+     * @param {Policy} [waitOpts.policy] - The policy the peers waited on must satisfy, required for the 'policy' strategy
+     * @param {RetryOpts} [retryOpts] - If supplied the transaction is re-endorsed with a new TransactionID and resubmitted when it is invalidated with a retryable validation code. The response is only returned once the transaction has been committed
      * @returns An object holding the transaction response, transaction proposal response, and transaction ID
      */
     async invokeChaincode(
         channel: Channel,
         transactionProposalRequest: TransactionProposalRequest,
         timeout: number = 60000,
-        waitOpts?: WaitOpts
+        waitOpts?: WaitOpts,
+        retryOpts?: RetryOpts
     ): Promise<InvokeChaincodeResponse> {
+        this.assertHasPrivateKey("invokeChaincode")
+        if (retryOpts) {
+            if (waitOpts && waitOpts.disable) {
+                throw new CommitWaitError(
+                    "Error: invokeChaincode with retryOpts requires wait to be enabled"
+                )
+            }
+            return invokeWithRetry(
+                attempt =>
+                    this.invokeChaincode(
+                        channel,
+                        attempt === 1
+                            ? transactionProposalRequest
+                            : {
+                                  ...transactionProposalRequest,
+                                  txId: undefined
+                              },
+                        timeout,
+                        waitOpts
+                    ),
+                retryOpts
+            )
+        }
+
         const {
             txId,
-            transactionRequest
+            transactionRequest,
+            targets
         } = (await this.sendTransactionProposal(
             channel,
             transactionProposalRequest,
             timeout
         )).data
 
-        validateProposalResponses(transactionRequest.proposalResponses)
+        validateProposalResponses(
+            transactionRequest.proposalResponses,
+            targets,
+            txId.getTransactionID()
+        )
         if (
             !channel.compareProposalResponseResults(
                 transactionRequest.proposalResponses
             )
         ) {
-            throw new Error("Error: Proposal responses are not all equal")
+            throw newEndorsementMismatchError(
+                transactionRequest.proposalResponses,
+                targets,
+                txId.getTransactionID()
+            )
+        }
+        const { transactionJournal } = this
+        if (transactionJournal) {
+            await transactionJournal.recordSubmitted(channel, {
+                txId: txId.getTransactionID(),
+                chaincodeId: transactionProposalRequest.chaincodeId,
+                fcn: transactionProposalRequest.fcn,
+                args:
+                    transactionProposalRequest.argbytes ||
+                    transactionProposalRequest.args,
+                endorsingPeers: targets
+            })
+        }
+        let transactionResponse
+        try {
+            transactionResponse = await this.sendTransaction(
+                channel,
+                txId.getTransactionID(),
+                transactionRequest,
+                waitOpts,
+                targets
+            )
+        } catch (error) {
+            // other errors leave it unknown whether the transaction reached the orderer, so its receipt stays pending until it is recovered
+            if (transactionJournal && error instanceof OrdererRejectionError) {
+                const journal = transactionJournal
+                await journal
+                    .recordFailed(txId.getTransactionID(), error)
+                    .catch(journalError => journal.handleError(journalError))
+            }
+            throw error
         }
-        const transactionResponse = await this.sendTransaction(
-            channel,
-            txId.getTransactionID(),
-            transactionRequest,
-            waitOpts
-        )
         return {
             data: {
                 transactionResponse: transactionResponse.data,
@@ -0,0 +1,313 @@
+/* eslint class-methods-use-this: 0 */
+
+import { expect } from "chai"
+import UserClient from "./UserClient"
+import {
+    ValidationCodeError,
+    EndorsementMismatchError,
+    CommitWaitError,
+    OrdererRejectionError
+} from "./errors"
+import loadProto from "./protos"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+
+const responseProto = loadProto("peer/proposal_response.proto", "protos")
+const proposalProto = loadProto("peer/proposal.proto", "protos")
+const rwsetProto = loadProto("ledger/rwset/rwset.proto", "rwset")
+const kvRwsetProto = loadProto("ledger/rwset/kvrwset/kv_rwset.proto", "kvrwset")
+
+function createPeer(url, mspId) {
+    const eventHubManager = new EventHubManagerStub()
+    return {
+        eventHubManager,
+        getUrl: () => url,
+        getMspId: () => mspId,
+        getEventHubManager: () => eventHubManager,
+        getRoles: () => ["member"],
+        getRole: () => "member"
+    }
+}
+
+function createUserClient() {
+    const user = { getRoles: () => ["member"], setRoles() {} }
+    return new UserClient({
+        client: { getUserContext: () => user },
+        mspId: "Org1MSP",
+        cryptoSuite: {}
+    })
+}
+
+function createChannel(
+    peers,
+    queryTransaction = () =>
+        Promise.reject(new Error("error Entry not found in index"))
+) {
+    return {
+        getName: () => "mychannel",
+        getPeers: () => peers,
+        getOrderers: () => [{ getUrl: () => "grpc://orderer:7050" }],
+        sendTransaction: () => Promise.resolve({ status: "SUCCESS" }),
+        queryTransaction
+    }
+}
+
+// encodes a proposal response the way a peer does, writing value to key a of mycc
+function createProposalResponse(value) {
+    const response = { status: 200, message: "", payload: Buffer.from("ok") }
+    const results = new rwsetProto.TxReadWriteSet({
+        data_model: 0,
+        ns_rwset: [
+            {
+                namespace: "mycc",
+                rwset: new kvRwsetProto.KVRWSet({
+                    reads: [{ key: "a", version: { block_num: 3, tx_num: 0 } }],
+                    writes: [
+                        {
+                            key: "a",
+                            is_delete: false,
+                            value: Buffer.from(value)
+                        }
+                    ]
+                }).toBuffer()
+            }
+        ]
+    }).toBuffer()
+    const extension = new proposalProto.ChaincodeAction({
+        results,
+        events: Buffer.from(""),
+        response
+    }).toBuffer()
+    return {
+        response,
+        payload: new responseProto.ProposalResponsePayload({
+            proposal_hash: Buffer.from("hash"),
+            extension
+        }).toBuffer()
+    }
+}
+
+async function getWaitError(waiting) {
+    try {
+        await waiting
+    } catch (error) {
+        return error
+    }
+    return null
+}
+
+describe("UserClient", function() {
+    describe("commit strategies", function() {
+        const org1Peer1 = createPeer("grpc://org1peer1:7051", "Org1MSP")
+        const org1Peer2 = createPeer("grpc://org1peer2:7051", "Org1MSP")
+        const org2Peer = createPeer("grpc://org2peer:7051", "Org2MSP")
+        const peers = [org1Peer1, org1Peer2, org2Peer]
+        const channel = createChannel(peers)
+        const userClient = createUserClient()
+
+        it("should wait on all of the peers in the user's organisation", async function() {
+            const response = await userClient.sendTransaction(
+                channel,
+                "tx1",
+                {},
+                { strategy: "allPeersInMyOrg", timeout: 1000 }
+            )
+            const waiting = response.wait()
+            expect(org2Peer.eventHubManager.txListeners.has("tx1")).to.equal(
+                false
+            )
+            org1Peer1.eventHubManager.emitTx("tx1", "VALID")
+            org1Peer2.eventHubManager.emitTx("tx1", "VALID")
+            expect(await waiting).to.deep.equal([org1Peer1, org1Peer2])
+        })
+
+        it("should resolve once any peer has committed", async function() {
+            const response = await userClient.sendTransaction(
+                channel,
+                "tx2",
+                {},
+                { strategy: "anyPeer", timeout: 1000 }
+            )
+            const waiting = response.wait()
+            org2Peer.eventHubManager.emitTx("tx2", "VALID")
+            expect(await waiting).to.equal(org2Peer)
+        })
+
+        it("should wait on the endorsing peers", async function() {
+            const response = await userClient.sendTransaction(
+                channel,
+                "tx3",
+                {},
+                { strategy: "allEndorsingPeers", timeout: 1000 },
+                [org2Peer]
+            )
+            const waiting = response.wait()
+            org2Peer.eventHubManager.emitTx("tx3", "MVCC_READ_CONFLICT")
+            let error
+            try {
+                await waiting
+            } catch (e) {
+                error = e
+            }
+            expect(error).to.be.an.instanceof(ValidationCodeError)
+            expect(error.peerUrl).to.equal("grpc://org2peer:7051")
+        })
+
+        it("should require the options of the chosen strategy", async function() {
+            const errors = await Promise.all(
+                [
+                    [{ strategy: "allEndorsingPeers" }],
+                    [{ strategy: "policy" }],
+                    [{ strategy: "unknown" }]
+                ].map(([waitOpts]) =>
+                    userClient
+                        .sendTransaction(channel, "tx4", {}, waitOpts)
+                        .then(() => null, error => error)
+                )
+            )
+            errors.forEach(error => {
+                expect(error).to.be.an.instanceof(CommitWaitError)
+                expect(error.txId).to.equal("tx4")
+            })
+            expect(errors.map(({ message }) => message)).to.deep.equal([
+                "Error: the allEndorsingPeers commit strategy requires the endorsing peers",
+                "Error: the policy commit strategy requires waitOpts.policy",
+                "Error: unknown commit strategy unknown"
+            ])
+        })
+
+        it("should reject transactions found invalid on the ledger with anyPeer", async function() {
+            const invalidChannel = createChannel(peers, () =>
+                Promise.resolve({ validationCode: 11 })
+            )
+            const response = await userClient.sendTransaction(
+                invalidChannel,
+                "tx5",
+                {},
+                { strategy: "anyPeer", timeout: 1000 }
+            )
+            const error = await getWaitError(response.wait())
+            expect(error).to.be.an.instanceof(ValidationCodeError)
+            expect(error.validationCode).to.equal("MVCC_READ_CONFLICT")
+        })
+
+        it("should reject invalid transactions with the policy strategy", async function() {
+            const policy = {
+                identities: [{ role: { name: "member", mspId: "Org2MSP" } }],
+                policy: { "signed-by": 0 }
+            }
+            const response = await userClient.sendTransaction(
+                channel,
+                "tx6",
+                {},
+                { strategy: "policy", policy, timeout: 1000 }
+            )
+            const waiting = response.wait()
+            org2Peer.eventHubManager.emitTx("tx6", "ENDORSEMENT_POLICY_FAILURE")
+            const error = await getWaitError(waiting)
+            expect(error).to.be.an.instanceof(ValidationCodeError)
+            expect(error.validationCode).to.equal("ENDORSEMENT_POLICY_FAILURE")
+            expect(org2Peer.eventHubManager.txListeners.has("tx6")).to.equal(
+                false
+            )
+        })
+
+        it("should reject on unexpected ledger query errors", async function() {
+            const pollingPeer = {
+                getUrl: () => "grpc://org2peer:7051",
+                getMspId: () => "Org2MSP",
+                getRole: () => "member"
+            }
+            const failingChannel = createChannel([pollingPeer], () =>
+                Promise.reject(new Error("access denied"))
+            )
+            const response = await userClient.sendTransaction(
+                failingChannel,
+                "tx7",
+                {},
+                { strategy: "anyPeer", timeout: 1000 }
+            )
+            const error = await getWaitError(response.wait())
+            expect(error.message).to.equal("access denied")
+        })
+    })
+
+    describe("orderer errors", function() {
+        const userClient = createUserClient()
+
+        function sendTransaction(error) {
+            const channel = {
+                ...createChannel([]),
+                sendTransaction: () => Promise.reject(error)
+            }
+            return getWaitError(
+                userClient.sendTransaction(
+                    channel,
+                    "tx1",
+                    {},
+                    { disable: true }
+                )
+            )
+        }
+
+        it("should wrap failures to reach the orderer", async function() {
+            const error = await sendTransaction(
+                new Error("SERVICE_UNAVAILABLE")
+            )
+            expect(error).to.be.an.instanceof(OrdererRejectionError)
+            expect(error.ordererUrl).to.equal("grpc://orderer:7050")
+            expect(error.txId).to.equal("tx1")
+        })
+
+        it("should rethrow errors that did not come from the orderer unchanged", async function() {
+            const cause = new Error("Missing proposalResponses parameter")
+            expect(await sendTransaction(cause)).to.equal(cause)
+        })
+    })
+
+    describe("endorsement mismatches", function() {
+        it("should report the differing write sets of the peers' proposal responses", async function() {
+            const peers = [
+                createPeer("grpc://org1peer1:7051", "Org1MSP"),
+                createPeer("grpc://org2peer:7051", "Org2MSP")
+            ]
+            const userClient = createUserClient()
+            userClient.sendTransactionProposal = () =>
+                Promise.resolve({
+                    data: {
+                        txId: { getTransactionID: () => "tx1" },
+                        transactionRequest: {
+                            proposalResponses: [
+                                createProposalResponse("1"),
+                                createProposalResponse("2")
+                            ]
+                        },
+                        targets: peers
+                    }
+                })
+            const channel = {
+                ...createChannel(peers),
+                compareProposalResponseResults: () => false
+            }
+            const error = await getWaitError(
+                userClient.invokeChaincode(channel, { chaincodeId: "mycc" })
+            )
+            expect(error).to.be.an.instanceof(EndorsementMismatchError)
+            expect(error.txId).to.equal("tx1")
+            expect(error.differences).to.deep.equal([
+                {
+                    path: "results.mycc.writes.a",
+                    values: [
+                        { is_delete: false, value: "1" },
+                        { is_delete: false, value: "2" }
+                    ]
+                }
+            ])
+            expect(error.peerResponses.map(({ mspId }) => mspId)).to.deep.equal(
+                ["Org1MSP", "Org2MSP"]
+            )
+            expect(error.peerResponses[0].results[0].rwset.reads).to.deep.equal(
+                [{ key: "a", version: { block_num: "3", tx_num: "0" } }]
+            )
+        })
+    })
+})
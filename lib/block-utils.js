@@ -0,0 +1,435 @@
+// @flow
+
+import { X509 } from "jsrsasign"
+import loadProto from "./protos"
+
+const transactionProto = loadProto("peer/transaction.proto", "protos")
+const commonProto = loadProto("common/common.proto", "common")
+const chaincodeProto = loadProto("peer/chaincode.proto", "protos")
+
+const validationCodeNames: { [number]: string } = Object.keys(
+    transactionProto.TxValidationCode
+).reduce(
+    (names, name) => ({
+        ...names,
+        [transactionProto.TxValidationCode[name]]: name
+    }),
+    {}
+)
+
+const headerTypeNames: { [number]: string } = Object.keys(
+    commonProto.HeaderType
+).reduce(
+    (names, name) => ({ ...names, [commonProto.HeaderType[name]]: name }),
+    {}
+)
+
+// index of the transaction validation codes in a block's metadata
+const TRANSACTIONS_FILTER = 2
+
+export type BlockTransaction = {
+    txId: string,
+    channelId: string,
+    type: number,
+    validationCode: string
+}
+
+/**
+ * Gets the name of a transaction validation code
+ * @ignore
+ * @param code - The validation code as found in a block's metadata
+ * @returns The name of the code, e.g. VALID or MVCC_READ_CONFLICT
+ */
+export function getValidationCodeName(code: number | string): string {
+    if (typeof code === "string") {
+        return code
+    }
+    return validationCodeNames[code] || "UNKNOWN_TX_VALIDATION_CODE"
+}
+
+/**
+ * Checks whether a block is a filtered block delivered by a ChannelEventHub rather than a full block
+ * @ignore
+ * @param block - A full or filtered block
+ * @returns true if the block is filtered, false otherwise
+ */
+export function isFilteredBlock(block: Object): boolean {
+    return !block.data
+}
+
+/**
+ * Gets the number of a full or filtered block
+ * @ignore
+ * @param block - A full or filtered block
+ * @returns The number of the block
+ */
+export function getBlockNumber(block: Object): number {
+    const blockNumber = isFilteredBlock(block)
+        ? block.number
+        : block.header.number
+    // filtered blocks are copied through JSON, which turns their Long block number into a plain object
+    if (blockNumber && typeof blockNumber === "object") {
+        return blockNumber.high * 2 ** 32 + (blockNumber.low >>> 0) // eslint-disable-line no-bitwise
+    }
+    return Number(blockNumber)
+}
+
+/**
+ * Lists the transactions in a decoded block along with their validation codes
+ * @ignore
+ * @param block - A block as decoded by fabric-client's BlockDecoder or delivered by an EventHub
+ * @returns The ID, channel, type and validation code of each transaction in the block
+ */
+export function getBlockTransactions(block: Object): Array<BlockTransaction> {
+    if (isFilteredBlock(block)) {
+        return (block.filtered_tx || []).map(filteredTransaction => ({
+            txId: filteredTransaction.txid,
+            channelId: block.channel_id,
+            type:
+                typeof filteredTransaction.type === "string"
+                    ? commonProto.HeaderType[filteredTransaction.type]
+                    : filteredTransaction.type,
+            validationCode: getValidationCodeName(
+                filteredTransaction.tx_validation_code
+            )
+        }))
+    }
+    const validationCodes = block.metadata.metadata[TRANSACTIONS_FILTER] || []
+    return block.data.data.map((envelope, index) => {
+        const channelHeader = envelope.payload.header.channel_header
+        return {
+            txId: channelHeader.tx_id,
+            channelId: channelHeader.channel_id,
+            type: channelHeader.type,
+            validationCode: getValidationCodeName(validationCodes[index])
+        }
+    })
+}
+
+/**
+ * Gets the channel a decoded block belongs to
+ * @ignore
+ * @param block - A block as decoded by fabric-client's BlockDecoder or delivered by an EventHub
+ * @returns The name of the channel
+ */
+export function getBlockChannelId(block: Object): string {
+    if (isFilteredBlock(block)) {
+        return block.channel_id
+    }
+    return block.data.data[0].payload.header.channel_header.channel_id
+}
+
+/**
+ * Gets the chaincode event of a transaction in a decoded block, in the same way fabric-client's EventHub finds them
+ * @ignore
+ * @param envelope - The transaction envelope from the block's data
+ * @returns The chaincode event, or null if the transaction is not an endorser transaction or set no event
+ */
+export function getTransactionChaincodeEvent(envelope: Object): ?Object {
+    if (
+        envelope.payload.header.channel_header.type !==
+        commonProto.HeaderType.ENDORSER_TRANSACTION
+    ) {
+        return null
+    }
+    const event =
+        envelope.payload.data.actions[0].payload.action
+            .proposal_response_payload.extension.events
+    return event && event.chaincode_id ? event : null
+}
+
+/**
+ * Where a chaincode event was committed
+ * @typedef {Object} ChaincodeEventInfo
+ * @property {string} channelId - The name of the channel the transaction was committed on
+ * @property {number} blockNumber - The number of the block holding the transaction
+ * @property {string} txId - The ID of the transaction that set the event
+ * @property {string} validationCode - The validation code the transaction was committed with, e.g. VALID or MVCC_READ_CONFLICT
+ */
+export type ChaincodeEventInfo = {
+    channelId: string,
+    blockNumber: number,
+    txId: string,
+    validationCode: string
+}
+
+/**
+ * A chaincode event along with where it was committed, as pushed onto chaincode event streams
+ * @typedef {Object} ChaincodeEventRecord
+ * @property {ChaincodeEvent} event - The chaincode event
+ * @property {ChaincodeEventInfo} info - The channel, block, transaction and validation code the event was committed with
+ */
+export type ChaincodeEventRecord = {
+    event: Object,
+    info: ChaincodeEventInfo
+}
+
+/**
+ * Gets the chaincode event of a transaction in a filtered block. Filtered blocks do not hold the payloads of events, so the payload is removed rather than left empty
+ * @ignore
+ * @param filteredTransaction - The transaction from the block's filtered_tx
+ * @returns The chaincode event, or null if the transaction set no event
+ */
+function getFilteredTransactionChaincodeEvent(
+    filteredTransaction: Object
+): ?Object {
+    const actions = filteredTransaction.transaction_actions
+    const chaincodeAction =
+        actions && actions.chaincode_actions && actions.chaincode_actions[0]
+    if (!chaincodeAction || !chaincodeAction.ccEvent) {
+        return null
+    }
+    const event = { ...chaincodeAction.ccEvent }
+    delete event.payload
+    return event.chaincode_id ? event : null
+}
+
+/**
+ * Lists the chaincode events of the endorser transactions in a full or filtered block
+ * @ignore
+ * @param block - A full or filtered block
+ * @returns The chaincode events of the block along with where they were committed and the index of their transaction in the block
+ */
+export function getBlockChaincodeEvents(
+    block: Object
+): Array<{
+    chaincodeEvent: Object,
+    info: ChaincodeEventInfo,
+    txIndex: number
+}> {
+    const blockNumber = getBlockNumber(block)
+    const transactions = getBlockTransactions(block)
+    const chaincodeEvents = isFilteredBlock(block)
+        ? (block.filtered_tx || []).map(getFilteredTransactionChaincodeEvent)
+        : block.data.data.map(getTransactionChaincodeEvent)
+    return chaincodeEvents.reduce((events, chaincodeEvent, txIndex) => {
+        if (!chaincodeEvent) {
+            return events
+        }
+        const { channelId, txId, validationCode } = transactions[txIndex]
+        return [
+            ...events,
+            {
+                chaincodeEvent,
+                info: { channelId, blockNumber, txId, validationCode },
+                txIndex
+            }
+        ]
+    }, [])
+}
+
+/**
+ * A key read by a transaction
+ * @typedef {Object} LedgerRead
+ * @property {string} key - The key that was read
+ * @property {Object} [version] - The version of the key that was read, null if the key did not exist
+ * @property {number} version.blockNumber - The block the read value was written in
+ * @property {number} version.txNumber - The index of the transaction that wrote the read value in its block
+ */
+export type LedgerRead = {
+    key: string,
+    version: ?{ blockNumber: number, txNumber: number }
+}
+
+/**
+ * A key written by a transaction
+ * @typedef {Object} LedgerWrite
+ * @property {string} key - The key that was written
+ * @property {boolean} isDelete - Whether the key was deleted
+ * @property {string} value - The value that was written
+ */
+export type LedgerWrite = {
+    key: string,
+    isDelete: boolean,
+    value: string
+}
+
+/**
+ * The keys a transaction read and wrote in the state of a chaincode
+ * @typedef {Object} LedgerReadWriteSet
+ * @property {string} namespace - The chaincode the keys belong to
+ * @property {Array<LedgerRead>} reads - The keys that were read
+ * @property {Array<LedgerWrite>} writes - The keys that were written
+ */
+export type LedgerReadWriteSet = {
+    namespace: string,
+    reads: Array<LedgerRead>,
+    writes: Array<LedgerWrite>
+}
+
+/**
+ * A transaction read from the ledger as a plain object
+ * @typedef {Object} LedgerTransaction
+ * @property {string} txId - The ID of the transaction
+ * @property {string} channelId - The channel the transaction was committed on
+ * @property {string} type - The type of the transaction, e.g. ENDORSER_TRANSACTION or CONFIG
+ * @property {string} [timestamp] - When the transaction was created as an ISO 8601 string, at second precision
+ * @property {Object} creator - The identity that created the transaction
+ * @property {string} creator.mspId - The MSP ID of the creator
+ * @property {string} creator.certificate - The PEM encoded certificate of the creator
+ * @property {string} [creator.subject] - The subject of the creator's certificate, e.g. /C=US/CN=user1
+ * @property {string} validationCode - The validation code the transaction was committed with, e.g. VALID or MVCC_READ_CONFLICT
+ * @property {string} [chaincodeId] - The chaincode an endorser transaction invoked
+ * @property {string} [fcn] - The chaincode function an endorser transaction invoked
+ * @property {Array<string>} args - The arguments the chaincode function was invoked with
+ * @property {Array<LedgerReadWriteSet>} readWriteSets - The keys the transaction read and wrote
+ * @property {number} [blockNumber] - The block the transaction was committed in, if it was read as part of a block
+ * @property {number} [txIndex] - The index of the transaction in its block, if it was read as part of a block
+ */
+export type LedgerTransaction = {
+    txId: string,
+    channelId: string,
+    type: string,
+    timestamp: ?string,
+    creator: { mspId: string, certificate: string, subject: ?string },
+    validationCode: string,
+    chaincodeId: ?string,
+    fcn: ?string,
+    args: Array<string>,
+    readWriteSets: Array<LedgerReadWriteSet>,
+    blockNumber?: number,
+    txIndex?: number
+}
+
+/**
+ * A block read from the ledger as a plain object
+ * @typedef {Object} LedgerBlock
+ * @property {number} number - The number of the block
+ * @property {string} channelId - The channel the block belongs to
+ * @property {string} previousHash - The hex encoded hash of the previous block's header
+ * @property {string} dataHash - The hex encoded hash of the block's data
+ * @property {Array<LedgerTransaction>} transactions - The transactions in the block
+ */
+export type LedgerBlock = {
+    number: number,
+    channelId: string,
+    previousHash: string,
+    dataHash: string,
+    transactions: Array<LedgerTransaction>
+}
+
+function getCertificateSubject(certificate: string): ?string {
+    try {
+        const x509 = new X509()
+        x509.readCertPEM(certificate)
+        return x509.getSubjectString()
+    } catch (error) {
+        return null
+    }
+}
+
+function normalizeTimestamp(timestamp: ?string): ?string {
+    // BlockDecoder formats timestamps with Date.toString and formats missing ones as 'null'
+    const date = new Date(timestamp || NaN)
+    return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+function normalizeReadWriteSets(extension: Object): Array<LedgerReadWriteSet> {
+    const nsReadWriteSets =
+        (extension.results && extension.results.ns_rwset) || []
+    return nsReadWriteSets.map(({ namespace, rwset }) => ({
+        namespace,
+        reads: rwset.reads.map(({ key, version }) => ({
+            key,
+            version: version
+                ? {
+                      blockNumber: Number(version.block_num),
+                      txNumber: Number(version.tx_num)
+                  }
+                : null
+        })),
+        writes: rwset.writes.map(({ key, is_delete: isDelete, value }) => ({
+            key,
+            isDelete,
+            value
+        }))
+    }))
+}
+
+function normalizeEndorserTransaction(
+    payload: Object
+): {
+    chaincodeId: ?string,
+    fcn: ?string,
+    args: Array<string>,
+    readWriteSets: Array<LedgerReadWriteSet>
+} {
+    const action = payload.data.actions[0]
+    if (!action) {
+        return { chaincodeId: null, fcn: null, args: [], readWriteSets: [] }
+    }
+    const chaincodeSpec = chaincodeProto.ChaincodeInvocationSpec.decode(
+        action.payload.chaincode_proposal_payload.input
+    ).getChaincodeSpec()
+    const [fcn, ...args] = chaincodeSpec
+        .getInput()
+        .getArgs()
+        .map(arg => arg.toBuffer().toString())
+    return {
+        chaincodeId: chaincodeSpec.getChaincodeId().getName(),
+        fcn: fcn === undefined ? null : fcn,
+        args,
+        readWriteSets: normalizeReadWriteSets(
+            action.payload.action.proposal_response_payload.extension
+        )
+    }
+}
+
+/**
+ * Converts a transaction envelope as decoded by fabric-client's BlockDecoder into a plain object
+ * @ignore
+ * @param envelope - The transaction envelope from a block's data or a processed transaction
+ * @param validationCode - The validation code the transaction was committed with
+ * @returns The transaction
+ */
+export function normalizeTransaction(
+    envelope: Object,
+    validationCode: number | string
+): LedgerTransaction {
+    const {
+        channel_header: channelHeader,
+        signature_header: signatureHeader
+    } = envelope.payload.header
+    const type =
+        typeof channelHeader.type === "string"
+            ? channelHeader.type
+            : headerTypeNames[channelHeader.type]
+    const certificate = signatureHeader.creator.IdBytes
+    return {
+        txId: channelHeader.tx_id,
+        channelId: channelHeader.channel_id,
+        type,
+        timestamp: normalizeTimestamp(channelHeader.timestamp),
+        creator: {
+            mspId: signatureHeader.creator.Mspid,
+            certificate,
+            subject: getCertificateSubject(certificate)
+        },
+        validationCode: getValidationCodeName(validationCode),
+        ...(type === "ENDORSER_TRANSACTION"
+            ? normalizeEndorserTransaction(envelope.payload)
+            : { chaincodeId: null, fcn: null, args: [], readWriteSets: [] })
+    }
+}
+
+/**
+ * Converts a full block as decoded by fabric-client's BlockDecoder into a plain object
+ * @ignore
+ * @param block - A full block
+ * @returns The block
+ */
+export function normalizeBlock(block: Object): LedgerBlock {
+    const blockNumber = getBlockNumber(block)
+    const validationCodes = block.metadata.metadata[TRANSACTIONS_FILTER] || []
+    return {
+        number: blockNumber,
+        channelId: getBlockChannelId(block),
+        previousHash: block.header.previous_hash,
+        dataHash: block.header.data_hash,
+        transactions: block.data.data.map((envelope, txIndex) => ({
+            ...normalizeTransaction(envelope, validationCodes[txIndex]),
+            blockNumber,
+            txIndex
+        }))
+    }
+}
@@ -0,0 +1,71 @@
+import { expect } from "chai"
+import {
+    getBlockNumber,
+    getBlockTransactions,
+    getValidationCodeName
+} from "./block-utils"
+
+describe("block-utils", function() {
+    it("should name validation codes", function() {
+        expect(getValidationCodeName(0)).to.equal("VALID")
+        expect(getValidationCodeName(11)).to.equal("MVCC_READ_CONFLICT")
+        expect(getValidationCodeName(undefined)).to.equal(
+            "UNKNOWN_TX_VALIDATION_CODE"
+        )
+    })
+
+    it("should list the transactions of a block with their validation codes", function() {
+        const createEnvelope = txId => ({
+            payload: {
+                header: {
+                    channel_header: {
+                        tx_id: txId,
+                        channel_id: "mychannel",
+                        type: "ENDORSER_TRANSACTION"
+                    }
+                }
+            }
+        })
+        const block = {
+            data: { data: [createEnvelope("tx1"), createEnvelope("tx2")] },
+            metadata: { metadata: [{}, {}, [0, 11]] }
+        }
+        expect(getBlockTransactions(block)).to.deep.equal([
+            {
+                txId: "tx1",
+                channelId: "mychannel",
+                type: "ENDORSER_TRANSACTION",
+                validationCode: "VALID"
+            },
+            {
+                txId: "tx2",
+                channelId: "mychannel",
+                type: "ENDORSER_TRANSACTION",
+                validationCode: "MVCC_READ_CONFLICT"
+            }
+        ])
+    })
+
+    it("should read the number and transactions of filtered blocks", function() {
+        const block = {
+            channel_id: "mychannel",
+            number: { low: 1, high: 1, unsigned: true },
+            filtered_tx: [
+                {
+                    txid: "tx1",
+                    type: "ENDORSER_TRANSACTION",
+                    tx_validation_code: "ENDORSEMENT_POLICY_FAILURE"
+                }
+            ]
+        }
+        expect(getBlockNumber(block)).to.equal(2 ** 32 + 1)
+        expect(getBlockTransactions(block)).to.deep.equal([
+            {
+                txId: "tx1",
+                channelId: "mychannel",
+                type: 3,
+                validationCode: "ENDORSEMENT_POLICY_FAILURE"
+            }
+        ])
+    })
+})
@@ -0,0 +1,62 @@
+// @flow
+
+import FileKeyValueStore from "fabric-client/lib/impl/FileKeyValueStore"
+import type { KeyValueStore } from "fabric-client/lib/api"
+
+/**
+ * The position of the last processed transaction of a subscription
+ * @typedef {Object} Checkpoint
+ * @property {number} blockNumber - The number of the block holding the transaction
+ * @property {number} txIndex - The index of the transaction in the block
+ */
+export type Checkpoint = {
+    blockNumber: number,
+    txIndex: number
+}
+
+/**
+ * Persists the checkpoints of subscriptions
+ * @typedef {Object} CheckpointStore
+ * @property {Function} load - Takes a subscription ID and returns a promise containing its checkpoint, or null if it has none
+ * @property {Function} save - Takes a subscription ID and a checkpoint and returns a promise that resolves once the checkpoint has been persisted
+ */
+export type CheckpointStore = {
+    load(subscriptionId: string): Promise<?Checkpoint>,
+    save(subscriptionId: string, checkpoint: Checkpoint): Promise<void>
+}
+
+/**
+ * Creates a checkpoint store that persists checkpoints in a KeyValueStore
+ * @param store - The KeyValueStore to use, e.g. the store of a UserClient
+ * @param [prefix='checkpoint-'] - The prefix of the keys the checkpoints are stored under
+ * @returns The checkpoint store
+ */
+export function newKeyValueStoreCheckpointStore(
+    store: KeyValueStore,
+    prefix: string = "checkpoint-"
+): CheckpointStore {
+    return {
+        async load(subscriptionId) {
+            const value = await store.getValue(`${prefix}${subscriptionId}`)
+            return value ? JSON.parse(value) : null
+        },
+        async save(subscriptionId, { blockNumber, txIndex }) {
+            await store.setValue(
+                `${prefix}${subscriptionId}`,
+                JSON.stringify({ blockNumber, txIndex })
+            )
+        }
+    }
+}
+
+/**
+ * Creates a checkpoint store that persists checkpoints as files in a directory
+ * @param path - The directory to store the checkpoints in
+ * @returns A promise containing the checkpoint store
+ */
+export async function newFileCheckpointStore(
+    path: string
+): Promise<CheckpointStore> {
+    const store = await new FileKeyValueStore({ path })
+    return newKeyValueStoreCheckpointStore(store)
+}
@@ -0,0 +1,124 @@
+// @flow
+
+import type Transactor from "./Transactor"
+import { validatePayloadDecoder, type PayloadDecoder } from "./payload-decoders"
+
+/**
+ * Describes an argument of a chaincode function
+ * @typedef {Object} ContractArgSchema
+ * @property {string} name - The name of the property holding the argument in the object passed to the contract method
+ * @property {string} [type='string'] - The type of the argument, one of 'string', 'number', 'boolean' or 'json'. Numbers and booleans are converted to strings and json arguments are serialised with JSON.stringify
+ * @property {boolean} [optional=false] - Whether the argument can be omitted, omitted arguments are sent as empty strings
+ */
+export type ContractArgSchema = {
+    name: string,
+    type?: "string" | "number" | "boolean" | "json",
+    optional?: boolean
+}
+
+/**
+ * Describes a chaincode function
+ * @typedef {Object} ContractFunctionSchema
+ * @property {string} [fcn] - The name of the chaincode function, defaults to the name of the contract method
+ * @property {boolean} [readOnly=false] - Whether the function only reads the ledger, read-only functions are queried rather than invoked
+ * @property {Array<ContractArgSchema>} [args=[]] - The arguments of the function in the order the chaincode expects them
+ * @property {PayloadDecoder} [returns] - How to decode the response payload, falls back to the Transactor's decoder and then to 'buffer'
+ */
+export type ContractFunctionSchema = {
+    fcn?: string,
+    readOnly?: boolean,
+    args?: Array<ContractArgSchema>,
+    returns?: PayloadDecoder
+}
+
+/**
+ * Describes the functions of a chaincode, keyed by the name of the contract method
+ * @typedef {Object<string, ContractFunctionSchema>} ContractSchema
+ */
+export type ContractSchema = { [methodName: string]: ContractFunctionSchema }
+
+const ARG_TYPES = ["string", "number", "boolean", "json"]
+
+function serialiseArg(methodName, { name, type = "string", optional }, value) {
+    if (typeof value === "undefined" || value === null) {
+        if (!optional) {
+            throw new Error(
+                `Error contract.${methodName} requires argument ${name}`
+            )
+        }
+        return ""
+    }
+    if (type === "json") {
+        return JSON.stringify(value)
+    }
+    if (
+        typeof value !== type || // eslint-disable-line valid-typeof
+        (type === "number" && !Number.isFinite(value))
+    ) {
+        throw new Error(
+            `Error contract.${methodName} argument ${name} must be a ${type}`
+        )
+    }
+    return String(value)
+}
+
+function validateSchema(schema: ContractSchema) {
+    Object.keys(schema).forEach(methodName => {
+        const { args = [], returns } = schema[methodName]
+        args.forEach(({ name, type = "string" }) => {
+            if (!ARG_TYPES.includes(type)) {
+                throw new Error(
+                    `Error contract.${methodName} argument ${
+                        name
+                    } has unknown type ${type}`
+                )
+            }
+        })
+        if (returns) {
+            validatePayloadDecoder(returns)
+        }
+    })
+}
+
+/**
+ * Creates an object with a method for each function of a chaincode. Each method takes an object holding the function's arguments and the same options as Transactor.query or Transactor.invoke. Arguments are validated and serialised in the order given by the schema, read-only functions are queried and all others are invoked. The response is returned with its payload decoded in `data.payload`
+ * @param transactor - The Transactor to query and invoke the chaincode with
+ * @param schema - The description of the chaincode's functions
+ * @returns An object with a method for each function in the schema
+ * @example
+ * const assets = fcw.contract(transactor, {
+ *     transfer: { args: [{ name: "from" }, { name: "to" }, { name: "amount", type: "number" }] },
+ *     balance: { readOnly: true, args: [{ name: "owner" }], returns: "json" }
+ * })
+ * await assets.transfer({ from: "alice", to: "bob", amount: 10 })
+ * const balance = (await assets.balance({ owner: "bob" })).data.payload
+ */
+export default function contract(
+    transactor: Transactor,
+    schema: ContractSchema
+): { [methodName: string]: (args?: Object, opts?: Object) => Promise<Object> } {
+    validateSchema(schema)
+    return Object.keys(schema).reduce((methods, methodName) => {
+        const {
+            fcn = methodName,
+            readOnly = false,
+            args: argSchemas = [],
+            returns
+        } = schema[methodName]
+
+        const method = async (args: Object = {}, opts?: Object) => {
+            const serialisedArgs = argSchemas.map(argSchema =>
+                serialiseArg(methodName, argSchema, args[argSchema.name])
+            )
+            const callOpts = {
+                decoder: returns || transactor.decoder || "buffer",
+                ...opts
+            }
+            return readOnly
+                ? transactor.query(fcn, serialisedArgs, callOpts)
+                : transactor.invoke(fcn, serialisedArgs, callOpts)
+        }
+
+        return { ...methods, [methodName]: method }
+    }, {})
+}
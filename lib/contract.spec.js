@@ -0,0 +1,111 @@
+import { expect } from "chai"
+import contract from "./contract"
+import { decodePayload } from "./payload-decoders"
+
+function createTransactorStub(payload) {
+    const calls = []
+    return {
+        calls,
+        query(fcn, args, opts) {
+            calls.push({ method: "query", fcn, args, opts })
+            return Promise.resolve({
+                data: {
+                    status: 200,
+                    payload: decodePayload(payload, opts.decoder)
+                }
+            })
+        },
+        invoke(fcn, args, opts) {
+            calls.push({ method: "invoke", fcn, args, opts })
+            return Promise.resolve({
+                data: {
+                    transactionId: "tx1",
+                    proposalResponse: { status: 200, payload },
+                    payload: decodePayload(payload, opts.decoder)
+                },
+                wait: () => Promise.resolve()
+            })
+        }
+    }
+}
+
+const schema = {
+    transfer: {
+        args: [
+            { name: "from" },
+            { name: "to" },
+            { name: "amount", type: "number" },
+            { name: "memo", optional: true }
+        ],
+        returns: "utf8"
+    },
+    balance: {
+        fcn: "getBalance",
+        readOnly: true,
+        args: [{ name: "owner" }],
+        returns: "json"
+    }
+}
+
+describe("contract", function() {
+    it("should serialise arguments and invoke functions that are not read-only", async function() {
+        const transactor = createTransactorStub(Buffer.from("ok"))
+        const assets = contract(transactor, schema)
+        const opts = { timeout: 1000 }
+        const response = await assets.transfer(
+            { from: "alice", to: "bob", amount: 10 },
+            opts
+        )
+        expect(transactor.calls).to.deep.equal([
+            {
+                method: "invoke",
+                fcn: "transfer",
+                args: ["alice", "bob", "10", ""],
+                opts: { decoder: "utf8", timeout: 1000 }
+            }
+        ])
+        expect(response.data.payload).to.equal("ok")
+        expect(response.data.transactionId).to.equal("tx1")
+        expect(response.wait).to.be.a("function")
+    })
+
+    it("should query read-only functions and decode json payloads", async function() {
+        const transactor = createTransactorStub(
+            Buffer.from(JSON.stringify({ amount: 10 }))
+        )
+        const response = await contract(transactor, schema).balance({
+            owner: "bob"
+        })
+        expect(transactor.calls[0].method).to.equal("query")
+        expect(transactor.calls[0].fcn).to.equal("getBalance")
+        expect(response.data.payload).to.deep.equal({ amount: 10 })
+    })
+
+    it("should reject missing and mistyped arguments", async function() {
+        const transactor = createTransactorStub(Buffer.from(""))
+        const assets = contract(transactor, schema)
+        const errors = await Promise.all([
+            assets.transfer({ from: "alice", amount: 10 }).catch(e => e),
+            assets
+                .transfer({ from: "alice", to: "bob", amount: "10" })
+                .catch(e => e)
+        ])
+        expect(errors[0].message).to.equal(
+            "Error contract.transfer requires argument to"
+        )
+        expect(errors[1].message).to.equal(
+            "Error contract.transfer argument amount must be a number"
+        )
+        expect(transactor.calls).to.deep.equal([])
+    })
+
+    it("should reject schemas with unknown types", function() {
+        expect(() =>
+            contract(createTransactorStub(), {
+                transfer: { args: [{ name: "amount", type: "bigint" }] }
+            })
+        ).to.throw(
+            "Error contract.transfer argument amount has unknown type bigint"
+        )
+    })
+})
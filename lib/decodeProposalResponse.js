@@ -0,0 +1,125 @@
+// @flow
+
+import loadProto from "./protos"
+
+const responseProto = loadProto("peer/proposal_response.proto", "protos")
+const proposalProto = loadProto("peer/proposal.proto", "protos")
+const chaincodeEventProto = loadProto("peer/chaincode_event.proto", "protos")
+const rwsetProto = loadProto("ledger/rwset/rwset.proto", "rwset")
+const kvRwsetProto = loadProto("ledger/rwset/kvrwset/kv_rwset.proto", "kvrwset")
+
+export type DecodedKVRead = {
+    key: string,
+    version: ?{ block_num: string, tx_num: string }
+}
+
+export type DecodedKVWrite = {
+    key: string,
+    is_delete: boolean,
+    value: string
+}
+
+export type DecodedNsReadWriteSet = {
+    namespace: string,
+    rwset: {
+        reads: Array<DecodedKVRead>,
+        writes: Array<DecodedKVWrite>
+    }
+}
+
+export type DecodedProposalResponse = {
+    response: ?{
+        status: number,
+        message: string,
+        payload: string
+    },
+    results: Array<DecodedNsReadWriteSet>,
+    events: ?{
+        chaincode_id: string,
+        tx_id: string,
+        event_name: string,
+        payload: string
+    }
+}
+
+function decodeKVRWSet(kvBytes) {
+    const protoKvRwSet = kvRwsetProto.KVRWSet.decode(kvBytes)
+    return {
+        reads: protoKvRwSet.getReads().map(protoRead => {
+            const protoVersion = protoRead.getVersion()
+            return {
+                key: protoRead.getKey(),
+                version: protoVersion
+                    ? {
+                          block_num: protoVersion.getBlockNum().toString(),
+                          tx_num: protoVersion.getTxNum().toString()
+                      }
+                    : null
+            }
+        }),
+        writes: protoKvRwSet.getWrites().map(protoWrite => ({
+            key: protoWrite.getKey(),
+            is_delete: protoWrite.getIsDelete(),
+            value: protoWrite
+                .getValue()
+                .toBuffer()
+                .toString()
+        }))
+    }
+}
+
+function decodeReadWriteSets(rwSetsBytes) {
+    const protoTxReadWriteSet = rwsetProto.TxReadWriteSet.decode(rwSetsBytes)
+    return protoTxReadWriteSet.getNsRwset().map(protoNsRwSet => ({
+        namespace: protoNsRwSet.getNamespace(),
+        rwset: decodeKVRWSet(protoNsRwSet.getRwset())
+    }))
+}
+
+function decodeChaincodeEvents(eventBytes) {
+    const protoEvents = chaincodeEventProto.ChaincodeEvent.decode(eventBytes)
+    if (!protoEvents.getEventName()) {
+        return null
+    }
+    return {
+        chaincode_id: protoEvents.getChaincodeId(),
+        tx_id: protoEvents.getTxId(),
+        event_name: protoEvents.getEventName(),
+        payload: protoEvents
+            .getPayload()
+            .toBuffer()
+            .toString()
+    }
+}
+
+/**
+ * Decodes the read-write sets, response and chaincode event a peer produced when endorsing a proposal
+ * @ignore
+ * @param proposalResponse - A proposal response returned by Channel.sendTransactionProposal
+ * @returns The decoded chaincode action of the proposal response
+ */
+export default function decodeProposalResponse(
+    proposalResponse: Object
+): DecodedProposalResponse {
+    const protoPayload = responseProto.ProposalResponsePayload.decode(
+        proposalResponse.payload
+    )
+    const protoAction = proposalProto.ChaincodeAction.decode(
+        protoPayload.getExtension()
+    )
+    const protoResponse = protoAction.getResponse()
+    return {
+        response: protoResponse
+            ? {
+                  status: protoResponse.getStatus(),
+                  message: protoResponse.getMessage(),
+                  payload: protoResponse
+                      .getPayload()
+                      .toBuffer()
+                      .toString()
+              }
+            : null,
+        results: decodeReadWriteSets(protoAction.getResults()),
+        events: decodeChaincodeEvents(protoAction.getEvents())
+    }
+}
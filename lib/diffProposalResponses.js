@@ -0,0 +1,86 @@
+// @flow
+
+import _ from "lodash/fp"
+import type { DecodedProposalResponse } from "./decodeProposalResponse"
+
+/**
+ * A value that was not the same in every proposal response
+ * @typedef {Object} ProposalResponseDifference
+ * @property {string} path - Where the value is found, e.g. 'response.payload' or 'results.mycc.writes.myKey'
+ * @property {Array<*>} values - The value returned by each peer, in the same order as the proposal responses. Undefined if the peer did not read or write the key
+ */
+export type ProposalResponseDifference = {
+    path: string,
+    values: Array<mixed>
+}
+
+function getKeyedValues(decodedResponse, namespace, getEntries) {
+    const nsRwSet = decodedResponse.results.find(
+        result => result.namespace === namespace
+    )
+    return nsRwSet ? _.fromPairs(getEntries(nsRwSet.rwset)) : {}
+}
+
+/**
+ * Finds the values that differ between decoded proposal responses
+ * @ignore
+ * @param decodedResponses - The decoded proposal responses to compare
+ * @returns The paths and per response values of everything that is not equal across all responses
+ */
+export default function diffProposalResponses(
+    decodedResponses: Array<DecodedProposalResponse>
+): Array<ProposalResponseDifference> {
+    const differences = []
+    const addIfDifferent = (path, values) => {
+        if (values.some(value => !_.isEqual(value, values[0]))) {
+            differences.push({ path, values })
+        }
+    }
+    ;["status", "message", "payload"].forEach(field =>
+        addIfDifferent(
+            `response.${field}`,
+            decodedResponses.map(
+                ({ response }) => (response ? response[field] : undefined)
+            )
+        )
+    )
+
+    const namespaces = _.uniq(
+        _.flatMap(
+            ({ results }) => results.map(({ namespace }) => namespace),
+            decodedResponses
+        )
+    ).sort()
+    const rwTypes = [
+        [
+            "reads",
+            ({ reads }) => reads.map(({ key, version }) => [key, version])
+        ],
+        [
+            "writes",
+            ({ writes }) =>
+                writes.map(({ key, is_delete, value }) => [
+                    key,
+                    { is_delete, value } // eslint-disable-line camelcase
+                ])
+        ]
+    ]
+    namespaces.forEach(namespace =>
+        rwTypes.forEach(([type, getEntries]) => {
+            const keyedValues = decodedResponses.map(decodedResponse =>
+                getKeyedValues(decodedResponse, namespace, getEntries)
+            )
+            const keys = _.uniq(_.flatMap(Object.keys, keyedValues)).sort()
+            keys.forEach(key =>
+                addIfDifferent(
+                    `results.${namespace}.${type}.${key}`,
+                    keyedValues.map(values => values[key])
+                )
+            )
+        })
+    )
+
+    addIfDifferent("events", decodedResponses.map(({ events }) => events))
+
+    return differences
+}
@@ -0,0 +1,76 @@
+import { expect } from "chai"
+import diffProposalResponses from "./diffProposalResponses"
+
+function createDecodedResponse(
+    { payload = "result", reads = [], writes = [], events = null } = {}
+) {
+    return {
+        response: { status: 200, message: "", payload },
+        results: [{ namespace: "mycc", rwset: { reads, writes } }],
+        events
+    }
+}
+
+describe("diffProposalResponses", function() {
+    it("should return no differences for equal responses", function() {
+        const writes = [{ key: "a", is_delete: false, value: "1" }]
+        expect(
+            diffProposalResponses([
+                createDecodedResponse({ writes }),
+                createDecodedResponse({ writes })
+            ])
+        ).to.deep.equal([])
+    })
+
+    it("should report differing response payloads", function() {
+        expect(
+            diffProposalResponses([
+                createDecodedResponse({ payload: "1" }),
+                createDecodedResponse({ payload: "2" })
+            ])
+        ).to.deep.equal([{ path: "response.payload", values: ["1", "2"] }])
+    })
+
+    it("should report differing read versions and written values by key", function() {
+        const version = { block_num: "3", tx_num: "0" }
+        const differences = diffProposalResponses([
+            createDecodedResponse({
+                reads: [{ key: "a", version }],
+                writes: [
+                    { key: "a", is_delete: false, value: "1" },
+                    { key: "b", is_delete: false, value: "1" }
+                ]
+            }),
+            createDecodedResponse({
+                reads: [{ key: "a", version: { block_num: "4", tx_num: "0" } }],
+                writes: [{ key: "a", is_delete: false, value: "1" }]
+            })
+        ])
+        expect(differences).to.deep.equal([
+            {
+                path: "results.mycc.reads.a",
+                values: [version, { block_num: "4", tx_num: "0" }]
+            },
+            {
+                path: "results.mycc.writes.b",
+                values: [{ is_delete: false, value: "1" }, undefined]
+            }
+        ])
+    })
+
+    it("should report differing chaincode events", function() {
+        const event = {
+            chaincode_id: "mycc",
+            tx_id: "tx",
+            event_name: "moved",
+            payload: ""
+        }
+        const differences = diffProposalResponses([
+            createDecodedResponse({ events: event }),
+            createDecodedResponse()
+        ])
+        expect(differences).to.deep.equal([
+            { path: "events", values: [event, null] }
+        ])
+    })
+})
@@ -0,0 +1,215 @@
+// @flow
+
+import type { DecodedProposalResponse } from "./decodeProposalResponse"
+import type { ProposalResponseDifference } from "./diffProposalResponses"
+
+export type ChaincodeErrorDetails = {
+    peerUrl?: ?string,
+    mspId?: ?string,
+    status?: ?(number | string),
+    chaincodeMessage?: ?string,
+    payload?: ?Buffer,
+    txId?: ?string
+}
+
+/**
+ * Base class for errors thrown while endorsing, ordering or committing a transaction
+ * @param message - The error message
+ * @param [details] - Information about where and why the transaction failed
+ * @param {string} [details.peerUrl] - The URL of the peer that reported the failure
+ * @param {string} [details.mspId] - The MSP ID of the organisation the peer belongs to
+ * @param {number|string} [details.status] - The status returned by the peer or orderer
+ * @param {string} [details.chaincodeMessage] - The message returned by the chaincode
+ * @param {Buffer} [details.payload] - The payload returned by the chaincode
+ * @param {string} [details.txId] - The ID of the transaction
+ */
+export class ChaincodeError extends Error {
+    peerUrl: ?string
+    mspId: ?string
+    status: ?(number | string)
+    chaincodeMessage: ?string
+    payload: ?Buffer
+    txId: ?string
+
+    constructor(
+        message: string,
+        {
+            peerUrl,
+            mspId,
+            status,
+            chaincodeMessage,
+            payload,
+            txId
+        }: ChaincodeErrorDetails = {}
+    ) {
+        super(message)
+        this.name = this.constructor.name
+        this.peerUrl = peerUrl
+        this.mspId = mspId
+        this.status = status
+        this.chaincodeMessage = chaincodeMessage
+        this.payload = payload
+        this.txId = txId
+    }
+}
+
+/**
+ * Thrown when a peer does not successfully endorse a proposal
+ * @augments ChaincodeError
+ */
+export class EndorsementError extends ChaincodeError {}
+
+export type PeerProposalResponse = DecodedProposalResponse & {
+    peerUrl?: ?string,
+    mspId?: ?string
+}
+
+/**
+ * Thrown when peers endorse a proposal but their proposal responses are not all equal
+ * @augments EndorsementError
+ * @param message - The error message
+ * @param peerResponses - The decoded read-write sets, response and chaincode event of each peer, along with the peer's URL and MSP ID
+ * @param differences - The values that differ between the peers' proposal responses
+ * @param [details] - Information about the transaction
+ */
+export class EndorsementMismatchError extends EndorsementError {
+    peerResponses: Array<PeerProposalResponse>
+    differences: Array<ProposalResponseDifference>
+
+    constructor(
+        message: string,
+        peerResponses: Array<PeerProposalResponse>,
+        differences: Array<ProposalResponseDifference>,
+        details?: ChaincodeErrorDetails
+    ) {
+        super(message, details)
+        this.peerResponses = peerResponses
+        this.differences = differences
+    }
+}
+
+/**
+ * Thrown when a transaction is committed with a validation code other than VALID
+ * @augments ChaincodeError
+ * @param validationCode - The validation code of the transaction, e.g. MVCC_READ_CONFLICT
+ * @param [details] - Information about where and why the transaction failed
+ */
+export class ValidationCodeError extends ChaincodeError {
+    validationCode: string
+
+    constructor(validationCode: string, details?: ChaincodeErrorDetails) {
+        super(`Invalid code ${validationCode}`, details)
+        this.validationCode = validationCode
+    }
+}
+
+/**
+ * Thrown when a peer or orderer does not respond in time
+ * @augments ChaincodeError
+ */
+export class TimeoutError extends ChaincodeError {}
+
+/**
+ * Thrown when the commit of a transaction cannot be waited on or listened for, because the wait options are invalid or there are no peers or EventHubs to wait on
+ * @augments ChaincodeError
+ */
+export class CommitWaitError extends ChaincodeError {}
+
+/**
+ * Thrown when waiting for the commit of a transaction is cancelled, such as when the transaction is rejected by the orderer
+ * @augments ChaincodeError
+ */
+export class CancellationError extends ChaincodeError {}
+
+/**
+ * Thrown when there are not enough peers or orderers to send a request to
+ * @augments ChaincodeError
+ */
+export class PeerAvailabilityError extends ChaincodeError {}
+
+/**
+ * Thrown when the orderer does not accept a transaction
+ * @augments ChaincodeError
+ * @param message - The error message
+ * @param [details] - Information about why the transaction failed
+ * @param {string} [details.ordererUrl] - The URL of the orderer that rejected the transaction
+ */
+export class OrdererRejectionError extends ChaincodeError {
+    ordererUrl: ?string
+
+    constructor(
+        message: string,
+        details: ChaincodeErrorDetails & { ordererUrl?: ?string } = {}
+    ) {
+        super(message, details)
+        this.ordererUrl = details.ordererUrl
+    }
+}
+
+/**
+ * Thrown when a chaincode response payload cannot be decoded
+ * @augments ChaincodeError
+ * @param decoder - The name of the decoder that failed
+ * @param cause - The error thrown by the decoder
+ * @param payload - The raw payload that could not be decoded
+ */
+export class PayloadDecodeError extends ChaincodeError {
+    decoder: string
+    cause: Error
+
+    constructor(decoder: string, cause: Error, payload: Buffer) {
+        super(
+            `Error could not decode payload with the ${decoder} decoder: ${
+                cause.message
+            }`,
+            { payload }
+        )
+        this.decoder = decoder
+        this.cause = cause
+    }
+}
+
+/**
+ * The answer of a single peer to a quorum query
+ * @typedef {Object} QuorumPeerResponse
+ * @property {string} peerUrl - The URL of the peer
+ * @property {string} [mspId] - The MSP ID of the organisation the peer belongs to
+ * @property {Buffer} [payload] - The payload returned by the peer, undefined if the query failed
+ * @property {Error} [error] - The reason the query failed
+ */
+export type QuorumPeerResponse = {
+    peerUrl: string,
+    mspId?: ?string,
+    payload?: Buffer,
+    error?: Error
+}
+
+/**
+ * Thrown when too few peers return the same payload for a quorum query, or when no single payload is returned by more peers than any other
+ * @augments ChaincodeError
+ * @param minAgree - The number of peers that were required to agree
+ * @param agreeingPeers - The largest group of peers that returned the same payload
+ * @param disagreeingPeers - The other peers, with their divergent payloads or errors
+ * @param [message] - Describes why the peers did not reach a quorum, defaults to the number of peers that agreed
+ */
+export class QuorumError extends ChaincodeError {
+    minAgree: number
+    agreeingPeers: Array<QuorumPeerResponse>
+    disagreeingPeers: Array<QuorumPeerResponse>
+
+    constructor(
+        minAgree: number,
+        agreeingPeers: Array<QuorumPeerResponse>,
+        disagreeingPeers: Array<QuorumPeerResponse>,
+        message?: string
+    ) {
+        super(
+            message ||
+                `Error only ${agreeingPeers.length} of ${agreeingPeers.length +
+                    disagreeingPeers.length} peers agreed, ${minAgree} required`
+        )
+        this.minAgree = minAgree
+        this.agreeingPeers = agreeingPeers
+        this.disagreeingPeers = disagreeingPeers
+    }
+}
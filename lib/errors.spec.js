@@ -0,0 +1,60 @@
+import { expect } from "chai"
+import {
+    ChaincodeError,
+    EndorsementError,
+    ValidationCodeError,
+    TimeoutError,
+    CommitWaitError,
+    CancellationError,
+    PeerAvailabilityError,
+    OrdererRejectionError
+} from "./errors"
+
+describe("errors", function() {
+    it("should create errors that are instances of Error and ChaincodeError", function() {
+        const errors = [
+            new EndorsementError("endorsement"),
+            new ValidationCodeError("MVCC_READ_CONFLICT"),
+            new TimeoutError("timeout"),
+            new CommitWaitError("no peers"),
+            new CancellationError("cancelled"),
+            new PeerAvailabilityError("no peers"),
+            new OrdererRejectionError("rejected")
+        ]
+        errors.forEach(error => {
+            expect(error).to.be.an.instanceof(Error)
+            expect(error).to.be.an.instanceof(ChaincodeError)
+            expect(error.stack).to.be.a("string")
+        })
+        expect(errors[0]).to.be.an.instanceof(EndorsementError)
+        expect(errors[0]).to.not.be.an.instanceof(TimeoutError)
+        expect(errors[0].name).to.equal("EndorsementError")
+    })
+
+    it("should carry the details of the failure", function() {
+        const payload = Buffer.from("payload")
+        const error = new EndorsementError("endorsement", {
+            peerUrl: "grpc://localhost:7051",
+            mspId: "Org1MSP",
+            status: 500,
+            chaincodeMessage: "incorrect number of arguments",
+            payload,
+            txId: "abc"
+        })
+        expect(error.peerUrl).to.equal("grpc://localhost:7051")
+        expect(error.mspId).to.equal("Org1MSP")
+        expect(error.status).to.equal(500)
+        expect(error.chaincodeMessage).to.equal("incorrect number of arguments")
+        expect(error.payload).to.equal(payload)
+        expect(error.txId).to.equal("abc")
+    })
+
+    it("should include the validation code", function() {
+        const error = new ValidationCodeError("MVCC_READ_CONFLICT", {
+            txId: "abc"
+        })
+        expect(error.validationCode).to.equal("MVCC_READ_CONFLICT")
+        expect(error.message).to.equal("Invalid code MVCC_READ_CONFLICT")
+        expect(error.txId).to.equal("abc")
+    })
+})
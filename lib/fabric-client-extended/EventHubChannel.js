@@ -8,12 +8,14 @@ import EventHub from "fabric-client/lib/EventHub"
 import type { ConnectionOpts } from "../FABRIC_FLOW_TYPES"
 import type UserClient from "../UserClient"
 import EventHubManager from "../EventHubManager"
+import type EventHubPool from "../EventHubPool"
 import newChannel from "../newChannel"
 
 type EventHubChannelOpts =
     | {
           eventUrl: string,
-          eventHubOpts: ConnectionOpts
+          eventHubOpts: ConnectionOpts,
+          eventHubPool?: EventHubPool
       }
     | EventHubManager
 export type ChannelOpts = {
@@ -32,12 +34,14 @@ export type ChannelOpts = {
  * @property {Array<Orderer>} orderers - The orderers to use for the channel
  * @property {string} [eventUrl] - The URL to listen to events from the Channel with
  * @property {ConnectionOpts} [eventHubOpts] - The options for connecting to the event url
- * @property {EventHubManager} [eventHubManager] - The eventHubManager to use, required if eventUrl and eventHubOpts aren't specified
+ * @property {EventHubManager} [eventHubManager] - The eventHubManager to use, such as a ChannelEventHubManager for the channel-based event service, required if eventUrl and eventHubOpts aren't specified
+ * @property {EventHubPool} [eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  */
 export type NewEventHubChannelOpts = ChannelOpts & {
     eventUrl: ?string,
     eventHubOpts?: ConnectionOpts,
-    eventHubManager?: EventHubManager
+    eventHubManager?: EventHubManager,
+    eventHubPool?: EventHubPool
 }
 
 /**
@@ -53,6 +57,7 @@ export type NewEventHubChannelOpts = ChannelOpts & {
  * @param {FabricClient|UserClient} opts.client - The Client/UserClient tied to the user that creates the EventHub
  * @param {string} opts.eventUrl - The URL to listen to events from the Channel with
  * @param {ConnectionOpts} opts.eventHubOpts - The options for connecting to the event url
+ * @param {EventHubPool} [opts.eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  * @returns {EventHubChannel} The EventHubChannel
  */
 export function upgradeChannelToEventHubChannel(
@@ -60,10 +65,24 @@ export function upgradeChannelToEventHubChannel(
     opts: EventHubChannelOpts
 ): Channel {
     let eventHubManager
-    if (opts.eventUrl && opts.eventHubOpts) {
+    const getBlock = (channelId, blockNumber) =>
+        channelId === channel.getName()
+            ? channel.queryBlock(blockNumber)
+            : Promise.reject(
+                  new Error(`Error cannot get blocks of channel ${channelId}`)
+              )
+    if (opts.eventUrl && opts.eventHubPool) {
+        const { eventUrl, eventHubOpts, eventHubPool } = (opts: any)
+        eventHubManager = eventHubPool.getEventHubManager({
+            eventUrl,
+            eventHubOpts,
+            channelName: channel.getName(),
+            getBlock
+        })
+    } else if (opts.eventUrl && opts.eventHubOpts) {
         const eventHub = new EventHub(channel._clientContext)
         eventHub.setPeerAddr(opts.eventUrl, opts.eventHubOpts)
-        eventHubManager = new EventHubManager(eventHub)
+        eventHubManager = new EventHubManager(eventHub, { getBlock })
     } else {
         eventHubManager = opts
     }
@@ -88,6 +107,7 @@ export function upgradeChannelToEventHubChannel(
  * @param {FabricClient|UserClient} opts.client - The Client/UserClient tied to the user that creates the EventHub
  * @param {string} opts.eventUrl - The URL to listen to events from the Channel with
  * @param {ConnectionOpts} opts.eventHubOpts - The options for connecting to the channels event url
+ * @param {EventHubPool} [opts.eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  * @returns {EventHubChannel} The EventHubChannel
  */
 export function newEventHubChannel({
@@ -97,7 +117,8 @@ export function newEventHubChannel({
     orderers,
     eventUrl,
     eventHubOpts,
-    eventHubManager
+    eventHubManager,
+    eventHubPool
 }: NewEventHubChannelOpts): Channel {
     return upgradeChannelToEventHubChannel(
         newChannel({
@@ -106,7 +127,7 @@ export function newEventHubChannel({
             peers,
             orderers
         }),
-        (eventHubManager || { eventUrl, eventHubOpts }: any)
+        (eventHubManager || { eventUrl, eventHubOpts, eventHubPool }: any)
     )
 }
 
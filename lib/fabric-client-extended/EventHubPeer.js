@@ -3,9 +3,11 @@
 import type FabricClient from "fabric-client"
 import type Peer from "fabric-client/lib/Peer"
 import EventHub from "fabric-client/lib/EventHub"
+import Channel from "fabric-client/lib/Channel"
 import type { ConnectionOpts } from "../FABRIC_FLOW_TYPES"
 import type UserClient from "../UserClient"
 import EventHubManager from "../EventHubManager"
+import type EventHubPool from "../EventHubPool"
 import {
     isFcwPeer,
     upgradePeerToFcwPeer,
@@ -18,7 +20,8 @@ type EventHubPeerOptsPartial = {
     client?: FabricClient | UserClient,
     eventUrl?: string,
     eventHubOpts?: ConnectionOpts,
-    eventHubManager?: EventHubManager
+    eventHubManager?: EventHubManager,
+    eventHubPool?: EventHubPool
 }
 
 export type EventHubPeerOpts = FcwPeerOpts & EventHubPeerOptsPartial
@@ -39,6 +42,7 @@ export type NewEventHubPeerOpts = NewFcwPeerOpts & EventHubPeerOptsPartial
  * @param {string} [opts.eventUrl] - The URL to listen to events from the Peer with
  * @param {ConnectionOpts} [opts.eventHubOpts] - The options for connecting to the peers event url
  * @param {EventHubManager} [opts.eventHubManager] - The eventHubManager to use, required if eventUrl and eventHubOpts aren't specified
+ * @param {EventHubPool} [opts.eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  * @returns {EventHubPeer} The EventHubPeer
  */
 export function upgradeFcwPeerToEventHubPeer(
@@ -46,18 +50,30 @@ export function upgradeFcwPeerToEventHubPeer(
     opts: EventHubPeerOpts
 ): Peer {
     let eventHubManager
-    if (opts.eventUrl && opts.client) {
+    if (opts.eventUrl && opts.eventHubPool) {
+        const { eventUrl, eventHubOpts, eventHubPool } = (opts: any)
+        eventHubManager = eventHubPool.getEventHubManager({
+            eventUrl,
+            eventHubOpts,
+            peer: fcwPeer
+        })
+    } else if (opts.eventUrl && opts.client) {
         const { eventUrl, eventHubOpts, client } = (opts: any)
-        const eventHub = client.client
-            ? new EventHub(client.client)
-            : new EventHub(client)
+        const fabricClient = client.client || client
+        const eventHub = new EventHub(fabricClient)
         eventHub.setPeerAddr(eventUrl, eventHubOpts)
-        eventHubManager = new EventHubManager(eventHub)
+        eventHubManager = new EventHubManager(eventHub, {
+            getBlock: (channelId, blockNumber) =>
+                new Channel(channelId, fabricClient).queryBlock(
+                    blockNumber,
+                    fcwPeer
+                )
+        })
     } else if (opts.eventHubManager) {
         eventHubManager = opts.eventHubManager
     } else {
         throw new Error(
-            "Error either eventUrl+client or eventHubManager is required"
+            "Error either eventUrl+client, eventUrl+eventHubPool or eventHubManager is required"
         )
     }
     fcwPeer.eventHubManager = eventHubManager
@@ -84,6 +100,7 @@ export function upgradeFcwPeerToEventHubPeer(
  * @param {string} [opts.eventUrl] - The URL to listen to events from the Peer with
  * @param {ConnectionOpts} [opts.eventHubOpts] - The options for connecting to the peers event url
  * @param {EventHubManager} [opts.eventHubManager] - The eventHubManager to use, required if eventUrl and eventHubOpts aren't specified
+ * @param {EventHubPool} [opts.eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  * @returns {EventHubPeer} The EventHubPeer
  */
 export function upgradePeerToEventHubPeer(
@@ -105,6 +122,7 @@ export function upgradePeerToEventHubPeer(
  * @param {string} [opts.eventUrl] - The URL to listen to events from the Peer with
  * @param {ConnectionOpts} [opts.eventHubOpts] - The options for connecting to the peers event url
  * @param {EventHubManager} [opts.eventHubManager] - The eventHubManager to use, required if eventUrl and eventHubOpts aren't specified
+ * @param {EventHubPool} [opts.eventHubPool] - The pool to share the EventHubManager for the eventUrl through, instead of creating one for the client
  * @returns {EventHubPeer} The EventHubPeer
  */
 export function newEventHubPeer(opts: NewEventHubPeerOpts): Peer {
@@ -111,10 +111,49 @@ import {
     newUserClientFromKeys,
     newUserClientFromCAEnroll,
     newUserClientFromCARegisterAndEnroll,
-    newUserClientFromStore
+    newUserClientFromStore,
+    newUserClientFromCertificate,
+    newUserClientFromSigner
 } from "./user-client-factories"
-import pickPeersForPolicy from "./pickPeersForPolicy"
+import pickPeersForPolicy, {
+    pickPeersForCollections
+} from "./pickPeersForPolicy"
+import contract from "./contract"
+import QueryPeerSelector from "./QueryPeerSelector"
+import { registerPayloadDecoder } from "./payload-decoders"
 import EventHubManager from "./EventHubManager"
+import ChannelEventHubManager from "./ChannelEventHubManager"
+import EventHubPool from "./EventHubPool"
+import EventStream from "./EventStream"
+import ChaincodeEventSubscription from "./ChaincodeEventSubscription"
+import {
+    newKeyValueStoreCheckpointStore,
+    newFileCheckpointStore
+} from "./checkpoint-stores"
+import TransactionJournal from "./TransactionJournal"
+import {
+    newMemoryJournalStore,
+    newKeyValueStoreJournalStore,
+    newFileJournalStore
+} from "./journal-stores"
+import recoverPendingTransactions from "./recoverPendingTransactions"
+import LedgerReader from "./LedgerReader"
+import LedgerIndexer from "./LedgerIndexer"
+import { newMemorySink, newJsonLinesFileSink } from "./indexer-sinks"
+import { validateCollectionsConfig, encodeTransientMap } from "./private-data"
+import {
+    ChaincodeError,
+    EndorsementError,
+    EndorsementMismatchError,
+    ValidationCodeError,
+    TimeoutError,
+    CommitWaitError,
+    CancellationError,
+    PeerAvailabilityError,
+    OrdererRejectionError,
+    PayloadDecodeError,
+    QuorumError
+} from "./errors"
 import { ADMIN_ROLE, CA_ADMIN_ROLE, MEMBER_ROLE } from "./shared"
 
 /**
@@ -123,6 +162,10 @@ import { ADMIN_ROLE, CA_ADMIN_ROLE, MEMBER_ROLE } from "./shared"
  * @param {Channel} channel - The Channel object representing the channel to transact on
  * @param {string} chaincodeId - The ID of the chaincode being transacted on
  * @param {Array<Peer>|Policy} [peersOrPolicy] - An array of peers to transact with or the endorsement policy to select peers with
+ * @param [opts] - Additional options
+ * @param {PayloadDecoder} [opts.decoder] - The decoder used for query and invoke response payloads
+ * @param {string|Function|QueryPeerSelector} [opts.queryStrategy] - How to pick the peer for queries, e.g. 'roundRobin', 'leastLatency', 'random' or 'sameMspFirst'
+ * @param {Array<CollectionConfig>} [opts.collections] - The private data collections of the chaincode, required to use invokePrivate
  * @property {UserClient} UserClient - Class representing a user and also a wrapper over FabricClient
  * @property {upgradePeerToFcwPeer} upgradePeerToFcwPeer - Upgrades a fabric-client Peer with additional MSP information
  * @property {newFcwPeer} newFcwPeer - Creates a fabric-clietn Peer with additional MSP information
@@ -140,14 +183,55 @@ import { ADMIN_ROLE, CA_ADMIN_ROLE, MEMBER_ROLE } from "./shared"
  * @property {newUserClientFromCAEnroll} newUserClientFromCAEnroll - Creates a new UserClient from enrolling in the CA
  * @property {newUserClientFromCARegisterAndEnroll} newUserClientFromCARegisterAndEnroll - Creates a new UserClient from registering and enrolling in the CA
  * @property {newUserClientFromStore} newUserClientFromStore - Creates a new UserClient from the key value store
+ * @property {newUserClientFromCertificate} newUserClientFromCertificate - Creates a new UserClient from a certificate for a user whose private key is held elsewhere
+ * @property {newUserClientFromSigner} newUserClientFromSigner - Creates a new UserClient that signs with a pluggable signer
  * @property {pickPeersForPolicy} pickPeersForPolicy - Picks peers from a larger set that satisfy an endorsement policy
+ * @property {pickPeersForCollections} pickPeersForCollections - Picks peers from a larger set that satisfy an endorsement policy and are members of private data collections
+ * @property {contract} contract - Creates an object with a method for each function of a chaincode that validates arguments and decodes responses
+ * @property {QueryPeerSelector} QueryPeerSelector - Class that orders the peers used for queries and fails over between them
+ * @property {registerPayloadDecoder} registerPayloadDecoder - Registers a decoder for chaincode response payloads that can then be referred to by name
+ * @property {ChannelEventHubManager} ChannelEventHubManager - Class that manages the connection to a peer's channel-based event service, with the same API as EventHubManager
+ * @property {EventHubPool} EventHubPool - Class that shares EventHub connections between the UserClients of many users
+ * @property {EventStream} EventStream - Class for the streams of blocks and chaincode events, which are also async iterables
+ * @property {ChaincodeEventSubscription} ChaincodeEventSubscription - Class for chaincode event subscriptions that resume from a persisted checkpoint
+ * @property {newKeyValueStoreCheckpointStore} newKeyValueStoreCheckpointStore - Creates a checkpoint store that persists checkpoints in a KeyValueStore
+ * @property {newFileCheckpointStore} newFileCheckpointStore - Creates a checkpoint store that persists checkpoints as files in a directory
+ * @property {TransactionJournal} TransactionJournal - Class that records the invokes submitted by a UserClient and what became of them
+ * @property {newMemoryJournalStore} newMemoryJournalStore - Creates a journal store that keeps receipts in memory
+ * @property {newKeyValueStoreJournalStore} newKeyValueStoreJournalStore - Creates a journal store that persists receipts in a KeyValueStore
+ * @property {newFileJournalStore} newFileJournalStore - Creates a journal store that persists receipts as files in a directory
+ * @property {recoverPendingTransactions} recoverPendingTransactions - Resolves the transactions a journal holds as pending, such as after a restart
+ * @property {LedgerReader} LedgerReader - Class for reading blocks and transactions from a channel's ledger as plain objects
+ * @property {LedgerIndexer} LedgerIndexer - Class that replays the state changes of a channel's ledger into off-chain stores
+ * @property {newMemorySink} newMemorySink - Creates an indexer sink that keeps a replica of the chaincodes' state in memory
+ * @property {newJsonLinesFileSink} newJsonLinesFileSink - Creates an indexer sink that appends every state change to a file as a line of JSON
+ * @property {validateCollectionsConfig} validateCollectionsConfig - Validates the definitions of private data collections against the MSPs of a channel
+ * @property {encodeTransientMap} encodeTransientMap - Encodes private data as a transientMap
+ * @property {ChaincodeError} ChaincodeError - Base class for errors thrown while endorsing, ordering or committing a transaction
+ * @property {EndorsementError} EndorsementError - Thrown when a peer does not successfully endorse a proposal
+ * @property {EndorsementMismatchError} EndorsementMismatchError - Thrown when peers endorse a proposal but their proposal responses are not all equal
+ * @property {ValidationCodeError} ValidationCodeError - Thrown when a transaction is committed with a validation code other than VALID
+ * @property {TimeoutError} TimeoutError - Thrown when a peer or orderer does not respond in time
+ * @property {CommitWaitError} CommitWaitError - Thrown when the commit of a transaction cannot be waited on or listened for, because the wait options are invalid or there are no peers or EventHubs to wait on
+ * @property {CancellationError} CancellationError - Thrown when waiting for the commit of a transaction is cancelled
+ * @property {PeerAvailabilityError} PeerAvailabilityError - Thrown when there are not enough peers or orderers to send a request to
+ * @property {OrdererRejectionError} OrdererRejectionError - Thrown when the orderer does not accept a transaction
+ * @property {PayloadDecodeError} PayloadDecodeError - Thrown when a chaincode response payload cannot be decoded
+ * @property {QuorumError} QuorumError - Thrown when too few peers return the same payload for a quorum query
  * @property {string} ADMIN_ROLE - The string 'admin'
  * @property {string} CA_ADMIN_ROLE - The string 'ca_admin'
  * @property {string} MEMBER_ROLE - The string 'member'
  * @returns {Transactor} The new object for interacting with the chaincode
  */
-function fcw(userClient, channel, chaincodeId, peersOrPolicy) {
-    return new Transactor(userClient, channel, chaincodeId, peersOrPolicy)
+function fcw(userClient, channel, chaincodeId, peersOrPolicy, opts) {
+    return new Transactor(
+        userClient,
+        channel,
+        chaincodeId,
+        peersOrPolicy,
+        undefined,
+        opts
+    )
 }
 
 /**
@@ -174,6 +258,9 @@ fcw.ChannelSetupClient = ChannelSetupClient
 fcw.ChannelSetupServer = ChannelSetupServer
 fcw.UserClient = UserClient
 fcw.EventHubManager = EventHubManager
+fcw.ChannelEventHubManager = ChannelEventHubManager
+fcw.EventHubPool = EventHubPool
+fcw.EventStream = EventStream
 fcw.upgradePeerToFcwPeer = upgradePeerToFcwPeer
 fcw.newFcwPeer = newFcwPeer
 fcw.isFcwPeer = isFcwPeer
@@ -190,7 +277,38 @@ fcw.newUserClientFromKeys = newUserClientFromKeys
 fcw.newUserClientFromCAEnroll = newUserClientFromCAEnroll
 fcw.newUserClientFromCARegisterAndEnroll = newUserClientFromCARegisterAndEnroll
 fcw.newUserClientFromStore = newUserClientFromStore
+fcw.newUserClientFromCertificate = newUserClientFromCertificate
+fcw.newUserClientFromSigner = newUserClientFromSigner
 fcw.pickPeersForPolicy = pickPeersForPolicy
+fcw.pickPeersForCollections = pickPeersForCollections
+fcw.contract = contract
+fcw.registerPayloadDecoder = registerPayloadDecoder
+fcw.QueryPeerSelector = QueryPeerSelector
+fcw.ChaincodeEventSubscription = ChaincodeEventSubscription
+fcw.newKeyValueStoreCheckpointStore = newKeyValueStoreCheckpointStore
+fcw.newFileCheckpointStore = newFileCheckpointStore
+fcw.TransactionJournal = TransactionJournal
+fcw.newMemoryJournalStore = newMemoryJournalStore
+fcw.newKeyValueStoreJournalStore = newKeyValueStoreJournalStore
+fcw.newFileJournalStore = newFileJournalStore
+fcw.recoverPendingTransactions = recoverPendingTransactions
+fcw.LedgerReader = LedgerReader
+fcw.LedgerIndexer = LedgerIndexer
+fcw.newMemorySink = newMemorySink
+fcw.newJsonLinesFileSink = newJsonLinesFileSink
+fcw.validateCollectionsConfig = validateCollectionsConfig
+fcw.encodeTransientMap = encodeTransientMap
+fcw.ChaincodeError = ChaincodeError
+fcw.EndorsementError = EndorsementError
+fcw.EndorsementMismatchError = EndorsementMismatchError
+fcw.ValidationCodeError = ValidationCodeError
+fcw.TimeoutError = TimeoutError
+fcw.CommitWaitError = CommitWaitError
+fcw.CancellationError = CancellationError
+fcw.PeerAvailabilityError = PeerAvailabilityError
+fcw.OrdererRejectionError = OrdererRejectionError
+fcw.PayloadDecodeError = PayloadDecodeError
+fcw.QuorumError = QuorumError
 fcw.ADMIN_ROLE = ADMIN_ROLE
 fcw.CA_ADMIN_ROLE = CA_ADMIN_ROLE
 fcw.MEMBER_ROLE = MEMBER_ROLE
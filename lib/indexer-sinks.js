@@ -0,0 +1,254 @@
+// @flow
+
+import fs from "fs"
+
+/**
+ * A change a valid transaction made to the state of a chaincode
+ * @typedef {Object} StateChange
+ * @property {string} namespace - The chaincode whose state changed
+ * @property {string} key - The key that was written
+ * @property {string} [value] - The value that was written, null if the key was deleted
+ * @property {boolean} isDelete - Whether the key was deleted
+ * @property {string} txId - The ID of the transaction that made the change
+ * @property {number} txIndex - The index of the transaction in its block
+ * @property {number} blockNumber - The block the transaction was committed in
+ * @property {string} [timestamp] - When the transaction was created as an ISO 8601 string
+ */
+export type StateChange = {
+    namespace: string,
+    key: string,
+    value: ?string,
+    isDelete: boolean,
+    txId: string,
+    txIndex: number,
+    blockNumber: number,
+    timestamp: ?string
+}
+
+/**
+ * The state changes of a block, in the order the transactions were committed
+ * @typedef {Object} IndexedBlock
+ * @property {number} blockNumber - The number of the block
+ * @property {string} channelId - The channel the block belongs to
+ * @property {Array<StateChange>} changes - The changes made by the valid transactions of the block
+ */
+export type IndexedBlock = {
+    blockNumber: number,
+    channelId: string,
+    changes: Array<StateChange>
+}
+
+/**
+ * Receives the state changes of a LedgerIndexer. Blocks are applied one at a time in block order, and a block may be applied again if the indexer stopped before it could save its checkpoint, so applying a block must be idempotent
+ * @typedef {Object} IndexerSink
+ * @property {Function} applyBlock - Takes an IndexedBlock and returns a promise that resolves once its changes have been applied
+ */
+export type IndexerSink = {
+    applyBlock(block: IndexedBlock): Promise<void> | void
+}
+
+export type IndexedRow = {
+    key: string,
+    value: string,
+    blockNumber: number,
+    txId: string
+}
+
+/**
+ * A reference sink that keeps a replica of the chaincodes' state in memory, with a table of rows per chaincode
+ * @typedef {Object} MemorySink
+ * @augments IndexerSink
+ * @property {Function} get - Takes a chaincode and a key and returns the row of the key, or null if the key is not set
+ * @property {Function} query - Takes a chaincode and an optional function that takes a row and returns whether to include it, and returns the matching rows ordered by key
+ * @property {Function} getBlockNumber - Returns the number of the last block applied, or null if no block has been applied
+ */
+export type MemorySink = IndexerSink & {
+    get(namespace: string, key: string): ?IndexedRow,
+    query(
+        namespace: string,
+        filter?: (row: IndexedRow) => boolean
+    ): Array<IndexedRow>,
+    getBlockNumber(): ?number
+}
+
+/**
+ * Creates a sink that keeps a replica of the chaincodes' state in memory
+ * @returns The sink
+ */
+export function newMemorySink(): MemorySink {
+    const tables: Map<string, Map<string, IndexedRow>> = new Map()
+    let lastBlockNumber = null
+    return {
+        applyBlock({ blockNumber, changes }) {
+            changes.forEach(({ namespace, key, value, isDelete, txId }) => {
+                let table = tables.get(namespace)
+                if (!table) {
+                    table = new Map()
+                    tables.set(namespace, table)
+                }
+                if (isDelete || value == null) {
+                    table.delete(key)
+                } else {
+                    table.set(key, { key, value, blockNumber, txId })
+                }
+            })
+            lastBlockNumber = blockNumber
+        },
+        get(namespace, key) {
+            const table = tables.get(namespace)
+            return (table && table.get(key)) || null
+        },
+        query(namespace, filter = () => true) {
+            const table = tables.get(namespace)
+            if (!table) {
+                return []
+            }
+            return [...table.values()]
+                .filter(filter)
+                .sort((a, b) => (a.key < b.key ? -1 : 1))
+        },
+        getBlockNumber() {
+            return lastBlockNumber
+        }
+    }
+}
+
+const NEWLINE = 10
+
+function readChunk(
+    fd: number,
+    length: number,
+    position: number
+): Promise<Buffer> {
+    return new Promise((resolve, reject) =>
+        fs.read(
+            fd,
+            Buffer.alloc(length),
+            0,
+            length,
+            position,
+            (error, bytesRead, buffer) =>
+                error ? reject(error) : resolve(buffer.slice(0, bytesRead))
+        )
+    )
+}
+
+function parseBlockEnd(line: string): ?number {
+    let parsed
+    try {
+        parsed = JSON.parse(line)
+    } catch (error) {
+        return null
+    }
+    return parsed && typeof parsed.endOfBlock === "number"
+        ? parsed.endOfBlock
+        : null
+}
+
+// reads the file backwards a chunk at a time until it finds the marker line of the last block that was written in full
+async function findLastBlockEnd(
+    fd: number,
+    size: number
+): Promise<{ blockNumber: ?number, end: number }> {
+    let buffer = Buffer.alloc(0)
+    let position = size
+    while (position > 0) {
+        const length = Math.min(4096, position)
+        position -= length
+        // eslint-disable-next-line no-await-in-loop
+        buffer = Buffer.concat([await readChunk(fd, length, position), buffer])
+        // anything after the last newline is a torn line
+        let lineEnd = buffer.lastIndexOf(NEWLINE)
+        let lineStart =
+            lineEnd > 0 ? buffer.lastIndexOf(NEWLINE, lineEnd - 1) + 1 : 0
+        // the first line of the buffer may start in a chunk that has not been read yet
+        while (lineEnd !== -1 && (lineStart > 0 || position === 0)) {
+            const blockNumber = parseBlockEnd(
+                buffer.toString("utf8", lineStart, lineEnd)
+            )
+            if (blockNumber !== null) {
+                return { blockNumber, end: position + lineEnd + 1 }
+            }
+            lineEnd = lineStart - 1
+            lineStart =
+                lineEnd > 0 ? buffer.lastIndexOf(NEWLINE, lineEnd - 1) + 1 : 0
+        }
+        buffer = buffer.slice(0, lineEnd + 1)
+    }
+    return { blockNumber: null, end: 0 }
+}
+
+// truncates whatever follows the last complete block, so a block torn by a crash is written again in full, and returns the number of that block
+async function recoverFile(path: string): Promise<?number> {
+    let fd
+    try {
+        fd = await new Promise((resolve, reject) =>
+            fs.open(
+                path,
+                "r+",
+                (error, openedFd) => (error ? reject(error) : resolve(openedFd))
+            )
+        )
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null
+        }
+        throw error
+    }
+    try {
+        const { size } = await new Promise((resolve, reject) =>
+            fs.fstat(
+                fd,
+                (error, stats) => (error ? reject(error) : resolve(stats))
+            )
+        )
+        const { blockNumber, end } = await findLastBlockEnd(fd, size)
+        if (end < size) {
+            await new Promise((resolve, reject) =>
+                fs.ftruncate(
+                    fd,
+                    end,
+                    error => (error ? reject(error) : resolve())
+                )
+            )
+        }
+        return blockNumber
+    } finally {
+        fs.close(fd, () => {})
+    }
+}
+
+/**
+ * Creates a sink that appends every state change to a file as a line of JSON. The changes of a block are appended in a single write followed by a marker line of the form {"endOfBlock": blockNumber}. When the sink starts it truncates anything after the last marker, so a block that was only partly written before a crash is written again in full, and skips the blocks at or below the last marker, so a block applied again after a restart is not written twice
+ * @param path - The file to append to, it is created if it does not exist
+ * @returns The sink
+ */
+export function newJsonLinesFileSink(path: string): IndexerSink {
+    let lastBlockNumber
+    return {
+        async applyBlock({ blockNumber, changes }) {
+            if (typeof lastBlockNumber === "undefined") {
+                lastBlockNumber = await recoverFile(path)
+            }
+            if (
+                !changes.length ||
+                (typeof lastBlockNumber === "number" &&
+                    blockNumber <= lastBlockNumber)
+            ) {
+                return
+            }
+            const lines = changes
+                .map(change => `${JSON.stringify(change)}\n`)
+                .concat(`${JSON.stringify({ endOfBlock: blockNumber })}\n`)
+                .join("")
+            await new Promise((resolve, reject) =>
+                fs.appendFile(
+                    path,
+                    lines,
+                    error => (error ? reject(error) : resolve())
+                )
+            )
+            lastBlockNumber = blockNumber
+        }
+    }
+}
@@ -0,0 +1,94 @@
+// @flow
+
+import type { InvokeChaincodeResponse } from "./UserClient"
+import { ValidationCodeError } from "./errors"
+import wait from "./wait"
+
+export const DEFAULT_RETRYABLE_CODES = [
+    "MVCC_READ_CONFLICT",
+    "PHANTOM_READ_CONFLICT"
+]
+
+/**
+ * Options for retrying an invoke that was invalidated when it was committed
+ * @typedef {Object} RetryOpts
+ * @property {number} [maxAttempts=3] - The maximum number of times to endorse and submit the transaction
+ * @property {number} [backoff=1000] - The number of ms to wait before the first retry
+ * @property {number} [backoffMultiplier=2] - The factor the backoff is multiplied by after each retry
+ * @property {Array<string>} [retryableCodes=['MVCC_READ_CONFLICT', 'PHANTOM_READ_CONFLICT']] - The validation codes that cause the transaction to be retried
+ */
+export type RetryOpts = {
+    maxAttempts?: number,
+    backoff?: number,
+    backoffMultiplier?: number,
+    retryableCodes?: Array<string>
+}
+
+export type FailedAttempt = {
+    transactionId: string,
+    code: string
+}
+
+/**
+ * Runs an invoke until it is committed, retrying with backoff when the commit fails with a retryable validation code
+ * @ignore
+ * @param invoke - Function that endorses and submits a new transaction, it is passed the attempt number starting at 1
+ * @param [retryOpts] - The options for retrying
+ * @returns The response of the successful attempt, with the number of attempts and the failed attempts added to its data
+ */
+export default async function invokeWithRetry(
+    invoke: (attempt: number) => Promise<InvokeChaincodeResponse>,
+    {
+        maxAttempts = 3,
+        backoff = 1000,
+        backoffMultiplier = 2,
+        retryableCodes = DEFAULT_RETRYABLE_CODES
+    }: RetryOpts = {}
+): Promise<InvokeChaincodeResponse> {
+    const failedAttempts: Array<FailedAttempt> = []
+    let delay = backoff
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const response = await invoke(attempt) // eslint-disable-line no-await-in-loop
+        if (!response.wait) {
+            throw new Error(
+                "Error: invokeWithRetry requires wait to be enabled"
+            )
+        }
+        try {
+            await response.wait() // eslint-disable-line no-await-in-loop
+            return {
+                data: {
+                    ...response.data,
+                    attempts: attempt,
+                    failedAttempts
+                },
+                wait: () => Promise.resolve()
+            }
+        } catch (error) {
+            const code =
+                error instanceof ValidationCodeError
+                    ? error.validationCode
+                    : undefined
+            if (code) {
+                failedAttempts.push({
+                    transactionId: response.data.transactionId,
+                    code
+                })
+            }
+            if (
+                !code ||
+                !retryableCodes.includes(code) ||
+                attempt === maxAttempts
+            ) {
+                error.attempts = attempt
+                error.failedAttempts = failedAttempts
+                throw error
+            }
+            await wait(delay) // eslint-disable-line no-await-in-loop
+            delay *= backoffMultiplier
+        }
+    }
+    throw new Error(
+        "Error: invokeWithRetry requires maxAttempts to be at least 1"
+    )
+}
@@ -0,0 +1,76 @@
+import { expect } from "chai"
+import invokeWithRetry from "./invokeWithRetry"
+import { ValidationCodeError } from "./errors"
+
+function createInvokeStub(codes) {
+    let calls = 0
+    const invoke = attempt => {
+        const code = codes[calls]
+        calls += 1
+        return Promise.resolve({
+            data: { transactionId: `tx${attempt}` },
+            wait: () =>
+                code
+                    ? Promise.reject(new ValidationCodeError(code))
+                    : Promise.resolve()
+        })
+    }
+    invoke.getCalls = () => calls
+    return invoke
+}
+
+describe("invokeWithRetry", function() {
+    it("should resolve on the first attempt if the transaction is valid", async function() {
+        const invoke = createInvokeStub([])
+        const response = await invokeWithRetry(invoke, { backoff: 0 })
+        expect(response.data.attempts).to.equal(1)
+        expect(response.data.failedAttempts).to.deep.equal([])
+        expect(invoke.getCalls()).to.equal(1)
+    })
+
+    it("should retry transactions that fail with a retryable code", async function() {
+        const invoke = createInvokeStub([
+            "MVCC_READ_CONFLICT",
+            "PHANTOM_READ_CONFLICT"
+        ])
+        const response = await invokeWithRetry(invoke, { backoff: 0 })
+        expect(response.data.attempts).to.equal(3)
+        expect(response.data.transactionId).to.equal("tx3")
+        expect(response.data.failedAttempts).to.deep.equal([
+            { transactionId: "tx1", code: "MVCC_READ_CONFLICT" },
+            { transactionId: "tx2", code: "PHANTOM_READ_CONFLICT" }
+        ])
+        await response.wait()
+    })
+
+    it("should not retry transactions that fail with a non retryable code", async function() {
+        const invoke = createInvokeStub(["ENDORSEMENT_POLICY_FAILURE"])
+        let error
+        try {
+            await invokeWithRetry(invoke, { backoff: 0 })
+        } catch (e) {
+            error = e
+        }
+        expect(error.validationCode).to.equal("ENDORSEMENT_POLICY_FAILURE")
+        expect(error.attempts).to.equal(1)
+        expect(invoke.getCalls()).to.equal(1)
+    })
+
+    it("should give up after maxAttempts", async function() {
+        const invoke = createInvokeStub([
+            "MVCC_READ_CONFLICT",
+            "MVCC_READ_CONFLICT",
+            "MVCC_READ_CONFLICT"
+        ])
+        let error
+        try {
+            await invokeWithRetry(invoke, { maxAttempts: 2, backoff: 0 })
+        } catch (e) {
+            error = e
+        }
+        expect(error.validationCode).to.equal("MVCC_READ_CONFLICT")
+        expect(error.attempts).to.equal(2)
+        expect(error.failedAttempts.length).to.equal(2)
+        expect(invoke.getCalls()).to.equal(2)
+    })
+})
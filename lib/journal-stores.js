@@ -0,0 +1,142 @@
+// @flow
+
+import FileKeyValueStore from "fabric-client/lib/impl/FileKeyValueStore"
+import type { KeyValueStore } from "fabric-client/lib/api"
+
+/**
+ * The state of a transaction: 'PENDING' once it has been sent to the orderer, 'COMMITTED' or 'INVALID' once it has been committed with a valid or invalid validation code and 'FAILED' if the orderer did not accept it
+ * @typedef {string} TransactionStatus
+ */
+export type TransactionStatus = "PENDING" | "COMMITTED" | "INVALID" | "FAILED"
+
+/**
+ * The journal entry of a submitted invoke
+ * @typedef {Object} TransactionReceipt
+ * @property {string} txId - The ID of the transaction
+ * @property {string} channelId - The channel the transaction was submitted on
+ * @property {string} chaincodeId - The chaincode that was invoked
+ * @property {string} fcn - The chaincode function that was invoked
+ * @property {string} argsHash - The hex encoded SHA-256 hash of the arguments, which are not stored as they may be sensitive
+ * @property {Array<string>} endorsingPeers - The URLs of the peers that endorsed the transaction
+ * @property {number} submitTime - When the transaction was sent to the orderer, in ms since the epoch
+ * @property {TransactionStatus} status - The state of the transaction
+ * @property {number} [blockNumber] - The block the transaction was committed in
+ * @property {string} [validationCode] - The validation code the transaction was committed with
+ * @property {number} [latency] - The number of ms between submitting and committing the transaction
+ * @property {string} [error] - Why the transaction failed
+ */
+export type TransactionReceipt = {
+    txId: string,
+    channelId: string,
+    chaincodeId: string,
+    fcn: string,
+    argsHash: string,
+    endorsingPeers: Array<string>,
+    submitTime: number,
+    status: TransactionStatus,
+    blockNumber?: number,
+    validationCode?: string,
+    latency?: number,
+    error?: string
+}
+
+/**
+ * Persists the receipts of a TransactionJournal
+ * @typedef {Object} JournalStore
+ * @property {Function} get - Takes a transaction ID and returns a promise containing its receipt, or null if it has none
+ * @property {Function} put - Takes a receipt and returns a promise that resolves once the receipt has been persisted, replacing any earlier receipt of the transaction
+ * @property {Function} listPending - Returns a promise containing the receipts with the status 'PENDING'
+ */
+export type JournalStore = {
+    get(txId: string): Promise<?TransactionReceipt>,
+    put(receipt: TransactionReceipt): Promise<void>,
+    listPending(): Promise<Array<TransactionReceipt>>
+}
+
+/**
+ * Creates a journal store that keeps receipts in memory
+ * @returns The journal store
+ */
+export function newMemoryJournalStore(): JournalStore {
+    const receipts: Map<string, TransactionReceipt> = new Map()
+    return {
+        async get(txId) {
+            return receipts.get(txId) || null
+        },
+        async put(receipt) {
+            receipts.set(receipt.txId, { ...receipt })
+        },
+        async listPending() {
+            return [...receipts.values()].filter(
+                receipt => receipt.status === "PENDING"
+            )
+        }
+    }
+}
+
+/**
+ * Creates a journal store that persists receipts in a KeyValueStore. The IDs of pending transactions are kept in an index stored under the prefix followed by 'pending'
+ * @param store - The KeyValueStore to use, e.g. the store of a UserClient
+ * @param [prefix='tx-'] - The prefix of the keys the receipts are stored under
+ * @returns The journal store
+ */
+export function newKeyValueStoreJournalStore(
+    store: KeyValueStore,
+    prefix: string = "tx-"
+): JournalStore {
+    const indexKey = `${prefix}pending`
+    const get = async txId => {
+        const value = await store.getValue(`${prefix}${txId}`)
+        return value ? JSON.parse(value) : null
+    }
+    const getPendingIds = async () => {
+        const value = await store.getValue(indexKey)
+        return value ? JSON.parse(value) : []
+    }
+    // the pending index is read and rewritten by every put, so puts must not interleave
+    let writes = Promise.resolve()
+    const put = async receipt => {
+        await store.setValue(
+            `${prefix}${receipt.txId}`,
+            JSON.stringify(receipt)
+        )
+        const pendingIds = await getPendingIds()
+        const isIndexed = pendingIds.includes(receipt.txId)
+        if (receipt.status === "PENDING" && !isIndexed) {
+            await store.setValue(
+                indexKey,
+                JSON.stringify([...pendingIds, receipt.txId])
+            )
+        } else if (receipt.status !== "PENDING" && isIndexed) {
+            await store.setValue(
+                indexKey,
+                JSON.stringify(pendingIds.filter(id => id !== receipt.txId))
+            )
+        }
+    }
+    return {
+        get,
+        put(receipt) {
+            const write = writes.then(() => put(receipt))
+            writes = write.catch(() => {})
+            return write
+        },
+        async listPending() {
+            await writes
+            const receipts = await Promise.all((await getPendingIds()).map(get))
+            return (receipts.filter(
+                receipt => receipt && receipt.status === "PENDING"
+            ): any)
+        }
+    }
+}
+
+/**
+ * Creates a journal store that persists receipts as files in a directory
+ * @param path - The directory to store the receipts in
+ * @returns A promise containing the journal store
+ */
+export async function newFileJournalStore(path: string): Promise<JournalStore> {
+    const store = await new FileKeyValueStore({ path })
+    return newKeyValueStoreJournalStore(store)
+}
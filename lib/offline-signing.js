@@ -0,0 +1,322 @@
+// @flow
+
+import crypto from "crypto"
+import clientUtils from "fabric-client/lib/client-utils"
+import sdkUtils from "fabric-client/lib/utils"
+import {
+    SigningIdentity,
+    Signer as FabricSigner
+} from "fabric-client/lib/msp/identity"
+import type TransactionID from "fabric-client/lib/TransactionID"
+import type { CryptoSuite } from "fabric-client/lib/api"
+import loadProto from "./protos"
+
+const commonProto = loadProto("common/common.proto", "common")
+const proposalProto = loadProto("peer/proposal.proto", "protos")
+const transactionProto = loadProto("peer/transaction.proto", "protos")
+const identitiesProto = loadProto("msp/identities.proto", "msp")
+const chaincodeProto = loadProto("peer/chaincode.proto", "protos")
+const configtxProto = loadProto("common/configtx.proto", "common")
+
+/**
+ * Holds the private key of a user and signs on its behalf, e.g. a remote key management service, a PKCS#11 token or a test double
+ * @typedef {Object} Signer
+ * @property {Function} getCertificate - Returns the PEM encoded certificate of the user, or a promise of it
+ * @property {Function} sign - Takes the SHA-256 digest to sign and returns the DER encoded ECDSA signature with a low S value, or a promise of it. Operations that fabric-client signs itself, such as installing chaincode or joining a channel, require the signature to be returned synchronously
+ */
+export type Signer = {
+    getCertificate(): string | Promise<string>,
+    sign(digest: Buffer): Buffer | Promise<Buffer>
+}
+
+/**
+ * A transaction proposal waiting to be signed
+ * @typedef {Object} UnsignedProposal
+ * @property {string} txId - The ID of the transaction
+ * @property {Buffer} nonce - The nonce used to create the transaction ID
+ * @property {Buffer} proposalBytes - The bytes to sign
+ * @property {Buffer} digest - The SHA-256 digest of proposalBytes, for signers that sign digests
+ * @property {Array<Peer>} targets - The peers the signed proposal will be sent to
+ */
+export type UnsignedProposal = {
+    txId: string,
+    nonce: Buffer,
+    proposalBytes: Buffer,
+    digest: Buffer
+}
+
+/**
+ * A transaction envelope waiting to be signed
+ * @typedef {Object} UnsignedTransaction
+ * @property {string} txId - The ID of the transaction
+ * @property {Buffer} payloadBytes - The bytes to sign
+ * @property {Buffer} digest - The SHA-256 digest of payloadBytes, for signers that sign digests
+ */
+export type UnsignedTransaction = {
+    txId: string,
+    payloadBytes: Buffer,
+    digest: Buffer
+}
+
+export type ProposalRequest = {
+    chaincodeId: string,
+    txId?: TransactionID,
+    fcn?: string,
+    args?: Array<string>,
+    argbytes?: Buffer,
+    transientMap?: Object
+}
+
+/**
+ * Computes the SHA-256 digest that is signed for a proposal or transaction
+ * @ignore
+ * @param bytes - The bytes to hash
+ * @returns The digest
+ */
+export function hashForSigning(bytes: Buffer): Buffer {
+    return crypto
+        .createHash("sha256")
+        .update(bytes)
+        .digest()
+}
+
+/**
+ * Signs a digest with a signer
+ * @ignore
+ * @param signer - The signer to use
+ * @param digest - The digest to sign
+ * @returns A promise containing the signature
+ */
+export async function signDigest(
+    signer: Signer,
+    digest: Buffer
+): Promise<Buffer> {
+    return Buffer.from(await signer.sign(digest))
+}
+
+/**
+ * Creates a fabric-client SigningIdentity that signs with a signer, so that the operations fabric-client signs itself also go through the signer
+ * @ignore
+ * @param signer - The signer to use
+ * @param certificate - The PEM encoded certificate of the user
+ * @param publicKey - The public key of the certificate
+ * @param mspId - The MSP ID of the user
+ * @param cryptoSuite - The CryptoSuite used to hash the messages to sign
+ * @returns The signing identity
+ */
+export function newSignerSigningIdentity(
+    signer: Signer,
+    certificate: string,
+    publicKey: Object,
+    mspId: string,
+    cryptoSuite: CryptoSuite
+): SigningIdentity {
+    // the public key stands in for the private key, which only the signer holds
+    const fabricSigner = new FabricSigner(cryptoSuite, publicKey)
+    fabricSigner.sign = digest => {
+        const signature = signer.sign(Buffer.from(digest))
+        if (signature instanceof Promise) {
+            throw new Error(
+                "Error this operation is signed by fabric-client, which requires a signer that returns signatures synchronously"
+            )
+        }
+        return signature
+    }
+    return new SigningIdentity(
+        certificate,
+        publicKey,
+        mspId,
+        cryptoSuite,
+        fabricSigner
+    )
+}
+
+/**
+ * Serializes an identity the same way as the creator of a proposal
+ * @ignore
+ * @param mspId - The MSP ID of the identity
+ * @param certificate - The PEM encoded certificate of the identity
+ * @returns The serialized identity
+ */
+export function serializeIdentity(mspId: string, certificate: string): Buffer {
+    const serializedIdentity = new identitiesProto.SerializedIdentity()
+    serializedIdentity.setMspid(mspId)
+    serializedIdentity.setIdBytes(Buffer.from(certificate))
+    return serializedIdentity.toBuffer()
+}
+
+/**
+ * Builds the bytes of a transaction proposal without signing them
+ * @ignore
+ * @param channelId - The name of the channel
+ * @param request - The chaincode function and arguments to propose
+ * @param creator - The serialized identity of the user making the proposal
+ * @param [clientCertHash] - The hash of the client TLS certificate used to connect to the peers
+ * @returns The proposal bytes along with the transaction ID
+ */
+export function buildUnsignedProposal(
+    channelId: string,
+    {
+        chaincodeId,
+        txId: transactionId,
+        fcn,
+        args = [],
+        argbytes,
+        transientMap
+    }: ProposalRequest,
+    creator: Buffer,
+    clientCertHash?: ?Buffer
+): UnsignedProposal {
+    const nonce = transactionId ? transactionId.getNonce() : sdkUtils.getNonce()
+    const txId = transactionId
+        ? transactionId.getTransactionID()
+        : hashForSigning(Buffer.concat([nonce, creator])).toString("hex")
+    const chaincodeArgs = [fcn || "invoke", ...args].map(arg =>
+        Buffer.from(arg, "utf8")
+    )
+    if (argbytes) {
+        chaincodeArgs.push(argbytes)
+    }
+    const channelHeader = clientUtils.buildChannelHeader(
+        commonProto.HeaderType.ENDORSER_TRANSACTION,
+        channelId,
+        txId,
+        null,
+        chaincodeId,
+        clientUtils.buildCurrentTimestamp(),
+        clientCertHash
+    )
+    const header = clientUtils.buildHeader(
+        { serialize: () => creator },
+        channelHeader,
+        nonce
+    )
+    const proposal = clientUtils.buildProposal(
+        {
+            type: chaincodeProto.ChaincodeSpec.Type.GOLANG,
+            chaincode_id: { name: chaincodeId },
+            input: { args: chaincodeArgs }
+        },
+        header,
+        transientMap
+    )
+    const proposalBytes = proposal.toBuffer()
+    return {
+        txId,
+        nonce,
+        proposalBytes,
+        digest: hashForSigning(proposalBytes)
+    }
+}
+
+/**
+ * Builds the payload of a transaction envelope from a proposal and its endorsements without signing it
+ * @ignore
+ * @param txId - The ID of the transaction
+ * @param proposalBytes - The bytes of the endorsed proposal
+ * @param proposalResponses - The responses of the endorsing peers
+ * @returns The payload bytes along with the transaction ID
+ */
+export function buildUnsignedTransaction(
+    txId: string,
+    proposalBytes: Buffer,
+    proposalResponses: Array<Object>
+): UnsignedTransaction {
+    const endorsedResponses = proposalResponses.filter(
+        proposalResponse =>
+            proposalResponse.response &&
+            proposalResponse.response.status === 200
+    )
+    if (!endorsedResponses.length) {
+        throw new Error("Error no valid endorsements found")
+    }
+    const proposal = proposalProto.Proposal.decode(proposalBytes)
+    const header = commonProto.Header.decode(proposal.getHeader())
+
+    const chaincodeEndorsedAction = new transactionProto.ChaincodeEndorsedAction()
+    chaincodeEndorsedAction.setProposalResponsePayload(
+        endorsedResponses[0].payload
+    )
+    chaincodeEndorsedAction.setEndorsements(
+        endorsedResponses.map(({ endorsement }) => ({
+            endorser: endorsement.endorser,
+            signature: endorsement.signature
+        }))
+    )
+
+    // the transient map is only for the endorsers and must not be sent to the orderer
+    const chaincodeProposalPayload = new proposalProto.ChaincodeProposalPayload()
+    chaincodeProposalPayload.setInput(
+        proposalProto.ChaincodeProposalPayload.decode(proposal.getPayload())
+            .input
+    )
+
+    const chaincodeActionPayload = new transactionProto.ChaincodeActionPayload()
+    chaincodeActionPayload.setAction(chaincodeEndorsedAction)
+    chaincodeActionPayload.setChaincodeProposalPayload(
+        chaincodeProposalPayload.toBuffer()
+    )
+
+    const transactionAction = new transactionProto.TransactionAction()
+    transactionAction.setHeader(header.getSignatureHeader())
+    transactionAction.setPayload(chaincodeActionPayload.toBuffer())
+
+    const transaction = new transactionProto.Transaction()
+    transaction.setActions([transactionAction])
+
+    const payload = new commonProto.Payload()
+    payload.setHeader(header)
+    payload.setData(transaction.toBuffer())
+    const payloadBytes = payload.toBuffer()
+    return { txId, payloadBytes, digest: hashForSigning(payloadBytes) }
+}
+
+/**
+ * Decodes the bytes of a proposal into the Proposal message fabric-client uses in transaction requests
+ * @ignore
+ * @param proposalBytes - The bytes of the proposal
+ * @returns The decoded proposal
+ */
+export function decodeProposal(proposalBytes: Buffer): Object {
+    return proposalProto.Proposal.decode(proposalBytes)
+}
+
+/**
+ * Builds the signature header of a channel config signature and the digest to sign along with it
+ * @ignore
+ * @param channelConfig - The channel config update to sign
+ * @param creator - The serialized identity of the user signing the config
+ * @returns The signature header bytes and the digest of the signature header and config
+ */
+export function buildUnsignedConfigSignature(
+    channelConfig: Buffer,
+    creator: Buffer
+): { signatureHeaderBytes: Buffer, digest: Buffer } {
+    const signatureHeader = new commonProto.SignatureHeader()
+    signatureHeader.setCreator(creator)
+    signatureHeader.setNonce(sdkUtils.getNonce())
+    const signatureHeaderBytes = signatureHeader.toBuffer()
+    return {
+        signatureHeaderBytes,
+        digest: hashForSigning(
+            Buffer.concat([signatureHeaderBytes, channelConfig])
+        )
+    }
+}
+
+/**
+ * Creates a channel config signature from its signature header and signature
+ * @ignore
+ * @param signatureHeaderBytes - The signature header returned by buildUnsignedConfigSignature
+ * @param signature - The signature of the digest returned by buildUnsignedConfigSignature
+ * @returns The ConfigSignature message to use when creating or updating a channel
+ */
+export function newConfigSignature(
+    signatureHeaderBytes: Buffer,
+    signature: Buffer
+): Object {
+    const configSignature = new configtxProto.ConfigSignature()
+    configSignature.setSignatureHeader(signatureHeaderBytes)
+    configSignature.setSignature(signature)
+    return configSignature
+}
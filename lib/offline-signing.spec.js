@@ -0,0 +1,111 @@
+import crypto from "crypto"
+import { expect } from "chai"
+import {
+    buildUnsignedProposal,
+    buildUnsignedTransaction,
+    serializeIdentity
+} from "./offline-signing"
+import loadProto from "./protos"
+
+const commonProto = loadProto("common/common.proto", "common")
+const proposalProto = loadProto("peer/proposal.proto", "protos")
+const transactionProto = loadProto("peer/transaction.proto", "protos")
+const identitiesProto = loadProto("msp/identities.proto", "msp")
+
+const sha256 = bytes =>
+    crypto
+        .createHash("sha256")
+        .update(bytes)
+        .digest()
+
+describe("offline-signing", function() {
+    const creator = serializeIdentity("Org1MSP", "-----BEGIN CERTIFICATE-----")
+    const request = {
+        chaincodeId: "mycc",
+        fcn: "move",
+        args: ["a", "b", "10"],
+        transientMap: { secret: Buffer.from("hidden") }
+    }
+
+    it("should serialize identities", function() {
+        const identity = identitiesProto.SerializedIdentity.decode(creator)
+        expect(identity.getMspid()).to.equal("Org1MSP")
+        expect(identity.getIdBytes().toBuffer()).to.deep.equal(
+            Buffer.from("-----BEGIN CERTIFICATE-----")
+        )
+    })
+
+    it("should build unsigned proposals", function() {
+        const unsigned = buildUnsignedProposal("mychannel", request, creator)
+        expect(unsigned.txId).to.equal(
+            sha256(Buffer.concat([unsigned.nonce, creator])).toString("hex")
+        )
+        expect(unsigned.digest).to.deep.equal(sha256(unsigned.proposalBytes))
+
+        const proposal = proposalProto.Proposal.decode(unsigned.proposalBytes)
+        const header = commonProto.Header.decode(proposal.getHeader())
+        const channelHeader = commonProto.ChannelHeader.decode(
+            header.getChannelHeader()
+        )
+        expect(channelHeader.getTxId()).to.equal(unsigned.txId)
+        expect(channelHeader.getChannelId()).to.equal("mychannel")
+        const payload = proposalProto.ChaincodeProposalPayload.decode(
+            proposal.getPayload()
+        )
+        expect(payload.getTransientMap().has("secret")).to.equal(true)
+    })
+
+    it("should build unsigned transactions without the transient map", function() {
+        const unsigned = buildUnsignedProposal("mychannel", request, creator)
+        const endorsement = {
+            endorser: Buffer.from("endorser"),
+            signature: Buffer.from("signature")
+        }
+        const transaction = buildUnsignedTransaction(
+            unsigned.txId,
+            unsigned.proposalBytes,
+            [
+                {
+                    response: { status: 200 },
+                    payload: Buffer.from("results"),
+                    endorsement
+                },
+                { response: { status: 500 }, payload: Buffer.from("failed") }
+            ]
+        )
+        expect(transaction.txId).to.equal(unsigned.txId)
+        expect(transaction.digest).to.deep.equal(
+            sha256(transaction.payloadBytes)
+        )
+
+        const payload = commonProto.Payload.decode(transaction.payloadBytes)
+        const channelHeader = commonProto.ChannelHeader.decode(
+            payload.getHeader().getChannelHeader()
+        )
+        expect(channelHeader.getTxId()).to.equal(unsigned.txId)
+        const action = transactionProto.Transaction.decode(
+            payload.getData()
+        ).getActions()[0]
+        const actionPayload = transactionProto.ChaincodeActionPayload.decode(
+            action.getPayload()
+        )
+        const endorsedAction = actionPayload.getAction()
+        expect(endorsedAction.getEndorsements()).to.have.lengthOf(1)
+        expect(
+            endorsedAction.getProposalResponsePayload().toBuffer()
+        ).to.deep.equal(Buffer.from("results"))
+        const proposalPayload = proposalProto.ChaincodeProposalPayload.decode(
+            actionPayload.getChaincodeProposalPayload()
+        )
+        expect(proposalPayload.getTransientMap().has("secret")).to.equal(false)
+    })
+
+    it("should throw if no proposal response was endorsed", function() {
+        const unsigned = buildUnsignedProposal("mychannel", request, creator)
+        expect(() =>
+            buildUnsignedTransaction(unsigned.txId, unsigned.proposalBytes, [
+                { response: { status: 500 } }
+            ])
+        ).to.throw("Error no valid endorsements found")
+    })
+})
@@ -0,0 +1,92 @@
+// @flow
+
+import { PayloadDecodeError } from "./errors"
+
+/**
+ * How to decode a chaincode response payload. Either the name of a registered decoder ('json', 'utf8', 'buffer' or a custom one), an object with the name of the decoder as its type and the decoder's options (e.g. `{ type: 'protobuf', messageType }`), or a function that takes the payload Buffer and returns the decoded value
+ * @typedef {string|Object|Function} PayloadDecoder
+ */
+export type PayloadDecoder =
+    | string
+    | { type: string, [option: string]: any }
+    | ((payload: Buffer) => any)
+
+type RegisteredDecoder = (payload: Buffer, options: Object) => any
+
+const decoders: Map<string, RegisteredDecoder> = new Map([
+    [
+        "json",
+        payload => (payload.length ? JSON.parse(payload.toString()) : null)
+    ],
+    ["utf8", payload => payload.toString("utf8")],
+    ["buffer", payload => payload],
+    [
+        "protobuf",
+        (payload, { messageType }) => {
+            if (!messageType || typeof messageType.decode !== "function") {
+                throw new Error(
+                    "Error the protobuf decoder requires a messageType with a decode function"
+                )
+            }
+            const message = messageType.decode(payload)
+            return typeof messageType.toObject === "function"
+                ? messageType.toObject(message)
+                : message
+        }
+    ]
+])
+
+function getDecoderName(decoder: PayloadDecoder): string {
+    if (typeof decoder === "function") {
+        return decoder.name || "custom"
+    }
+    return typeof decoder === "string" ? decoder : decoder.type
+}
+
+/**
+ * Registers a decoder that can then be referred to by name
+ * @param name - The name of the decoder
+ * @param decode - Function that takes the payload Buffer and the options given with the decoder and returns the decoded value
+ */
+export function registerPayloadDecoder(
+    name: string,
+    decode: (payload: Buffer, options: Object) => any
+): void {
+    decoders.set(name, decode)
+}
+
+/**
+ * Checks that a decoder exists, throwing if it does not
+ * @ignore
+ * @param decoder - The decoder to check
+ */
+export function validatePayloadDecoder(decoder: PayloadDecoder): void {
+    if (
+        typeof decoder !== "function" &&
+        !decoders.has(getDecoderName(decoder))
+    ) {
+        throw new Error(
+            `Error unknown payload decoder ${getDecoderName(decoder)}`
+        )
+    }
+}
+
+/**
+ * Decodes a chaincode response payload
+ * @ignore
+ * @param payload - The payload to decode
+ * @param decoder - The decoder to use
+ * @returns The decoded payload
+ */
+export function decodePayload(payload: Buffer, decoder: PayloadDecoder): any {
+    validatePayloadDecoder(decoder)
+    try {
+        if (typeof decoder === "function") {
+            return decoder(payload)
+        }
+        const decode: any = decoders.get(getDecoderName(decoder))
+        return decode(payload, typeof decoder === "string" ? {} : decoder)
+    } catch (error) {
+        throw new PayloadDecodeError(getDecoderName(decoder), error, payload)
+    }
+}
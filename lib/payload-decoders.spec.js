@@ -0,0 +1,61 @@
+import { expect } from "chai"
+import {
+    decodePayload,
+    registerPayloadDecoder,
+    validatePayloadDecoder
+} from "./payload-decoders"
+import { PayloadDecodeError } from "./errors"
+import loadProto from "./protos"
+
+describe("payload-decoders", function() {
+    it("should decode json, utf8 and buffer payloads", function() {
+        const payload = Buffer.from('{"a":1}')
+        expect(decodePayload(payload, "json")).to.deep.equal({ a: 1 })
+        expect(decodePayload(Buffer.from(""), "json")).to.equal(null)
+        expect(decodePayload(payload, "utf8")).to.equal('{"a":1}')
+        expect(decodePayload(payload, "buffer")).to.equal(payload)
+    })
+
+    it("should decode protobuf payloads with the given message type", function() {
+        const { Response } = loadProto("peer/proposal_response.proto", "protos")
+        const payload = new Response({ status: 200, message: "ok" }).toBuffer()
+        const response = decodePayload(payload, {
+            type: "protobuf",
+            messageType: Response
+        })
+        expect(response.status).to.equal(200)
+        expect(response.message).to.equal("ok")
+    })
+
+    it("should use registered and function decoders", function() {
+        registerPayloadDecoder("csv", (payload, { separator = "," }) =>
+            payload.toString().split(separator)
+        )
+        const payload = Buffer.from("a;b")
+        expect(decodePayload(payload, "csv")).to.deep.equal(["a;b"])
+        expect(
+            decodePayload(payload, { type: "csv", separator: ";" })
+        ).to.deep.equal(["a", "b"])
+        expect(decodePayload(payload, p => p.length)).to.equal(3)
+    })
+
+    it("should throw a PayloadDecodeError with the raw payload when decoding fails", function() {
+        const payload = Buffer.from("not json")
+        let error
+        try {
+            decodePayload(payload, "json")
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.an.instanceof(PayloadDecodeError)
+        expect(error.decoder).to.equal("json")
+        expect(error.payload).to.equal(payload)
+        expect(error.cause).to.be.an.instanceof(SyntaxError)
+    })
+
+    it("should reject unknown decoders", function() {
+        expect(() => validatePayloadDecoder("yaml")).to.throw(
+            "Error unknown payload decoder yaml"
+        )
+    })
+})
@@ -31,31 +31,183 @@ function makeIdentityFromKey(key) {
     }
 }
 
+// outweighs any latency, so that peers of the preferred MSP are always picked first
+const OTHER_MSP_COST = 1e6
+
+/**
+ * Options for picking peers. Without a cost, mspId or getLatency the peers are picked in the order they are given
+ * @typedef {Object} PeerSelectionOpts
+ * @property {Function} [cost] - Takes a peer and returns the cost of picking it, the picked peers have the lowest total cost that satisfies the policy. Overrides mspId and getLatency
+ * @property {string} [mspId] - The MSP ID whose peers are preferred, e.g. the user's own organisation
+ * @property {Function} [getLatency] - Takes a peer and returns its measured latency in ms, or null if it has not been measured, e.g. `peer => queryPeerSelector.getLatency(peer)`. Peers with lower latencies are preferred and peers that have not been measured count as the slowest measured peer
+ * @property {Function} [exclude] - Takes a peer and returns whether it must not be picked, e.g. `peer => queryPeerSelector.isEjected(peer)` for peers known to be unhealthy
+ * @property {number} [maxSearchSteps=10000] - The number of branches the search for the cheapest peers may visit. The search is exponential in the number of organisations, so once it reaches this limit the cheapest peers found so far are picked, which may cost more than the cheapest peers that satisfy the policy. Use Infinity to always pick the cheapest peers
+ */
+export type PeerSelectionOpts = {
+    cost?: (peer: Peer) => number,
+    mspId?: string,
+    getLatency?: (peer: Peer) => ?number,
+    exclude?: (peer: Peer) => boolean,
+    maxSearchSteps?: number
+}
+
+function createCostFunction(
+    { cost, mspId, getLatency }: PeerSelectionOpts,
+    peers: Array<Peer>
+): ?(peer: Peer) => number {
+    if (cost) {
+        return cost
+    }
+    if (!mspId && !getLatency) {
+        return null
+    }
+    const latencies = new Map()
+    if (getLatency) {
+        const getPeerLatency = getLatency
+        peers.forEach(peer => latencies.set(peer, getPeerLatency(peer)))
+    }
+    const measured: Array<number> = ([...latencies.values()].filter(
+        latency => latency != null
+    ): any)
+    const slowest = measured.length ? Math.max(...measured) : 0
+    // every peer costs at least 1, so that fewer peers are preferred when costs are otherwise equal
+    return peer => {
+        const latency = latencies.get(peer)
+        return (
+            1 +
+            (mspId && peer.getMspId() !== mspId ? OTHER_MSP_COST : 0) +
+            (latency == null ? slowest : latency)
+        )
+    }
+}
+
+const DEFAULT_MAX_SEARCH_STEPS = 10000
+
+// finds counts that satisfy the policy greedily, by starting from every peer and repeatedly dropping the most expensive peer that the policy can do without
+function findGreedyCounts(
+    keys: Array<string>,
+    costsByKey: { [key: string]: Array<number> },
+    isValid: (counts: { [key: string]: number }) => boolean
+): ?{ [key: string]: number } {
+    const counts = {}
+    keys.forEach(key => {
+        counts[key] = costsByKey[key].length
+    })
+    if (!isValid(counts)) {
+        return null
+    }
+    let dropped = true
+    while (dropped) {
+        const droppableKeys = _.sortBy(
+            key => -costsByKey[key][counts[key] - 1],
+            keys.filter(key => counts[key] > 0)
+        )
+        dropped = droppableKeys.some(key => {
+            const nextCounts = { ...counts, [key]: counts[key] - 1 }
+            if (!isValid(nextCounts)) {
+                return false
+            }
+            counts[key] = nextCounts[key]
+            return true
+        })
+    }
+    return counts
+}
+
+function getTotalCost(
+    counts: { [key: string]: number },
+    costsByKey: { [key: string]: Array<number> }
+): number {
+    return _.sum(
+        Object.keys(counts).map(key =>
+            _.sum(costsByKey[key].slice(0, counts[key]))
+        )
+    )
+}
+
+// finds the number of peers to pick for each identity that satisfies the policy with the lowest total cost, by a depth-first search that gives up on branches that cost more than the best solution so far or that cannot satisfy the policy even with all the remaining peers. The search starts from the greedy solution and stops after maxSearchSteps branches, keeping the cheapest solution found
+function findCheapestCounts(
+    keys: Array<string>,
+    costsByKey: { [key: string]: Array<number> },
+    isValid: (counts: { [key: string]: number }) => boolean,
+    maxSearchSteps: number
+): ?{ [key: string]: number } {
+    let best = findGreedyCounts(keys, costsByKey, isValid)
+    if (!best) {
+        return null
+    }
+    let bestCost = getTotalCost(best, costsByKey)
+    let steps = 0
+    const search = (index, counts, cost) => {
+        steps += 1
+        if (cost >= bestCost || steps > maxSearchSteps) {
+            return
+        }
+        const maxCounts = { ...counts }
+        keys.slice(index).forEach(key => {
+            maxCounts[key] = costsByKey[key].length
+        })
+        if (!isValid(maxCounts)) {
+            return
+        }
+        if (index === keys.length) {
+            best = counts
+            bestCost = cost
+            return
+        }
+        const key = keys[index]
+        let keyCost = 0
+        for (let count = 0; count <= costsByKey[key].length; count++) {
+            if (count > 0) {
+                keyCost += costsByKey[key][count - 1]
+            }
+            search(index + 1, { ...counts, [key]: count }, cost + keyCost)
+        }
+    }
+    search(0, {}, 0)
+    return best
+}
+
 /**
  * Picks peers from a larger set that satisfy an endorsement policy
  * @param peers the larger set of peers to pick from
  * @param policy the endorsment policy to satisfy
+ * @param {PeerSelectionOpts} [opts] the options for choosing between the peers that could satisfy the policy
  * @returns An array of Peers that satisfy the policy
  */
 export default function pickPeersForPolicy(
     peers: Array<Peer>,
-    policy: Policy
+    policy: Policy,
+    opts: PeerSelectionOpts = {}
 ): Array<Peer> {
-    const availableMap = {}
-    peers.forEach(peer => {
+    const { exclude, maxSearchSteps = DEFAULT_MAX_SEARCH_STEPS } = opts
+    const candidates = exclude ? peers.filter(peer => !exclude(peer)) : peers
+    const getCost = createCostFunction(opts, candidates)
+
+    const idKeyPeerListMap = {}
+    candidates.forEach(peer => {
         const role = peer.getRole()
         const idKey = makeKey(peer.getMspId(), role)
-        if (typeof availableMap[idKey] === "undefined") {
-            availableMap[idKey] = 1
-        } else {
-            availableMap[idKey] += 1
+        if (!idKeyPeerListMap[idKey]) {
+            idKeyPeerListMap[idKey] = []
         }
+        idKeyPeerListMap[idKey].push(peer)
     })
-    const available = policy.identities.map(
-        ({ role: { mspId, name } }) => availableMap[makeKey(mspId, name)] || 0
-    )
+    const costsByKey = {}
+    if (getCost) {
+        Object.keys(idKeyPeerListMap).forEach(key => {
+            const costs = new Map(
+                idKeyPeerListMap[key].map(peer => [peer, getCost(peer)])
+            )
+            idKeyPeerListMap[key] = _.sortBy(
+                peer => costs.get(peer),
+                idKeyPeerListMap[key]
+            )
+            costsByKey[key] = idKeyPeerListMap[key].map(peer => costs.get(peer))
+        })
+    }
 
-    const availableKeys = Object.keys(availableMap)
+    const availableKeys = Object.keys(idKeyPeerListMap)
     const requiredKeys = policy.identities.map(({ role: { mspId, name } }) =>
         makeKey(mspId, name)
     )
@@ -67,35 +219,44 @@ export default function pickPeersForPolicy(
     } else {
         identities = _.clone(policy.identities)
         remainingKeys.forEach(key => {
-            available.push(availableMap[key])
             identities.push(makeIdentityFromKey(key))
         })
     }
-
-    const { valid, requiredPrincipals } = wrangleTreeForReqs(
-        policy.policy,
-        available,
-        makeValidatorForIdentities(identities)
+    const identityKeys = identities.map(({ role: { mspId, name } }) =>
+        makeKey(mspId, name)
     )
+    const validator = makeValidatorForIdentities(identities)
+    const wrangle = counts =>
+        wrangleTreeForReqs(
+            policy.policy,
+            identityKeys.map(key => counts[key] || 0),
+            validator
+        )
+
+    let counts = _.mapValues(peerList => peerList.length, idKeyPeerListMap)
+    if (getCost) {
+        counts =
+            findCheapestCounts(
+                availableKeys,
+                costsByKey,
+                keyCounts => wrangle(keyCounts).valid,
+                maxSearchSteps
+            ) || counts
+    }
+    const { valid, requiredPrincipals } = wrangle(counts)
 
     if (!valid) {
-        throw new Error("Error, supplied peers cannot match policy")
+        throw new Error(
+            candidates.length < peers.length
+                ? "Error, supplied peers cannot match policy once the excluded peers are removed"
+                : "Error, supplied peers cannot match policy"
+        )
     }
 
-    const idKeyPeerListMap = {}
-    peers.forEach(peer => {
-        const role = peer.getRole()
-        const idKey = makeKey(peer.getMspId(), role)
-        if (!idKeyPeerListMap[idKey]) {
-            idKeyPeerListMap[idKey] = []
-        }
-        idKeyPeerListMap[idKey].push(peer)
-    })
     let peerList = []
     requiredPrincipals.forEach((requiredNum, index) => {
         if (requiredNum > 0) {
-            const { name, mspId } = identities[index].role
-            const availablePeersForId = idKeyPeerListMap[makeKey(mspId, name)]
+            const availablePeersForId = idKeyPeerListMap[identityKeys[index]]
             peerList = peerList.concat(
                 availablePeersForId.slice(0, requiredNum)
             )
@@ -103,3 +264,80 @@ export default function pickPeersForPolicy(
     })
     return peerList
 }
+
+/**
+ * Checks whether a peer is a member of one of the identities of a policy, such as the member policy of a private data collection
+ * @ignore
+ * @param peer - The peer to check
+ * @param policy - The policy whose identities the peer may be a member of
+ * @returns Whether the peer is a member
+ */
+export function isPeerInPolicy(peer: Peer, policy: Policy): boolean {
+    const mspId = peer.getMspId()
+    const role = peer.getRole()
+    return policy.identities.some(
+        identity =>
+            identity.role &&
+            identity.role.mspId === mspId &&
+            (identity.role.name === "member" || identity.role.name === role)
+    )
+}
+
+function getMspIds(peers: Array<Peer>): string {
+    return _.uniq(peers.map(peer => peer.getMspId())).join(", ")
+}
+
+function getNames(collections: $ReadOnlyArray<{ +name: string }>): string {
+    return collections.map(({ name }) => name).join(", ")
+}
+
+/**
+ * Picks peers from a larger set that satisfy an endorsement policy and are members of private data collections, so that the private data sent to the endorsing peers is only sent to peers that may hold it
+ * @param peers the larger set of peers to pick from
+ * @param policy the endorsment policy to satisfy
+ * @param collections the collections, with a name and a member policy each, that every picked peer must be a member of
+ * @param {PeerSelectionOpts} [opts] the options for choosing between the peers that could satisfy the policy
+ * @returns An array of Peers that satisfy the policy and are members of every collection
+ */
+export function pickPeersForCollections(
+    peers: Array<Peer>,
+    policy: Policy,
+    collections: $ReadOnlyArray<{ +name: string, +policy: Policy }>,
+    opts?: PeerSelectionOpts
+): Array<Peer> {
+    let memberPeers = peers
+    collections.forEach((collection, index) => {
+        memberPeers = memberPeers.filter(peer =>
+            isPeerInPolicy(peer, collection.policy)
+        )
+        if (memberPeers.length === 0) {
+            throw new Error(
+                index === 0
+                    ? `Error none of the supplied peers are members of collection ${
+                          collection.name
+                      }`
+                    : `Error none of the supplied peers are members of all of the collections ${getNames(
+                          collections.slice(0, index + 1)
+                      )}`
+            )
+        }
+    })
+    try {
+        return pickPeersForPolicy(memberPeers, policy, opts)
+    } catch (memberError) {
+        try {
+            pickPeersForPolicy(peers, policy, opts)
+        } catch (error) {
+            throw new Error(
+                "Error the supplied peers cannot satisfy the endorsement policy, even without the collections"
+            )
+        }
+        throw new Error(
+            `Error the endorsement policy cannot be satisfied by the peers that are members of the collections ${getNames(
+                collections
+            )}, which belong to ${getMspIds(
+                memberPeers
+            )}, it requires peers outside of the collections`
+        )
+    }
+}
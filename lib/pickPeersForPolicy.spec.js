@@ -1,8 +1,11 @@
 // /**
 
 import { expect } from "chai"
+import _ from "lodash/fp"
 import fs from "fs"
-import pickPeersForPolicy from "./pickPeersForPolicy"
+import pickPeersForPolicy, {
+    pickPeersForCollections
+} from "./pickPeersForPolicy"
 
 function createPeerStub(mspId, role) {
     return {
@@ -134,3 +137,202 @@ describe("pickPeersForPolicy", function() {
         )
     })
 })
+
+describe("pickPeersForPolicy with selection options", function() {
+    const member = mspId => ({ role: { name: "member", mspId } })
+    const anyOrgPolicy = {
+        identities: [member("peerOrg1"), member("peerOrg2")],
+        policy: { "1-of": [{ "signed-by": 0 }, { "signed-by": 1 }] }
+    }
+    const peers = [
+        { ...peer1, id: 1 },
+        { ...peer1, id: 2 },
+        { ...peer2, id: 3 },
+        { ...peer2, id: 4 }
+    ]
+    const ids = result => result.map(({ id }) => id)
+
+    it("should prefer the peers of an MSP", function() {
+        const result = pickPeersForPolicy(peers, anyOrgPolicy, {
+            mspId: "peerOrg2"
+        })
+        expect(ids(result)).to.deep.equal([3])
+    })
+
+    it("should prefer the peers with the lowest latency", function() {
+        const latencies = { 1: 40, 2: 10, 3: 20 }
+        const result = pickPeersForPolicy(peers, anyOrgPolicy, {
+            getLatency: peer => latencies[peer.id]
+        })
+        expect(ids(result)).to.deep.equal([2])
+    })
+
+    it("should not pick excluded peers", function() {
+        const result = pickPeersForPolicy(peers, anyOrgPolicy, {
+            mspId: "peerOrg1",
+            exclude: peer => peer.getMspId() === "peerOrg1"
+        })
+        expect(ids(result)).to.deep.equal([3])
+        expect(() =>
+            pickPeersForPolicy(peers, anyOrgPolicy, { exclude: () => true })
+        ).to.throw("once the excluded peers are removed")
+    })
+
+    it("should minimise the total cost over the whole policy", function() {
+        const policy = {
+            identities: [
+                member("peerOrg1"),
+                member("peerOrg2"),
+                member("ordererOrg")
+            ],
+            policy: {
+                "1-of": [
+                    { "2-of": [{ "signed-by": 0 }, { "signed-by": 1 }] },
+                    { "signed-by": 2 }
+                ]
+            }
+        }
+        const costs = { 1: 2, 3: 2, 5: 3 }
+        const result = pickPeersForPolicy(
+            [{ ...peer1, id: 1 }, { ...peer2, id: 3 }, { ...peer3, id: 5 }],
+            policy,
+            { cost: peer => costs[peer.id] }
+        )
+        expect(ids(result)).to.deep.equal([5])
+    })
+
+    it("should pick the cheapest peers for a policy of many organisations", function() {
+        const mspIds = _.range(0, 20).map(i => `org${i}`)
+        const manyOrgPolicy = {
+            identities: mspIds.map(member),
+            policy: {
+                "10-of": mspIds.map((mspId, i) => ({ "signed-by": i }))
+            }
+        }
+        const manyPeers = _.flatMap(
+            mspId =>
+                _.range(0, 3).map(i => ({
+                    ...createPeerStub(mspId, "member"),
+                    id: `${mspId}-${i}`
+                })),
+            mspIds
+        )
+        // the first peer of each organisation is the cheapest and the organisations get cheaper as their number increases
+        const cost = peer =>
+            100 - Number(peer.getMspId().slice(3)) + Number(peer.id.slice(-1))
+        const result = pickPeersForPolicy(manyPeers, manyOrgPolicy, { cost })
+        expect(ids(result).sort()).to.deep.equal(
+            _.range(10, 20)
+                .map(i => `org${i}-0`)
+                .sort()
+        )
+    })
+
+    describe("search steps", function() {
+        // either org0 alone or any two of the other 19 organisations, dropping the most expensive peers first leaves two of the others
+        const mspIds = _.range(0, 20).map(i => `org${i}`)
+        const splitPolicy = {
+            identities: mspIds.map(member),
+            policy: {
+                "1-of": [
+                    { "signed-by": 0 },
+                    {
+                        "2-of": mspIds
+                            .slice(1)
+                            .map((mspId, i) => ({ "signed-by": i + 1 }))
+                    }
+                ]
+            }
+        }
+        const splitPeers = mspIds.map(mspId => ({
+            ...createPeerStub(mspId, "member"),
+            id: mspId
+        }))
+        const cost = peer => (peer.getMspId() === "org0" ? 15 : 10)
+
+        it("should find the cheapest peers within the step limit by pruning branches that cannot be cheaper", function() {
+            // without pruning, the branches without org0 alone are 2^19
+            const result = pickPeersForPolicy(splitPeers, splitPolicy, {
+                cost,
+                maxSearchSteps: 1000
+            })
+            expect(ids(result)).to.deep.equal(["org0"])
+        })
+
+        it("should keep the cheapest peers found so far once the step limit is reached", function() {
+            const result = pickPeersForPolicy(splitPeers, splitPolicy, {
+                cost,
+                maxSearchSteps: 1
+            })
+            expect(result).to.have.lengthOf(2)
+            expect(ids(result)).to.not.include("org0")
+        })
+    })
+})
+
+describe("pickPeersForCollections", function() {
+    function createCollection(name, mspIds) {
+        return {
+            name,
+            policy: {
+                identities: mspIds.map(mspId => ({
+                    role: { name: "member", mspId }
+                })),
+                policy: {
+                    "1-of": mspIds.map((mspId, i) => ({ "signed-by": i }))
+                }
+            }
+        }
+    }
+
+    const anyOrgPolicy = {
+        identities: [
+            { role: { name: "member", mspId: "peerOrg1" } },
+            { role: { name: "member", mspId: "peerOrg2" } }
+        ],
+        policy: { "1-of": [{ "signed-by": 0 }, { "signed-by": 1 }] }
+    }
+    const bothOrgsPolicy = {
+        identities: anyOrgPolicy.identities,
+        policy: { "2-of": [{ "signed-by": 0 }, { "signed-by": 1 }] }
+    }
+    const peers = [
+        { ...peer1, id: 1 },
+        { ...peer2, id: 2 },
+        { ...peer3, id: 3 }
+    ]
+
+    it("should pick peers that are members of every collection", function() {
+        const result = pickPeersForCollections(peers, anyOrgPolicy, [
+            createCollection("shared", ["peerOrg2", "ordererOrg"]),
+            createCollection("org2", ["peerOrg2"])
+        ])
+        expect(result).to.deep.equal([{ ...peer2, id: 2 }])
+    })
+
+    it("should explain which constraint cannot be met", function() {
+        expect(() =>
+            pickPeersForCollections(peers, anyOrgPolicy, [
+                createCollection("test", ["test"])
+            ])
+        ).to.throw("none of the supplied peers are members of collection test")
+        expect(() =>
+            pickPeersForCollections(peers, anyOrgPolicy, [
+                createCollection("org1", ["peerOrg1"]),
+                createCollection("org2", ["peerOrg2"])
+            ])
+        ).to.throw("members of all of the collections org1, org2")
+        expect(() =>
+            pickPeersForCollections(peers, bothOrgsPolicy, [
+                createCollection("org1", ["peerOrg1"])
+            ])
+        ).to.throw(
+            "cannot be satisfied by the peers that are members of the collections org1, which belong to peerOrg1"
+        )
+        expect(() =>
+            pickPeersForCollections([{ ...peer1, id: 1 }], bothOrgsPolicy, [
+                createCollection("org1", ["peerOrg1"])
+            ])
+        ).to.throw("cannot satisfy the endorsement policy, even without")
+    })
+})
@@ -0,0 +1,294 @@
+// @flow
+
+import clientUtils from "fabric-client/lib/client-utils"
+import Constants from "fabric-client/lib/Constants"
+import EndorsementPolicy from "fabric-client/lib/Policy"
+import type Channel from "fabric-client/lib/Channel"
+import type Peer from "fabric-client/lib/Peer"
+import type { Policy } from "./FABRIC_FLOW_TYPES"
+import loadProto, { loadLocalProto } from "./protos"
+import { isPeerInPolicy } from "./pickPeersForPolicy"
+
+const commonProto = loadProto("common/common.proto", "common")
+const chaincodeProto = loadProto("peer/chaincode.proto", "protos")
+const collectionProto = loadLocalProto("common/collection.proto", "common")
+
+/**
+ * The definition of a private data collection
+ * @typedef {Object} CollectionConfig
+ * @property {string} name - The name of the collection
+ * @property {Policy} policy - The policy defining which organizations are members of the collection, in the same format as an endorsement policy
+ * @property {number} requiredPeerCount - The number of peers the private data must be disseminated to before it is endorsed
+ * @property {number} maxPeerCount - The maximum number of peers the private data is disseminated to
+ * @property {number} [blockToLive=0] - The number of blocks the private data is kept for, 0 keeps it forever
+ */
+export type CollectionConfig = {
+    name: string,
+    policy: Policy,
+    requiredPeerCount: number,
+    maxPeerCount: number,
+    blockToLive?: number
+}
+
+function isCount(value: any): boolean {
+    return Number.isInteger(value) && value >= 0
+}
+
+function getCollectionMspIds(collection: CollectionConfig): Array<string> {
+    return collection.policy.identities
+        .filter(identity => identity.role)
+        .map(identity => identity.role.mspId)
+}
+
+/**
+ * Validates the definitions of private data collections against the MSPs of a channel
+ * @param collections - The definitions of the collections
+ * @param mspIds - The IDs of the channel's MSPs
+ */
+export function validateCollectionsConfig(
+    collections: Array<CollectionConfig>,
+    mspIds: Array<string>
+): void {
+    if (!Array.isArray(collections) || collections.length === 0) {
+        throw new Error("Error collections-config must be a non-empty array")
+    }
+    if (mspIds.length === 0) {
+        throw new Error(
+            "Error the channel's MSPs are unknown, initialize the channel before validating collections against them"
+        )
+    }
+    const names = new Set()
+    collections.forEach(collection => {
+        const { name, policy, requiredPeerCount, maxPeerCount } = collection
+        if (!name || typeof name !== "string") {
+            throw new Error("Error every collection requires a name")
+        }
+        if (names.has(name)) {
+            throw new Error(
+                `Error collection ${name} is defined more than once`
+            )
+        }
+        names.add(name)
+        if (!policy || !Array.isArray(policy.identities) || !policy.policy) {
+            throw new Error(
+                `Error collection ${
+                    name
+                } requires a policy with identities and a policy`
+            )
+        }
+        if (!isCount(requiredPeerCount) || !isCount(maxPeerCount)) {
+            throw new Error(
+                `Error collection ${
+                    name
+                } requires requiredPeerCount and maxPeerCount to be non-negative integers`
+            )
+        }
+        if (requiredPeerCount > maxPeerCount) {
+            throw new Error(
+                `Error collection ${
+                    name
+                } has a requiredPeerCount greater than its maxPeerCount`
+            )
+        }
+        if (
+            typeof collection.blockToLive !== "undefined" &&
+            !isCount(collection.blockToLive)
+        ) {
+            throw new Error(
+                `Error collection ${
+                    name
+                } requires blockToLive to be a non-negative integer`
+            )
+        }
+        if (
+            getCollectionMspIds(collection).length !== policy.identities.length
+        ) {
+            throw new Error(
+                `Error collection ${
+                    name
+                } only supports role identities in its policy`
+            )
+        }
+        getCollectionMspIds(collection).forEach(mspId => {
+            if (!mspIds.includes(mspId)) {
+                throw new Error(
+                    `Error collection ${name} refers to MSP ${
+                        mspId
+                    }, which is not a member of the channel`
+                )
+            }
+        })
+    })
+}
+
+/**
+ * Encodes the definitions of private data collections as a CollectionConfigPackage
+ * @ignore
+ * @param collections - The definitions of the collections
+ * @returns The encoded package
+ */
+export function buildCollectionConfigPackage(
+    collections: Array<CollectionConfig>
+): Buffer {
+    return new collectionProto.CollectionConfigPackage({
+        config: collections.map(
+            ({
+                name,
+                policy,
+                requiredPeerCount,
+                maxPeerCount,
+                blockToLive
+            }) => ({
+                static_collection_config: {
+                    name,
+                    member_orgs_policy: {
+                        signature_policy: EndorsementPolicy.buildPolicy(
+                            {},
+                            policy
+                        )
+                    },
+                    required_peer_count: requiredPeerCount,
+                    maximum_peer_count: maxPeerCount,
+                    block_to_live: blockToLive || 0
+                }
+            })
+        )
+    }).toBuffer()
+}
+
+/**
+ * Encodes private data as a transientMap. Buffers are passed as they are, strings are UTF-8 encoded and any other value is encoded as JSON
+ * @param privateData - The private data, keyed by the names the chaincode reads them with
+ * @returns The transientMap
+ */
+export function encodeTransientMap(privateData: {
+    [key: string]: any
+}): { [key: string]: Buffer } {
+    const transientMap = {}
+    Object.keys(privateData).forEach(key => {
+        const value = privateData[key]
+        if (typeof value === "undefined") {
+            throw new Error(`Error private data ${key} is undefined`)
+        }
+        if (Buffer.isBuffer(value)) {
+            transientMap[key] = value
+        } else if (typeof value === "string") {
+            transientMap[key] = Buffer.from(value, "utf8")
+        } else {
+            transientMap[key] = Buffer.from(JSON.stringify(value), "utf8")
+        }
+    })
+    return transientMap
+}
+
+/**
+ * Checks that peers are members of a collection, so that private data is not sent to peers that may not hold it
+ * @ignore
+ * @param peers - The peers to check
+ * @param collection - The definition of the collection
+ */
+export function validatePeersInCollection(
+    peers: Array<Peer>,
+    collection: CollectionConfig
+): void {
+    peers.forEach(peer => {
+        if (!isPeerInPolicy(peer, collection.policy)) {
+            throw new Error(
+                `Error peer ${peer.getUrl()} of ${peer.getMspId()} is not a member of collection ${
+                    collection.name
+                }`
+            )
+        }
+    })
+}
+
+/**
+ * Sends a chaincode instantiate or upgrade proposal with collection definitions. Mirrors Channel.sendInstantiateProposal, which in fabric-client 1.1 cannot pass collections to the lifecycle chaincode
+ * @ignore
+ * @param channel - The channel, bound to the client sending the proposal
+ * @param request - The instantiate or upgrade request, with a txId
+ * @param command - Either 'deploy' or 'upgrade'
+ * @param collections - The definitions of the collections
+ * @param [timeout] - The number of milliseconds to wait for the peers to respond
+ * @returns A promise containing the proposal responses and the proposal
+ */
+export function sendCollectionsChaincodeProposal(
+    channel: Channel,
+    request: Object,
+    command: "deploy" | "upgrade",
+    collections: Array<CollectionConfig>,
+    timeout?: number
+): Promise<[Array<Object>, Object]> {
+    const errorMessage =
+        clientUtils.checkProposalRequest(request) ||
+        clientUtils.checkInstallRequest(request)
+    if (errorMessage) {
+        return Promise.reject(new Error(errorMessage))
+    }
+    // eslint-disable-next-line no-underscore-dangle
+    const peers = channel._getTargets(
+        request.targets,
+        Constants.NetworkConfig.ENDORSING_PEER_ROLE
+    )
+    const chaincodeType = clientUtils.translateCCType(request.chaincodeType)
+    const deploymentSpec = new chaincodeProto.ChaincodeDeploymentSpec({
+        chaincode_spec: {
+            type: chaincodeType,
+            chaincode_id: {
+                name: request.chaincodeId,
+                version: request.chaincodeVersion
+            },
+            input: {
+                args: [request.fcn || "init", ...(request.args || [])].map(
+                    arg => Buffer.from(arg, "utf8")
+                )
+            }
+        }
+    })
+    // empty arguments select the channel's default endorsement policy, escc and vscc
+    const lsccArgs = [
+        Buffer.from(command),
+        Buffer.from(channel.getName()),
+        deploymentSpec.toBuffer(),
+        request["endorsement-policy"]
+            ? channel._buildEndorsementPolicy(request["endorsement-policy"]) // eslint-disable-line no-underscore-dangle
+            : Buffer.from(""),
+        Buffer.from(""),
+        Buffer.from(""),
+        buildCollectionConfigPackage(collections)
+    ]
+    // eslint-disable-next-line no-underscore-dangle
+    const signer = channel._clientContext._getSigningIdentity(
+        request.txId.isAdmin()
+    )
+    const channelHeader = clientUtils.buildChannelHeader(
+        commonProto.HeaderType.ENDORSER_TRANSACTION,
+        channel.getName(),
+        request.txId.getTransactionID(),
+        null,
+        Constants.LSCC,
+        clientUtils.buildCurrentTimestamp(),
+        peers[0].getClientCertHash()
+    )
+    const header = clientUtils.buildHeader(
+        signer,
+        channelHeader,
+        request.txId.getNonce()
+    )
+    const proposal = clientUtils.buildProposal(
+        {
+            type: chaincodeType,
+            chaincode_id: { name: Constants.LSCC },
+            input: { args: lsccArgs }
+        },
+        header,
+        request.transientMap
+    )
+    return clientUtils
+        .sendPeersProposal(
+            peers,
+            clientUtils.signProposal(signer, proposal),
+            timeout
+        )
+        .then(responses => [responses, proposal])
+}
@@ -0,0 +1,96 @@
+import { expect } from "chai"
+import {
+    validateCollectionsConfig,
+    buildCollectionConfigPackage,
+    encodeTransientMap
+} from "./private-data"
+
+function createCollection(name, mspIds, opts) {
+    return {
+        name,
+        policy: {
+            identities: mspIds.map(mspId => ({
+                role: { name: "member", mspId }
+            })),
+            policy: { "1-of": mspIds.map((mspId, i) => ({ "signed-by": i })) }
+        },
+        requiredPeerCount: 1,
+        maxPeerCount: 2,
+        ...opts
+    }
+}
+
+describe("private-data", function() {
+    describe("validateCollectionsConfig", function() {
+        const mspIds = ["Org1MSP", "Org2MSP"]
+
+        it("should accept collections of the channel's MSPs", function() {
+            validateCollectionsConfig(
+                [
+                    createCollection("shared", mspIds),
+                    createCollection("org1", ["Org1MSP"], { blockToLive: 10 })
+                ],
+                mspIds
+            )
+        })
+
+        it("should reject invalid collections", function() {
+            expect(() =>
+                validateCollectionsConfig(
+                    [createCollection("org3", ["Org3MSP"])],
+                    mspIds
+                )
+            ).to.throw("refers to MSP Org3MSP")
+            expect(() =>
+                validateCollectionsConfig(
+                    [
+                        createCollection("shared", mspIds),
+                        createCollection("shared", mspIds)
+                    ],
+                    mspIds
+                )
+            ).to.throw("defined more than once")
+            expect(() =>
+                validateCollectionsConfig(
+                    [
+                        createCollection("shared", mspIds, {
+                            requiredPeerCount: 3
+                        })
+                    ],
+                    mspIds
+                )
+            ).to.throw("greater than its maxPeerCount")
+            expect(() =>
+                validateCollectionsConfig(
+                    [createCollection("shared", mspIds)],
+                    []
+                )
+            ).to.throw("initialize the channel")
+        })
+    })
+
+    it("should encode collections as a CollectionConfigPackage", function() {
+        const encoded = buildCollectionConfigPackage([
+            createCollection("org1", ["Org1MSP"], { blockToLive: 3 })
+        ])
+        expect(encoded).to.be.an.instanceof(Buffer)
+        // the tag of the first config followed by the name of its static collection config
+        expect(encoded[0]).to.equal(0x0a)
+        expect(encoded.includes(Buffer.from("org1"))).to.equal(true)
+        expect(encoded.includes(Buffer.from("Org1MSP"))).to.equal(true)
+    })
+
+    it("should encode private data consistently", function() {
+        const transientMap = encodeTransientMap({
+            raw: Buffer.from([1, 2]),
+            text: "secret",
+            object: { price: 10 }
+        })
+        expect(transientMap.raw).to.deep.equal(Buffer.from([1, 2]))
+        expect(transientMap.text.toString()).to.equal("secret")
+        expect(transientMap.object.toString()).to.equal('{"price":10}')
+        expect(() => encodeTransientMap({ missing: undefined })).to.throw(
+            "missing is undefined"
+        )
+    })
+})
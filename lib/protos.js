@@ -0,0 +1,31 @@
+// @flow
+
+import path from "path"
+import grpc from "grpc"
+
+const protosPath = path.join(
+    path.dirname(require.resolve("fabric-client/lib/BlockDecoder")),
+    "protos"
+)
+
+/**
+ * Loads a protobuf definition that ships with fabric-client
+ * @ignore
+ * @param file - The path of the .proto file relative to fabric-client's protos folder
+ * @param pkg - The protobuf package to return
+ * @returns The messages and enums of the package
+ */
+export default function loadProto(file: string, pkg: string): Object {
+    return grpc.load(path.join(protosPath, file))[pkg]
+}
+
+/**
+ * Loads a protobuf definition that ships with fabric-client-wrapper, for the messages fabric-client does not ship
+ * @ignore
+ * @param file - The path of the .proto file relative to fabric-client-wrapper's protos folder
+ * @param pkg - The protobuf package to return
+ * @returns The messages and enums of the package
+ */
+export function loadLocalProto(file: string, pkg: string): Object {
+    return grpc.load(path.join(__dirname, "protos", file))[pkg]
+}
@@ -0,0 +1,223 @@
+// @flow
+
+import type Channel from "fabric-client/lib/Channel"
+import type Peer from "fabric-client/lib/Peer"
+import type UserClient from "./UserClient"
+import type TransactionJournal from "./TransactionJournal"
+import type { TransactionReceipt } from "./journal-stores"
+import { getValidationCodeName } from "./block-utils"
+import { isEventHubChannel } from "./fabric-client-extended/EventHubChannel"
+import wait from "./wait"
+
+/**
+ * What became of a transaction that was pending when the journal was recovered. 'COMMITTED' and 'INVALID' transactions were committed with a valid or invalid validation code, 'MISSING' transactions were not committed before the timeout and 'PENDING' transactions could not be looked up, so their receipts are left pending for a later recovery
+ * @typedef {Object} RecoveryResult
+ * @property {string} txId - The ID of the transaction
+ * @property {string} status - 'COMMITTED', 'INVALID', 'MISSING' or 'PENDING'
+ * @property {TransactionReceipt} receipt - The receipt of the transaction before it was recovered
+ * @property {string} [validationCode] - The validation code the transaction was committed with
+ * @property {number} [blockNumber] - The block the transaction was committed in, if it was seen by an EventHubManager
+ * @property {any} [resubmitted] - What the resubmit callback returned for a missing transaction
+ * @property {Error} [error] - Why the transaction could not be looked up or resubmitted
+ */
+export type RecoveryResult = {
+    txId: string,
+    status: "COMMITTED" | "INVALID" | "MISSING" | "PENDING",
+    receipt: TransactionReceipt,
+    validationCode?: string,
+    blockNumber?: number,
+    resubmitted?: any,
+    error?: Error
+}
+
+type Commit = { validationCode: string, blockNumber?: number }
+
+function isNotFoundError(error: Error): boolean {
+    return !!error.message && error.message.includes("Entry not found in index")
+}
+
+async function queryCommit(
+    userClient: UserClient,
+    channel: Channel,
+    txId: string,
+    target: ?Peer
+): Promise<?Commit> {
+    try {
+        const processedTransaction = await userClient.queryTransaction(
+            channel,
+            txId,
+            target || undefined
+        )
+        return {
+            validationCode: getValidationCodeName(
+                processedTransaction.validationCode
+            )
+        }
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            return null
+        }
+        throw error
+    }
+}
+
+// channels without an EventHubManager are polled until the transaction is found or the timeout has passed
+async function pollCommit(
+    userClient: UserClient,
+    channel: Channel,
+    txId: string,
+    target: ?Peer,
+    timeout: number,
+    pollInterval: number
+): Promise<?Commit> {
+    const endTime = Date.now() + timeout
+    for (;;) {
+        // eslint-disable-next-line no-await-in-loop
+        const commit = await queryCommit(userClient, channel, txId, target)
+        const remaining = endTime - Date.now()
+        if (commit || remaining <= 0) {
+            return commit
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await wait(Math.min(pollInterval, remaining))
+    }
+}
+
+function waitCommit(
+    userClient: UserClient,
+    channel: Channel,
+    txId: string,
+    target: ?Peer,
+    timeout: number,
+    pollInterval: number
+): Promise<?Commit> {
+    if (!isEventHubChannel(channel)) {
+        return pollCommit(
+            userClient,
+            channel,
+            txId,
+            target,
+            timeout,
+            pollInterval
+        )
+    }
+    const eventHubManager = channel.getEventHubManager()
+    return new Promise((resolve, reject) => {
+        let handle
+        const settle = (callback, listenerRemoved = false) => result => {
+            if (!handle) {
+                return
+            }
+            clearTimeout(handle)
+            handle = null
+            if (!listenerRemoved) {
+                eventHubManager.unregisterTxEvent(txId)
+            }
+            callback(result)
+        }
+        const resolveCommit = settle(resolve)
+        const rejectCommit = settle(reject)
+        handle = setTimeout(() => resolveCommit(null), timeout)
+        // listen before querying so a commit in between is not missed
+        eventHubManager.registerTxEvent(
+            txId,
+            (tx, validationCode, blockNumber) =>
+                resolveCommit({ validationCode, blockNumber }),
+            // the EventHubManager removes its listeners when it gives up reconnecting
+            settle(reject, true)
+        )
+        queryCommit(userClient, channel, txId, target).then(commit => {
+            if (commit) {
+                resolveCommit(commit)
+            }
+        }, rejectCommit)
+    })
+}
+
+/**
+ * Resolves the transactions a journal holds as pending, such as the transactions of a process that stopped before their commits were seen. Each transaction is looked up on the ledger and, if it is not there yet, waited on with the channel's EventHubManager until the timeout, or looked up again every poll interval until the timeout if the channel is not an EventHubChannel. The journal is updated with what became of each transaction, missing transactions are recorded as failed
+ * @param userClient - The UserClient to query the ledger with
+ * @param channels - The channels the transactions were submitted on, pending transactions of other channels are left pending
+ * @param [opts] - The options for the recovery
+ * @param {TransactionJournal} [opts.journal] - The journal to recover, defaults to the UserClient's journal
+ * @param {Peer} [opts.target] - The peer to look the transactions up on, defaults to the first peer of each channel
+ * @param {number} [opts.timeout=60000] - The number of ms to wait for the commit of a transaction that is not on the ledger before it is reported missing
+ * @param {number} [opts.pollInterval=1000] - The number of ms between lookups of a transaction on a channel that is not an EventHubChannel
+ * @param {Function} [opts.resubmit] - Called with the receipt of every missing transaction so it can be submitted again, as the receipt only holds the hash of the arguments. What it returns or resolves to is added to the transaction's result
+ * @returns A promise containing the result for each pending transaction
+ */
+export default async function recoverPendingTransactions(
+    userClient: UserClient,
+    channels: Array<Channel>,
+    {
+        journal,
+        target,
+        timeout = 60000,
+        pollInterval = 1000,
+        resubmit
+    }: {
+        journal?: TransactionJournal,
+        target?: Peer,
+        timeout?: number,
+        pollInterval?: number,
+        resubmit?: (receipt: TransactionReceipt) => any
+    } = {}
+): Promise<Array<RecoveryResult>> {
+    const transactionJournal = journal || userClient.getTransactionJournal()
+    if (!transactionJournal) {
+        throw new Error(
+            "Error recoverPendingTransactions requires a TransactionJournal"
+        )
+    }
+    const pendingReceipts = await transactionJournal.listPending()
+    const results = await Promise.all(
+        pendingReceipts.map(async receipt => {
+            const { txId } = receipt
+            const channel = channels.find(
+                c => c.getName() === receipt.channelId
+            )
+            if (!channel) {
+                return null
+            }
+            let commit
+            try {
+                commit = await waitCommit(
+                    userClient,
+                    channel,
+                    txId,
+                    target,
+                    timeout,
+                    pollInterval
+                )
+            } catch (error) {
+                return { txId, status: "PENDING", receipt, error }
+            }
+            if (commit) {
+                await transactionJournal.recordCommitted(txId, commit)
+                return {
+                    txId,
+                    status:
+                        commit.validationCode === "VALID"
+                            ? "COMMITTED"
+                            : "INVALID",
+                    receipt,
+                    ...commit
+                }
+            }
+            await transactionJournal.recordFailed(
+                txId,
+                new Error("Error transaction was not committed")
+            )
+            const result: RecoveryResult = { txId, status: "MISSING", receipt }
+            if (resubmit) {
+                try {
+                    result.resubmitted = await resubmit(receipt)
+                } catch (error) {
+                    result.error = error
+                }
+            }
+            return result
+        })
+    )
+    return (results.filter(result => result): any)
+}
@@ -0,0 +1,166 @@
+import { expect } from "chai"
+import recoverPendingTransactions from "./recoverPendingTransactions"
+import TransactionJournal from "./TransactionJournal"
+import EventHubManagerStub from "../test/stubs/EventHubManagerStub"
+
+function createChannel(name) {
+    const eventHubManager = new EventHubManagerStub()
+    return {
+        eventHubManager,
+        getName: () => name,
+        getEventHubManager: () => eventHubManager
+    }
+}
+
+function createUserClient(journal, ledger) {
+    return {
+        getTransactionJournal: () => journal,
+        queryTransaction: (channel, txId) =>
+            ledger[txId] === undefined
+                ? Promise.reject(
+                      new Error(
+                          "chaincode error (status: 500, message: Failed to get transaction with id, error Entry not found in index)"
+                      )
+                  )
+                : Promise.resolve({ validationCode: ledger[txId] })
+    }
+}
+
+async function submit(journal, channel, txIds) {
+    await Promise.all(
+        txIds.map(txId =>
+            journal.recordSubmitted(
+                { getName: channel.getName },
+                { txId, chaincodeId: "mycc" }
+            )
+        )
+    )
+}
+
+describe("recoverPendingTransactions", function() {
+    it("should resolve pending transactions from the ledger", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel("mychannel")
+        await submit(journal, channel, ["tx1", "tx2"])
+        const userClient = createUserClient(journal, { tx1: 0, tx2: 11 })
+
+        const results = await recoverPendingTransactions(userClient, [channel])
+        expect(
+            results.map(({ txId, status, validationCode }) => ({
+                txId,
+                status,
+                validationCode
+            }))
+        ).to.deep.equal([
+            { txId: "tx1", status: "COMMITTED", validationCode: "VALID" },
+            {
+                txId: "tx2",
+                status: "INVALID",
+                validationCode: "MVCC_READ_CONFLICT"
+            }
+        ])
+        expect(await journal.listPending()).to.deep.equal([])
+        expect(channel.eventHubManager.txListeners.size).to.equal(0)
+    })
+
+    it("should wait for the commit of transactions that are not on the ledger yet", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel("mychannel")
+        await submit(journal, channel, ["tx1"])
+        const userClient = createUserClient(journal, {})
+
+        const recovery = recoverPendingTransactions(userClient, [channel], {
+            timeout: 1000
+        })
+        await new Promise(resolve => setImmediate(resolve))
+        channel.eventHubManager.txListeners
+            .get("tx1")
+            .onEvent("tx1", "VALID", 12)
+        const [result] = await recovery
+        expect(result).to.include({
+            status: "COMMITTED",
+            blockNumber: 12
+        })
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "COMMITTED",
+            blockNumber: 12
+        })
+    })
+
+    it("should report missing transactions and resubmit them", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel("mychannel")
+        const otherChannel = createChannel("otherchannel")
+        await submit(journal, channel, ["tx1"])
+        await submit(journal, otherChannel, ["tx2"])
+        const userClient = createUserClient(journal, {})
+
+        const results = await recoverPendingTransactions(
+            userClient,
+            [channel],
+            {
+                timeout: 10,
+                resubmit: receipt => `resubmitted ${receipt.txId}`
+            }
+        )
+        expect(results).to.have.lengthOf(1)
+        expect(results[0]).to.include({
+            txId: "tx1",
+            status: "MISSING",
+            resubmitted: "resubmitted tx1"
+        })
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "FAILED"
+        })
+        const pending = await journal.listPending()
+        expect(pending.map(({ txId }) => txId)).to.deep.equal(["tx2"])
+    })
+
+    it("should poll for the commit of transactions on channels that are not EventHubChannels", async function() {
+        const journal = new TransactionJournal()
+        const channel = { getName: () => "mychannel" }
+        await submit(journal, channel, ["tx1", "tx2"])
+        const ledger = {}
+        const userClient = createUserClient(journal, ledger)
+        let lookups = 0
+        const { queryTransaction } = userClient
+        userClient.queryTransaction = (queryChannel, txId) => {
+            lookups += 1
+            if (lookups === 3) {
+                ledger.tx1 = 0
+            }
+            return queryTransaction(queryChannel, txId)
+        }
+
+        const results = await recoverPendingTransactions(
+            userClient,
+            [channel],
+            { timeout: 50, pollInterval: 1 }
+        )
+        expect(
+            results.map(({ txId, status }) => ({ txId, status }))
+        ).to.deep.equal([
+            { txId: "tx1", status: "COMMITTED" },
+            { txId: "tx2", status: "MISSING" }
+        ])
+        expect(await journal.getReceipt("tx1")).to.include({
+            status: "COMMITTED"
+        })
+    })
+
+    it("should leave transactions pending when they cannot be looked up", async function() {
+        const journal = new TransactionJournal()
+        const channel = createChannel("mychannel")
+        await submit(journal, channel, ["tx1"])
+        const userClient = {
+            getTransactionJournal: () => journal,
+            queryTransaction: () =>
+                Promise.reject(new Error("14 UNAVAILABLE: Connect Failed"))
+        }
+
+        const [result] = await recoverPendingTransactions(userClient, [channel])
+        expect(result.status).to.equal("PENDING")
+        expect(result.error.message).to.equal("14 UNAVAILABLE: Connect Failed")
+        expect(await journal.listPending()).to.have.lengthOf(1)
+    })
+})
@@ -7,6 +7,7 @@ import type { CryptoSuite, KeyValueStore } from "fabric-client/lib/api"
 import type { IdentityPEMs } from "./FABRIC_FLOW_TYPES"
 import type { RegisterRequest } from "./FABRIC_CA_FLOW_TYPES"
 import UserClient from "./UserClient"
+import { newSignerSigningIdentity, type Signer } from "./offline-signing"
 
 async function addUserToClient(
     client: FabricClient,
@@ -250,3 +251,114 @@ export async function newUserClientFromStore({
         roles
     })
 }
+
+export type NewUserClientFromCertificateOpts = {
+    username: string,
+    certificate: string,
+    mspId: string,
+    cryptoSuite?: CryptoSuite,
+    store?: KeyValueStore,
+    roles?: Array<string>
+}
+
+/**
+ * Creates a new UserClient from a certificate alone, for a user whose private key is held elsewhere such as in a HSM or signing service. Transactions are made by generating unsigned proposals and transactions with the UserClient, signing them externally and sending them with sendSignedProposal and sendSignedTransaction. Methods that sign with the private key, such as newTransactionID, invokeChaincode and queryChaincode, throw an error pointing to the offline signing methods instead, use newUserClientFromSigner to call them with a key held elsewhere
+ * @param opts - The options to create the user with
+ * @param {string} opts.username - The username of the user
+ * @param {string} opts.certificate - The PEM encoded certificate of the user
+ * @param {string} opts.mspId - The MSP ID that the user belongs to
+ * @param {CryptoSuite} [opts.cryptoSuite] - The CryptoSuite to use, defaults to a new CryptoSuite
+ * @param {KeyValueStore} [opts.store] - The key value store of the UserClient. The user itself is not persisted
+ * @param {Array<string>} [opts.roles] - An array containing the roles that the user has
+ * @returns A promise containing a new UserClient instance
+ */
+export async function newUserClientFromCertificate({
+    username,
+    certificate,
+    mspId,
+    cryptoSuite,
+    store,
+    roles
+}: NewUserClientFromCertificateOpts): Promise<UserClient> {
+    const client = new FabricClient()
+    const myCryptoSuite = cryptoSuite || FabricClient.newCryptoSuite()
+    client.setCryptoSuite(myCryptoSuite)
+    if (store) {
+        client.setStateStore(store)
+    }
+    await client.setUserContext(new User(username), true)
+
+    return new UserClient({
+        client,
+        mspId,
+        cryptoSuite: myCryptoSuite,
+        store,
+        roles,
+        certificate
+    })
+}
+
+export type NewUserClientFromSignerOpts = {
+    username: string,
+    signer: Signer,
+    mspId: string,
+    cryptoSuite?: CryptoSuite,
+    store?: KeyValueStore,
+    roles?: Array<string>
+}
+
+/**
+ * Creates a new UserClient whose signing is done by a signer, for users whose private key is held by a remote key management service, a PKCS#11 token or a test double
+ * @param opts - The options to create the user with
+ * @param {string} opts.username - The username of the user
+ * @param {Signer} opts.signer - The signer holding the user's private key
+ * @param {string} opts.mspId - The MSP ID that the user belongs to
+ * @param {CryptoSuite} [opts.cryptoSuite] - The CryptoSuite used for hashing and verifying, defaults to a new CryptoSuite
+ * @param {KeyValueStore} [opts.store] - The key value store of the UserClient. The user itself is not persisted
+ * @param {Array<string>} [opts.roles] - An array containing the roles that the user has
+ * @returns A promise containing a new UserClient instance
+ */
+export async function newUserClientFromSigner({
+    username,
+    signer,
+    mspId,
+    cryptoSuite,
+    store,
+    roles
+}: NewUserClientFromSignerOpts): Promise<UserClient> {
+    const client = new FabricClient()
+    const myCryptoSuite = cryptoSuite || FabricClient.newCryptoSuite()
+    client.setCryptoSuite(myCryptoSuite)
+    if (store) {
+        client.setStateStore(store)
+    }
+    const certificate = await signer.getCertificate()
+    const publicKey = await myCryptoSuite.importKey(certificate, {
+        ephemeral: true
+    })
+
+    const user = new User(username)
+    user.setCryptoSuite(myCryptoSuite)
+    // setEnrollment needs a key to build the user's identity, the signing identity it builds alongside is never used
+    await user.setEnrollment(publicKey, certificate, mspId)
+    const signingIdentity = newSignerSigningIdentity(
+        signer,
+        certificate,
+        publicKey,
+        mspId,
+        myCryptoSuite
+    )
+    // fabric-client signs everything with the signing identity it gets from the user context, so all of its signing goes through the signer
+    user.getSigningIdentity = () => signingIdentity
+    await client.setUserContext(user, true)
+
+    return new UserClient({
+        client,
+        mspId,
+        cryptoSuite: myCryptoSuite,
+        store,
+        roles,
+        certificate,
+        signer
+    })
+}
@@ -0,0 +1,180 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { expect } from "chai"
+import {
+    newUserClientFromCertificate,
+    newUserClientFromSigner
+} from "./user-client-factories"
+import loadProto from "./protos"
+import newMemoryStore from "../test/stubs/newMemoryStore"
+
+const commonProto = loadProto("common/common.proto", "common")
+
+const certificate = fs
+    .readFileSync(
+        path.join(
+            __dirname,
+            "../test/fixtures/network/two-peer-orgs-network/crypto-config/ordererOrganizations/example.com/users/Admin@example.com/msp/signcerts/Admin@example.com-cert.pem"
+        )
+    )
+    .toString()
+
+const sha256 = bytes =>
+    crypto
+        .createHash("sha256")
+        .update(bytes)
+        .digest()
+
+// a key value store that records the keys written to it
+function createStore() {
+    const store = newMemoryStore()
+    const writtenKeys = []
+    return {
+        ...store,
+        writtenKeys,
+        setValue: (key, value) => {
+            writtenKeys.push(key)
+            return store.setValue(key, value)
+        }
+    }
+}
+
+function createSigner(signature, { async = false } = {}) {
+    const digests = []
+    return {
+        digests,
+        getCertificate: () => Promise.resolve(certificate),
+        sign: digest => {
+            digests.push(digest)
+            return async ? Promise.resolve(signature) : signature
+        }
+    }
+}
+
+describe("user-client-factories", function() {
+    describe("newUserClientFromCertificate", function() {
+        it("should point the methods that need the private key to the offline signing methods", async function() {
+            const userClient = await newUserClientFromCertificate({
+                username: "admin",
+                certificate,
+                mspId: "OrdererMSP"
+            })
+            expect(() => userClient.newTransactionID()).to.throw(
+                "newTransactionID requires the user's private key"
+            )
+            const errors = await Promise.all([
+                userClient
+                    .invokeChaincode({}, { chaincodeId: "mycc" })
+                    .catch(error => error.message),
+                userClient
+                    .queryChaincode({}, { chaincodeId: "mycc" })
+                    .catch(error => error.message)
+            ])
+            errors.forEach(message =>
+                expect(message).to.include(
+                    "use generateUnsignedProposal, sendSignedProposal"
+                )
+            )
+            expect(userClient.getCreator()).to.be.an.instanceof(Buffer)
+        })
+
+        it("should not save the user to the store", async function() {
+            const store = createStore()
+            const userClient = await newUserClientFromCertificate({
+                username: "admin",
+                certificate,
+                mspId: "OrdererMSP",
+                store
+            })
+            userClient.setRoles(["admin"])
+            expect(userClient.getRoles()).to.deep.equal(["admin"])
+            expect(store.writtenKeys).to.deep.equal([])
+        })
+    })
+
+    describe("newUserClientFromSigner", function() {
+        it("should create a user whose fabric-client signing goes through the signer", async function() {
+            const signer = createSigner(Buffer.from("signature"))
+            const userClient = await newUserClientFromSigner({
+                username: "admin",
+                signer,
+                mspId: "OrdererMSP"
+            })
+            expect(userClient.getSigner()).to.equal(signer)
+            expect(userClient.newTransactionID().getTransactionID()).to.be.a(
+                "string"
+            )
+
+            const signature = userClient
+                .getClient()
+                .getUserContext()
+                .getSigningIdentity()
+                .sign(Buffer.from("message"))
+            expect(signature).to.deep.equal(Buffer.from("signature"))
+            expect(signer.digests).to.deep.equal([
+                sha256(Buffer.from("message"))
+            ])
+        })
+
+        it("should not save the user to the store", async function() {
+            const store = createStore()
+            const userClient = await newUserClientFromSigner({
+                username: "admin",
+                signer: createSigner(Buffer.from("signature")),
+                mspId: "OrdererMSP",
+                store,
+                roles: ["admin"]
+            })
+            userClient.setRoles(["member"])
+            expect(userClient.getRoles()).to.deep.equal(["member"])
+            expect(store.writtenKeys).to.deep.equal([])
+        })
+
+        it("should sign channel configs with asynchronous signers", async function() {
+            const signer = createSigner(Buffer.from("signature"), {
+                async: true
+            })
+            const userClient = await newUserClientFromSigner({
+                username: "admin",
+                signer,
+                mspId: "OrdererMSP"
+            })
+            const config = Buffer.from("config")
+            const configSignature = await userClient.signChannelConfig(config)
+            expect(configSignature.getSignature().toBuffer()).to.deep.equal(
+                Buffer.from("signature")
+            )
+            const signatureHeaderBytes = configSignature
+                .getSignatureHeader()
+                .toBuffer()
+            expect(signer.digests).to.deep.equal([
+                sha256(Buffer.concat([signatureHeaderBytes, config]))
+            ])
+            expect(
+                commonProto.SignatureHeader.decode(signatureHeaderBytes)
+                    .getCreator()
+                    .toBuffer()
+            ).to.deep.equal(userClient.getCreator())
+        })
+
+        it("should reject asynchronous signatures for operations signed by fabric-client", async function() {
+            const userClient = await newUserClientFromSigner({
+                username: "admin",
+                signer: createSigner(Buffer.from("signature"), {
+                    async: true
+                }),
+                mspId: "OrdererMSP"
+            })
+            expect(() =>
+                userClient
+                    .getClient()
+                    .getUserContext()
+                    .getSigningIdentity()
+                    .sign(Buffer.from("message"))
+            ).to.throw(
+                "requires a signer that returns signatures synchronously"
+            )
+        })
+    })
+})
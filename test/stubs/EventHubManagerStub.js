@@ -0,0 +1,52 @@
+/* eslint class-methods-use-this: 0 */
+
+export default class EventHubManagerStub {
+    constructor(blocks = []) {
+        this.blocks = blocks
+        this.listeners = new Map()
+        this.txListeners = new Map()
+        this.nextHandle = 0
+    }
+
+    registerBlockEvent(onEvent, onError) {
+        this.nextHandle += 1
+        this.listeners.set(this.nextHandle, { onEvent, onError })
+        return this.nextHandle
+    }
+
+    unregisterBlockEvent(handle) {
+        this.listeners.delete(handle)
+    }
+
+    registerTxEvent(txId, onEvent, onError) {
+        this.txListeners.set(txId, { onEvent, onError })
+    }
+
+    unregisterTxEvent(txId) {
+        this.txListeners.delete(txId)
+    }
+
+    waitEventHubConnected() {
+        return Promise.resolve(true)
+    }
+
+    getBlock(channelId, blockNumber) {
+        return Promise.resolve(this.blocks[blockNumber])
+    }
+
+    emitBlock(block) {
+        this.listeners.forEach(({ onEvent }) => onEvent(block))
+    }
+
+    commitBlock(block, delivered = block) {
+        this.blocks.push(block)
+        this.emitBlock(delivered)
+    }
+
+    emitTx(txId, code) {
+        const listener = this.txListeners.get(txId)
+        if (listener) {
+            listener.onEvent(txId, code)
+        }
+    }
+}
@@ -0,0 +1,107 @@
+import loadProto from "../../lib/protos"
+
+const chaincodeProto = loadProto("peer/chaincode.proto", "protos")
+
+function getChaincodeEvent({ event, eventName, namespace = "mycc" }, txId) {
+    if (eventName) {
+        return { chaincode_id: namespace, tx_id: txId, event_name: eventName }
+    }
+    return event
+}
+
+function createEnvelope(transaction, txId) {
+    const {
+        channelId = "mychannel",
+        namespace = "mycc",
+        writes = []
+    } = transaction
+    const input = new chaincodeProto.ChaincodeInvocationSpec({
+        chaincode_spec: {
+            chaincode_id: { name: namespace },
+            input: { args: [Buffer.from("set")] }
+        }
+    }).toBuffer()
+    return {
+        payload: {
+            header: {
+                channel_header: {
+                    type: 3,
+                    channel_id: channelId,
+                    tx_id: txId,
+                    timestamp: "null"
+                },
+                signature_header: {
+                    creator: { Mspid: "Org1MSP", IdBytes: "" }
+                }
+            },
+            data: {
+                actions: [
+                    {
+                        payload: {
+                            chaincode_proposal_payload: { input },
+                            action: {
+                                proposal_response_payload: {
+                                    extension: {
+                                        results: {
+                                            ns_rwset: [
+                                                {
+                                                    namespace,
+                                                    rwset: {
+                                                        reads: [],
+                                                        writes
+                                                    }
+                                                }
+                                            ]
+                                        },
+                                        events: getChaincodeEvent(
+                                            transaction,
+                                            txId
+                                        )
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            }
+        }
+    }
+}
+
+// transactions without a txId get tx<number>-<index>, an eventName sets a chaincode event of the transaction's namespace
+export function createBlock(number, transactions = [{ txId: `tx${number}` }]) {
+    return {
+        header: { number: String(number), previous_hash: "", data_hash: "" },
+        data: {
+            data: transactions.map((transaction, i) =>
+                createEnvelope(
+                    transaction,
+                    transaction.txId || `tx${number}-${i}`
+                )
+            )
+        },
+        metadata: {
+            metadata: [{}, {}, transactions.map(({ code }) => code || 0)]
+        }
+    }
+}
+
+export function createFilteredBlock(number, transactions) {
+    return {
+        channel_id: "mychannel",
+        number: { low: number, high: 0, unsigned: true },
+        filtered_tx: transactions.map(transaction => {
+            const event = getChaincodeEvent(transaction, transaction.txId)
+            return {
+                txid: transaction.txId,
+                type: "ENDORSER_TRANSACTION",
+                tx_validation_code: transaction.code || "VALID",
+                transaction_actions: {
+                    chaincode_actions: event
+                        ? [{ ccEvent: { ...event, payload: Buffer.from("") } }]
+                        : []
+                }
+            }
+        })
+    }
+}
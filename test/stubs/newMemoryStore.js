@@ -0,0 +1,10 @@
+export default function newMemoryStore() {
+    const values = new Map()
+    return {
+        getValue: key => Promise.resolve(values.get(key)),
+        setValue: (key, value) => {
+            values.set(key, value)
+            return Promise.resolve(value)
+        }
+    }
+}